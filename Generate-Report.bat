@@ -7,5 +7,5 @@ set "scriptDir=%~dp0"
 REM Define the full path to your PowerShell script file.
 set "psScriptPath=%scriptDir%Generate-Report.ps1"
 
-REM Execute the PowerShell script.
-powershell.exe -ExecutionPolicy Bypass -File "%psScriptPath%"
+REM Execute the PowerShell script, passing on any arguments (e.g. -SingleFile).
+powershell.exe -ExecutionPolicy Bypass -File "%psScriptPath%" %*
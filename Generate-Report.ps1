@@ -12,11 +12,27 @@
 # Define configurable inputs for the script.
 # =============================================================================
 param (
+    [string]$StartDate = "", # First day of the report: Gregorian (2025-03-21) or Shamsi (1404/01/01); overrides the start of $Preset
+    [string]$EndDate = "", # Last day of the report, in the same formats as $StartDate; overrides the end of $Preset
+    [ValidateSet("Last365Days", "CurrentShamsiYear", "PreviousShamsiYear", "LastShamsiMonths")]
+    [string]$Preset = "Last365Days", # Named date range used for the start/end dates that are not given
+    [int]$Months = 3, # Number of Shamsi months (the current one included) for the LastShamsiMonths preset
     [string[]]$ExcludedUsers = @('Admins', 'Automation-PC', 'LocalHost', '512/256 KB', 'LocalHost - OUT', 'LocalHost - IN'),
     [string]$DbPath = "Bandwidth Manager.DB",
     [string]$BaseReportsPath = ".\Reports",
+    [string]$ArchivePath = "", # Cumulative usage archive (SQLite) that keeps the history SPBM prunes or resets; empty means usage-archive.db in $BaseReportsPath
+    [switch]$NoArchive, # Build the report from the SPBM database only, without updating or using the archive
     [string]$ToolsFolder = "Report Tools", # Path to folder containing report_template.html, report_app.js, and libraries
-    [string]$UserNamesFile = "user_names.txt" # Path to the file containing user ID to real name mappings
+    [string]$UserNamesFile = "user_names.txt", # Path to the file containing user ID to real name (and optional group) mappings
+    [string]$UserMergesFile = "user_merges.txt", # Optional file of computer IDs to report as one person (e.g. the LAN and Wi-Fi rules of one laptop)
+    [string]$QuotasFile = "quotas.txt", # Optional file with monthly bandwidth quotas per user ID, per group and a default
+    [string]$HolidaysFile = "holidays.txt", # Optional file with official holidays (Shamsi dates) for the workday/weekend/holiday analysis
+    [string]$HourlyUsageTable = "HOUR_USAGE", # Table with hourly usage (same columns as DAY_USAGE); skipped if the database has no such table
+    [string]$HourlyTimeColumn = "HOUR", # Column of $HourlyUsageTable holding the 'yyyy-MM-dd HH:mm:ss' start of each hour
+    [string]$GroupPattern = '^([A-Za-z]+\d+)-', # Regex applied to computer IDs; its first capture group becomes the group name
+    [string]$DefaultGroupName = "سایر", # Group for computer IDs that have no explicit group and do not match $GroupPattern
+    [switch]$SingleFile, # Write one self-contained report.html (scripts, styles, fonts and data inlined) instead of report.html + assets folder
+    [switch]$IndexOnly # Only rebuild index.html in $BaseReportsPath, the list of the generated reports; every report run also rebuilds it
 )
 
 # =============================================================================
@@ -25,18 +41,394 @@ param (
 # =============================================================================
 
 # -----------------------------------------------------------------------------
-# Function: Test-DateFormat
-# Description: Validates if a string is in 'yyyy-MM-dd' format.
+# Function: ConvertTo-GregorianDate
+# Description: Parses a Gregorian (yyyy-MM-dd) or Shamsi (yyyy/MM/dd, or
+#              yyyy-MM-dd with a year before 1700) date and returns it as a
+#              Gregorian 'yyyy-MM-dd' string. Returns $null if the date is invalid.
 # -----------------------------------------------------------------------------
-function Test-DateFormat {
+function ConvertTo-GregorianDate {
     param ([string]$DateString)
+    if ($DateString.Trim() -notmatch '^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$') { return $null }
+    $year = [int]$Matches[1]
+    $month = [int]$Matches[2]
+    $day = [int]$Matches[3]
     try {
-        [datetime]::ParseExact($DateString, "yyyy-MM-dd", $null) | Out-Null
-        return $true
+        if ($year -lt 1700) {
+            $date = $PersianCalendar.ToDateTime($year, $month, $day, 0, 0, 0, 0)
+        }
+        else {
+            $date = New-Object DateTime $year, $month, $day
+        }
+        return $date.ToString("yyyy-MM-dd", $InvariantCulture)
+    }
+    catch {
+        return $null
+    }
+}
+
+# -----------------------------------------------------------------------------
+# Function: Get-PresetDateRange
+# Description: Returns the start and end dates (Gregorian 'yyyy-MM-dd') of a
+#              named date range preset. Ranges that include the current Shamsi
+#              month end today.
+# -----------------------------------------------------------------------------
+function Get-PresetDateRange {
+    param ([string]$Name, [int]$MonthCount)
+    $today = (Get-Date).Date
+    $shamsiYear = $PersianCalendar.GetYear($today)
+    switch ($Name) {
+        'CurrentShamsiYear' {
+            $start = $PersianCalendar.ToDateTime($shamsiYear, 1, 1, 0, 0, 0, 0)
+            $end = $today
+        }
+        'PreviousShamsiYear' {
+            $start = $PersianCalendar.ToDateTime($shamsiYear - 1, 1, 1, 0, 0, 0, 0)
+            $end = $PersianCalendar.ToDateTime($shamsiYear, 1, 1, 0, 0, 0, 0).AddDays(-1)
+        }
+        'LastShamsiMonths' {
+            $currentMonthStart = $PersianCalendar.ToDateTime($shamsiYear, $PersianCalendar.GetMonth($today), 1, 0, 0, 0, 0)
+            $start = $PersianCalendar.AddMonths($currentMonthStart, - ($MonthCount - 1))
+            $end = $today
+        }
+        default { # Last365Days
+            $start = $today.AddDays(-365)
+            $end = $today
+        }
+    }
+    return @{ StartDate = $start.ToString("yyyy-MM-dd", $InvariantCulture); EndDate = $end.ToString("yyyy-MM-dd", $InvariantCulture) }
+}
+
+# -----------------------------------------------------------------------------
+# Function: Get-UserGroup
+# Description: Resolves the group (floor/department) of a computer ID.
+#              An explicit group from the mapping file wins over $GroupPattern.
+# -----------------------------------------------------------------------------
+function Get-UserGroup {
+    param ([string]$UserID)
+    if ($GroupMapping.ContainsKey($UserID)) { return $GroupMapping[$UserID] }
+    if ($GroupPattern -and $UserID -match $GroupPattern -and $Matches.Count -gt 1) { return $Matches[1] }
+    return $DefaultGroupName
+}
+
+# -----------------------------------------------------------------------------
+# Function: Get-PersonId
+# Description: Returns the computer ID that the usage of a computer ID is
+#              reported under: the person ID of $UserMergesFile, or the ID itself.
+# -----------------------------------------------------------------------------
+function Get-PersonId {
+    param ([string]$UserID)
+    $seen = @{ $UserID = $true }
+    while ($MergedInto.ContainsKey($UserID) -and -not $seen.ContainsKey($MergedInto[$UserID])) {
+        $UserID = $MergedInto[$UserID]
+        $seen[$UserID] = $true
+    }
+    return $UserID
+}
+
+# -----------------------------------------------------------------------------
+# Function: Get-DisplayName
+# Description: Returns the real name of a computer ID from the user names file;
+#              IDs without a name (or with an empty one) keep the ID as name.
+# -----------------------------------------------------------------------------
+function Get-DisplayName {
+    param ([string]$UserID)
+    if ($UserMapping.ContainsKey($UserID) -and $UserMapping[$UserID] -ne '') { return $UserMapping[$UserID] }
+    return $UserID
+}
+
+# -----------------------------------------------------------------------------
+# Function: ConvertTo-SqlString
+# Description: Quotes a value as an SQL string literal.
+# -----------------------------------------------------------------------------
+function ConvertTo-SqlString {
+    param ([string]$Value)
+    return "'" + ($Value -replace "'", "''") + "'"
+}
+
+# -----------------------------------------------------------------------------
+# Function: Get-SpbmUsageQueries
+# Description: Returns the queries of the daily and hourly usage rows of the SPBM
+#              database, one row per stream, with the columns of the archive
+#              tables: NAME, DAY, [HOUR,] RECV_BYTES, SEND_BYTES. The schema name
+#              is needed when the database is attached to the archive.
+# -----------------------------------------------------------------------------
+function Get-SpbmUsageQueries {
+    param ([string]$Schema = "")
+    $prefix = if ($Schema) { "$Schema." } else { "" }
+    $timeColumn = "h.$HourlyTimeColumn"
+    return @{
+        Day  = "SELECT TRIM(r.NAME) AS NAME, d.DAY AS DAY, d.RECV_BYTES AS RECV_BYTES, d.SEND_BYTES AS SEND_BYTES FROM ${prefix}DAY_USAGE d JOIN ${prefix}STREAM s ON d.STREAM_ID = s.ID JOIN ${prefix}RULE r ON s.RULE_ID = r.ID"
+        Hour = "SELECT TRIM(r.NAME) AS NAME, STRFTIME('%Y-%m-%d', $timeColumn) AS DAY, CAST(STRFTIME('%H', $timeColumn) AS INTEGER) AS HOUR, h.RECV_BYTES AS RECV_BYTES, h.SEND_BYTES AS SEND_BYTES FROM ${prefix}$HourlyUsageTable h JOIN ${prefix}STREAM s ON h.STREAM_ID = s.ID JOIN ${prefix}RULE r ON s.RULE_ID = r.ID"
+    }
+}
+
+# -----------------------------------------------------------------------------
+# Function: Test-UsageArchive
+# Description: Returns $true if the usage archive does not exist yet or passes
+#              SQLite's quick integrity check.
+# -----------------------------------------------------------------------------
+function Test-UsageArchive {
+    if (-not (Test-Path $ResolvedArchivePath)) { return $true }
+    $output = sqlite3 $ResolvedArchivePath "PRAGMA quick_check;" 2>$null
+    return $LASTEXITCODE -eq 0 -and (@($output) -join "`n").Trim() -eq 'ok'
+}
+
+# -----------------------------------------------------------------------------
+# Function: Update-UsageArchive
+# Description: Merges the usage of the SPBM database into the usage archive,
+#              which keeps one row per computer ID and day (and hour). Days the
+#              archive already has keep the larger of the two totals, since the
+#              usage of a day only grows, so a database that was pruned or reset
+#              never lowers the history. The merge is one transaction: if any
+#              statement fails, the archive is left as it was.
+#              Returns the first line of the error message, or $null on success.
+# -----------------------------------------------------------------------------
+function Update-UsageArchive {
+    param ([bool]$IncludeHourly)
+    $spbm = Get-SpbmUsageQueries -Schema 'spbm'
+    $keepLarger = {
+        param ([string]$Table)
+        "ON CONFLICT DO UPDATE SET RECV_BYTES = excluded.RECV_BYTES, SEND_BYTES = excluded.SEND_BYTES " +
+        "WHERE excluded.RECV_BYTES + excluded.SEND_BYTES > $Table.RECV_BYTES + $Table.SEND_BYTES " +
+        "OR (excluded.RECV_BYTES + excluded.SEND_BYTES = $Table.RECV_BYTES + $Table.SEND_BYTES AND excluded.RECV_BYTES > $Table.RECV_BYTES)"
+    }
+    $statements = @(
+        "ATTACH DATABASE $(ConvertTo-SqlString $ResolvedDbPath) AS spbm;"
+        "BEGIN;"
+        "CREATE TABLE IF NOT EXISTS DAY_USAGE (NAME TEXT NOT NULL, DAY TEXT NOT NULL, RECV_BYTES INTEGER NOT NULL, SEND_BYTES INTEGER NOT NULL, PRIMARY KEY (NAME, DAY));"
+        "CREATE TABLE IF NOT EXISTS HOUR_USAGE (NAME TEXT NOT NULL, DAY TEXT NOT NULL, HOUR INTEGER NOT NULL, RECV_BYTES INTEGER NOT NULL, SEND_BYTES INTEGER NOT NULL, PRIMARY KEY (NAME, DAY, HOUR));"
+        # The WHERE clause keeps SQLite from reading ON CONFLICT as a join constraint
+        "INSERT INTO DAY_USAGE (NAME, DAY, RECV_BYTES, SEND_BYTES) SELECT u.NAME, u.DAY, SUM(u.RECV_BYTES), SUM(u.SEND_BYTES) FROM ($($spbm.Day)) u WHERE u.DAY IS NOT NULL GROUP BY u.NAME, u.DAY $(& $keepLarger 'DAY_USAGE');"
+    )
+    if ($IncludeHourly) {
+        $statements += "INSERT INTO HOUR_USAGE (NAME, DAY, HOUR, RECV_BYTES, SEND_BYTES) SELECT u.NAME, u.DAY, u.HOUR, SUM(u.RECV_BYTES), SUM(u.SEND_BYTES) FROM ($($spbm.Hour)) u WHERE u.DAY IS NOT NULL GROUP BY u.NAME, u.DAY, u.HOUR $(& $keepLarger 'HOUR_USAGE');"
+    }
+    $statements += "COMMIT;"
+    $output = sqlite3 -bail $ResolvedArchivePath ($statements -join ' ') 2>&1
+    if ($LASTEXITCODE -ne 0) { return (@($output | ForEach-Object { "$_" }) + 'sqlite3 failed')[0] }
+    return $null
+}
+
+# -----------------------------------------------------------------------------
+# Function: ConvertTo-QuotaMB
+# Description: Converts a quota value such as '500', '500MB', '20GB' or '1TB'
+#              to megabytes. Returns $null if the value cannot be parsed.
+# -----------------------------------------------------------------------------
+function ConvertTo-QuotaMB {
+    param ([string]$Value)
+    if ($Value.Trim() -match '^(\d+(?:\.\d+)?)\s*(MB|GB|TB)?$') {
+        $amount = [double]$Matches[1]
+        switch ($Matches[2]) {
+            'GB' { return $amount * 1024 }
+            'TB' { return $amount * 1024 * 1024 }
+            default { return $amount }
+        }
+    }
+    return $null
+}
+
+# -----------------------------------------------------------------------------
+# Function: Get-AssetSourcePath
+# Description: Maps an asset path of report_template.html (assets/..., assets/lib/...)
+#              to its file in the tools folder.
+# -----------------------------------------------------------------------------
+function Get-AssetSourcePath {
+    param ([string]$AssetPath)
+    $relativePath = $AssetPath -replace '^assets/(lib/)?', ''
+    return Join-Path -Path $ResolvedToolsFolder -ChildPath ($relativePath -replace '/', '\')
+}
+
+# -----------------------------------------------------------------------------
+# Function: ConvertTo-DataUri
+# Description: Encodes file contents as a data URI, with the MIME type taken
+#              from the file extension.
+# -----------------------------------------------------------------------------
+function ConvertTo-DataUri {
+    param ([byte[]]$Bytes, [string]$FileName)
+    $mimeTypes = @{
+        '.ttf' = 'font/ttf'; '.otf' = 'font/otf'; '.woff' = 'font/woff'; '.woff2' = 'font/woff2'; '.eot' = 'application/vnd.ms-fontobject'
+        '.svg' = 'image/svg+xml'; '.png' = 'image/png'; '.jpg' = 'image/jpeg'; '.gif' = 'image/gif'
+    }
+    $extension = [System.IO.Path]::GetExtension($FileName).ToLower()
+    $mimeType = if ($mimeTypes.ContainsKey($extension)) { $mimeTypes[$extension] } else { 'application/octet-stream' }
+    return "data:$mimeType;base64," + [Convert]::ToBase64String($Bytes)
+}
+
+# -----------------------------------------------------------------------------
+# Function: Convert-CssUrlsToDataUris
+# Description: Replaces the url(...) references of a stylesheet with data URIs.
+#              Local files are read relative to the stylesheet; http(s) URLs (the
+#              Vazir font CDN) are downloaded. References that cannot be resolved
+#              are left unchanged with a warning.
+# -----------------------------------------------------------------------------
+function Convert-CssUrlsToDataUris {
+    param ([string]$Css, [string]$CssFilePath)
+    $cssFolderPath = Split-Path -Parent $CssFilePath
+    $evaluator = [System.Text.RegularExpressions.MatchEvaluator] {
+        param($match)
+        $url = $match.Groups[2].Value.Trim()
+        if ($url.StartsWith('data:')) { return $match.Value }
+        if ($url -match '^https?://') {
+            try {
+                $bytes = (New-Object System.Net.WebClient).DownloadData($url)
+                return 'url("' + (ConvertTo-DataUri $bytes ([uri]$url).AbsolutePath) + '")'
+            }
+            catch {
+                Write-Warning "Cannot download $url ($($_.Exception.Message)). The report will load it online."
+                return $match.Value
+            }
+        }
+        $localPath = Join-Path -Path $cssFolderPath -ChildPath ($url -replace '[?#].*$', '')
+        if (Test-Path $localPath) {
+            return 'url("' + (ConvertTo-DataUri ([System.IO.File]::ReadAllBytes($localPath)) $localPath) + '")'
+        }
+        return $match.Value
+    }
+    return [regex]::Replace($Css, 'url\(\s*(["'']?)([^"'')]+)\1\s*\)', $evaluator)
+}
+
+# -----------------------------------------------------------------------------
+# Function: New-SingleFileHtml
+# Description: Inlines the stylesheets, scripts and report data referenced by
+#              report_template.html, so the report works as a single file.
+# -----------------------------------------------------------------------------
+function New-SingleFileHtml {
+    param ([string]$TemplateHtml, [string]$DataJs)
+    $stylesheetEvaluator = [System.Text.RegularExpressions.MatchEvaluator] {
+        param($match)
+        $sourcePath = Get-AssetSourcePath $match.Groups[1].Value
+        if (-not (Test-Path $sourcePath)) {
+            Write-Warning "Stylesheet not found: $sourcePath. It is left out of the report."
+            return ''
+        }
+        $css = Get-Content -Path $sourcePath -Raw -Encoding UTF8
+        return "<style>`n" + (Convert-CssUrlsToDataUris $css $sourcePath) + "`n</style>"
+    }
+    $scriptEvaluator = [System.Text.RegularExpressions.MatchEvaluator] {
+        param($match)
+        $assetPath = $match.Groups[1].Value
+        if ($assetPath -eq 'assets/data.js') {
+            $code = $DataJs
+        }
+        else {
+            $sourcePath = Get-AssetSourcePath $assetPath
+            if (-not (Test-Path $sourcePath)) {
+                Write-Warning "Script not found: $sourcePath. It is left out of the report."
+                return ''
+            }
+            $code = Get-Content -Path $sourcePath -Raw -Encoding UTF8
+        }
+        # "</script" inside inlined code would end the script element early
+        return "<script>`n" + ($code -replace '</script', '<\/script') + "`n</script>"
+    }
+    $html = [regex]::Replace($TemplateHtml, '<link\s+href="(assets/[^"]+\.css)"\s+rel="stylesheet"\s*/?>', $stylesheetEvaluator)
+    return [regex]::Replace($html, '<script\s+src="(assets/[^"]+)"\s*></script>', $scriptEvaluator)
+}
+
+# -----------------------------------------------------------------------------
+# Function: Get-ReportSummary
+# Description: Reads the entry of a generated report folder for the report index:
+#              the metadata of its assets/data.js, or of the data inlined into a
+#              single-file report.html; the data object is parsed once. Returns $null
+#              if the folder has no report.html. Reports from before the index have
+#              no totals in their metadata, so their users are counted and summed.
+# -----------------------------------------------------------------------------
+function Get-ReportSummary {
+    param ([string]$Folder)
+    if (-not (Test-Path -LiteralPath (Join-Path $Folder "report.html"))) { return $null }
+
+    $folderName = Split-Path -Leaf $Folder
+    $summary = [ordered]@{ folder = $folderName; generatedAt = $null; generatedBy = $null; computerName = $null; startDate = $null; endDate = $null; userCount = $null; totalUsage = $null }
+    # Reports without metadata fall back to the timestamp of their folder name
+    if ($folderName -match '^(\d{4})\.(\d{2})\.(\d{2}) (\d{2})\.(\d{2})\.(\d{2})$') {
+        $summary.generatedAt = "$($Matches[1])-$($Matches[2])-$($Matches[3])T$($Matches[4]):$($Matches[5]):$($Matches[6])"
+    }
+
+    $dataJsPath = Join-Path $Folder "assets\data.js"
+    $sourcePath = if (Test-Path -LiteralPath $dataJsPath) { $dataJsPath } else { Join-Path $Folder "report.html" }
+    try {
+        $text = [System.IO.File]::ReadAllText($sourcePath, [System.Text.Encoding]::UTF8)
     }
     catch {
-        return $false
+        Write-Warning "Cannot read the report in $Folder ($($_.Exception.Message)). It is listed without details."
+        return [PSCustomObject]$summary
     }
+
+    # The data is the object assigned to window.reportData in assets\data.js, or in the inlined data script of a
+    # single-file report, where "</script" inside the data is escaped, so the first one after it ends the script
+    $dataStart = $text.IndexOf('window.reportData = ', [System.StringComparison]::Ordinal)
+    if ($dataStart -lt 0) { return [PSCustomObject]$summary }
+    $jsonStart = $dataStart + 'window.reportData = '.Length
+    $scriptEnd = $text.IndexOf('</script>', $jsonStart, [System.StringComparison]::Ordinal)
+    $jsonEnd = if ($scriptEnd -ge 0) { $scriptEnd } else { $text.Length }
+    try {
+        $data = $text.Substring($jsonStart, $jsonEnd - $jsonStart).Trim().TrimEnd(';') | ConvertFrom-Json
+    }
+    catch {
+        Write-Warning "Cannot read the data of the report in $Folder ($($_.Exception.Message)). It is listed without details."
+        return [PSCustomObject]$summary
+    }
+    if ($null -eq $data) { return [PSCustomObject]$summary }
+
+    $metadata = $data.metadata
+    $dateRange = $data.dateRange
+    if ($metadata) {
+        if ($metadata.generatedAt) { $summary.generatedAt = $metadata.generatedAt }
+        $summary.generatedBy = $metadata.generatedBy
+        $summary.computerName = $metadata.computerName
+    }
+    if ($dateRange) {
+        $summary.startDate = $dateRange.startDate
+        $summary.endDate = $dateRange.endDate
+    }
+
+    # Reports from before the totals were added to the metadata are summed from their users
+    if ($metadata -and $null -ne $metadata.userCount -and $null -ne $metadata.totalUsage) {
+        $summary.userCount = $metadata.userCount
+        $summary.totalUsage = $metadata.totalUsage
+    }
+    elseif ($null -ne $data.users) {
+        $users = @($data.users)
+        $summary.userCount = $users.Count
+        $summary.totalUsage = [math]::Round([double](($users | ForEach-Object { $_.summary.totalUsage } | Measure-Object -Sum).Sum), 2)
+    }
+    return [PSCustomObject]$summary
+}
+
+# -----------------------------------------------------------------------------
+# Function: Write-ReportIndex
+# Description: Rebuilds index.html in $BaseReportsPath: a list of all report
+#              folders in HTML\, newest first, made from report_index_template.html
+#              with the scripts and the list inlined. Since it is made from the
+#              report folders alone, it can be rebuilt at any time (-IndexOnly).
+#              Returns the number of reports listed.
+# -----------------------------------------------------------------------------
+function Write-ReportIndex {
+    $htmlFolder = Join-Path -Path $ResolvedBaseReportsPath -ChildPath "HTML"
+    $reports = @()
+    # Newest first by the time the report was generated (with or without a UTC offset), then by folder name;
+    # reports without a readable time go last
+    $generatedTime = {
+        $value = $_.generatedAt
+        if ($value -is [DateTime]) { return ([DateTimeOffset]$value).UtcTicks }
+        $time = [DateTimeOffset]::MinValue
+        if ([DateTimeOffset]::TryParse([string]$value, [System.Globalization.CultureInfo]::InvariantCulture, [System.Globalization.DateTimeStyles]::AssumeLocal, [ref]$time)) { return $time.UtcTicks }
+        return 0
+    }
+    if (Test-Path $htmlFolder) {
+        $reports = @(Get-ChildItem -LiteralPath $htmlFolder -Directory | ForEach-Object { Get-ReportSummary $_.FullName } | Where-Object { $null -ne $_ } |
+            Sort-Object -Property @{ Expression = $generatedTime; Descending = $true }, @{ Expression = { $_.folder }; Descending = $true })
+    }
+
+    $indexTemplate = Get-Content -Path (Join-Path -Path $ResolvedToolsFolder -ChildPath "report_index_template.html") -Raw -Encoding UTF8 -ErrorAction Stop
+    $indexHtml = New-SingleFileHtml -TemplateHtml $indexTemplate -DataJs "window.reportIndex = $(ConvertTo-Json -InputObject $reports -Depth 3 -Compress);"
+
+    # Written next to the index and then renamed, so a failed run never leaves a half-written index
+    New-Item -Path $ResolvedBaseReportsPath -ItemType Directory -Force -ErrorAction Stop | Out-Null
+    $indexPath = Join-Path -Path $ResolvedBaseReportsPath -ChildPath "index.html"
+    Set-Content -LiteralPath "$indexPath.tmp" -Value $indexHtml -Encoding UTF8 -ErrorAction Stop
+    Move-Item -LiteralPath "$indexPath.tmp" -Destination $indexPath -Force -ErrorAction Stop
+    return $reports.Count
 }
 
 # =============================================================================
@@ -50,18 +442,53 @@ $ScriptDir = Split-Path -Parent $MyInvocation.MyCommand.Definition
 # Resolve full paths based on the script's directory
 $ResolvedDbPath = Join-Path -Path $ScriptDir -ChildPath $DbPath
 $ResolvedToolsFolder = Join-Path -Path $ScriptDir -ChildPath $ToolsFolder
+$ResolvedBaseReportsPath = Join-Path -Path $ScriptDir -ChildPath $BaseReportsPath
+$ResolvedArchivePath = if ($ArchivePath) { Join-Path -Path $ScriptDir -ChildPath $ArchivePath } else { Join-Path -Path $ResolvedBaseReportsPath -ChildPath "usage-archive.db" }
 $ResolvedUserNamesFilePath = Join-Path -Path $ResolvedToolsFolder -ChildPath $UserNamesFile
+$ResolvedUserMergesFilePath = Join-Path -Path $ResolvedToolsFolder -ChildPath $UserMergesFile
+$ResolvedQuotasFilePath = Join-Path -Path $ResolvedToolsFolder -ChildPath $QuotasFile
+$ResolvedHolidaysFilePath = Join-Path -Path $ResolvedToolsFolder -ChildPath $HolidaysFile
 $ResolvedHtmlTemplatePath = Join-Path -Path $ResolvedToolsFolder -ChildPath "report_template.html"
 $ResolvedReportAppJsPath = Join-Path -Path $ResolvedToolsFolder -ChildPath "report_app.js"
 $ResolvedShamsiConverterJsPath = Join-Path -Path $ResolvedToolsFolder -ChildPath "shamsi-converter.js"
 $ResolvedPrintCssPath = Join-Path -Path $ResolvedToolsFolder -ChildPath "print-styles.css"
 
+# -IndexOnly rebuilds the list of the generated reports without reading the database
+if ($IndexOnly) {
+    $reportCount = Write-ReportIndex
+    Write-Host "Report index rebuilt with $reportCount reports: $(Join-Path -Path $ResolvedBaseReportsPath -ChildPath 'index.html')"
+    exit
+}
+
 
 # -----------------------------------------------------------------------------
-# Dynamically set StartDate and EndDate to the last year (365 days)
+# Resolve the report date range
+# $StartDate and $EndDate may be Gregorian or Shamsi; the bounds that are not
+# given come from $Preset (by default the last 365 days).
 # -----------------------------------------------------------------------------
-$EndDate = (Get-Date).ToString("yyyy-MM-dd")
-$StartDate = (Get-Date).AddDays(-365).ToString("yyyy-MM-dd") # Fetch data for the last 365 days (one year)
+$PersianCalendar = New-Object System.Globalization.PersianCalendar
+$InvariantCulture = [System.Globalization.CultureInfo]::InvariantCulture # Dates are always written with the Gregorian calendar
+
+if ($Preset -eq 'LastShamsiMonths' -and $Months -lt 1) { Write-Error "Invalid Months ($Months). Please use a number of months of 1 or more."; exit }
+$presetRange = Get-PresetDateRange -Name $Preset -MonthCount $Months
+$DateRangePreset = if ($StartDate -and $EndDate) { 'Custom' } else { $Preset }
+
+if ($StartDate) {
+    $gregorianStartDate = ConvertTo-GregorianDate $StartDate
+    if (-not $gregorianStartDate) { Write-Error "Invalid StartDate ($StartDate). Please use yyyy-MM-dd (Gregorian) or yyyy/MM/dd (Shamsi) format."; exit }
+    $StartDate = $gregorianStartDate
+}
+else {
+    $StartDate = $presetRange.StartDate
+}
+if ($EndDate) {
+    $gregorianEndDate = ConvertTo-GregorianDate $EndDate
+    if (-not $gregorianEndDate) { Write-Error "Invalid EndDate ($EndDate). Please use yyyy-MM-dd (Gregorian) or yyyy/MM/dd (Shamsi) format."; exit }
+    $EndDate = $gregorianEndDate
+}
+else {
+    $EndDate = $presetRange.EndDate
+}
 
 # -----------------------------------------------------------------------------
 # Prerequisites Check & Input Validation
@@ -70,14 +497,16 @@ if (-not (Get-Command sqlite3 -ErrorAction SilentlyContinue)) {
     Write-Error "The 'sqlite3' command was not found. Please ensure SQLite3 is installed and available in your system's PATH."
     exit
 }
-if (-not (Test-DateFormat $StartDate)) { Write-Error "Invalid StartDate format ($StartDate). Please use yyyy-MM-dd format."; exit }
-if (-not (Test-DateFormat $EndDate)) { Write-Error "Invalid EndDate format ($EndDate). Please use yyyy-MM-dd format."; exit }
-if (-not (Test-Path $ResolvedDbPath)) { Write-Error "Database file not found at: $ResolvedDbPath"; exit }
+if ($StartDate -gt $EndDate) { Write-Error "StartDate ($StartDate) is after EndDate ($EndDate)."; exit }
+# Without the SPBM database a report can still be built from the usage archive
+$hasDatabase = Test-Path $ResolvedDbPath
+if (-not $hasDatabase -and ($NoArchive -or -not (Test-Path $ResolvedArchivePath))) { Write-Error "Database file not found at: $ResolvedDbPath"; exit }
 if (-not (Test-Path $ResolvedToolsFolder)) { Write-Error "Tools folder not found at: $ResolvedToolsFolder"; exit }
 if (-not (Test-Path $ResolvedUserNamesFilePath)) { Write-Error "User names file not found at: $ResolvedUserNamesFilePath. Please create 'user_names.txt' in your 'Report Tools' folder."; exit }
 if (-not (Test-Path $ResolvedHtmlTemplatePath)) { Write-Error "HTML template file not found at: $ResolvedHtmlTemplatePath. Please create 'report_template.html' in your 'Report Tools' folder."; exit }
 if (-not (Test-Path $ResolvedReportAppJsPath)) { Write-Error "Report App JS file not found at: $ResolvedReportAppJsPath. Please create 'report_app.js' in your 'Report Tools' folder."; exit }
 if (-not (Test-Path $ResolvedShamsiConverterJsPath)) { Write-Error "Shamsi Converter JS file not found at: $ResolvedShamsiConverterJsPath. Please create 'shamsi-converter.js' in your 'Report Tools' folder."; exit }
+if ($HourlyUsageTable -notmatch '^[A-Za-z_][A-Za-z0-9_]*$' -or $HourlyTimeColumn -notmatch '^[A-Za-z_][A-Za-z0-9_]*$') { Write-Error "Invalid HourlyUsageTable ($HourlyUsageTable) or HourlyTimeColumn ($HourlyTimeColumn). Only letters, digits and underscores are allowed."; exit }
 if (-not (Test-Path $ResolvedPrintCssPath)) { Write-Error "Print Styles CSS file not found at: $ResolvedPrintCssPath. Please create 'print-styles.css' in your 'Report Tools' folder."; exit }
 
 
@@ -85,7 +514,6 @@ if (-not (Test-Path $ResolvedPrintCssPath)) { Write-Error "Print Styles CSS file
 # Build Report Paths and Folders
 # -----------------------------------------------------------------------------
 $timestamp = Get-Date -Format "yyyy.MM.dd HH.mm.ss"
-$ResolvedBaseReportsPath = Join-Path -Path $ScriptDir -ChildPath $BaseReportsPath
 
 $dynamicReportFolder = Join-Path -Path (Join-Path -Path $ResolvedBaseReportsPath -ChildPath "HTML") -ChildPath $timestamp
 $assetsFolder = Join-Path -Path $dynamicReportFolder -ChildPath "assets" # Create assets folder inside report folder
@@ -99,112 +527,266 @@ $OutputDataJs = Join-Path -Path $assetsFolder -ChildPath "data.js" # data.js goe
 
 # Create directories
 New-Item -Path $dynamicReportFolder -ItemType Directory -Force -ErrorAction Stop | Out-Null
-New-Item -Path $assetsFolder -ItemType Directory -Force -ErrorAction Stop | Out-Null # Create assets folder
-New-Item -Path $libFolder -ItemType Directory -Force -ErrorAction Stop | Out-Null # Create lib folder
-New-Item -Path $cssFolder -ItemType Directory -Force -ErrorAction Stop | Out-Null # Create css folder
-New-Item -Path $fontsFolder -ItemType Directory -Force -ErrorAction Stop | Out-Null # Create fonts folder
 
 
 # -----------------------------------------------------------------------------
 # Copy Library Files and other assets to their correct subfolders
+# (not needed for a single-file report, which inlines them)
 # -----------------------------------------------------------------------------
-# Library files go into assets/lib
-$libFiles = @("react.min.js", "react-dom.min.js", "chart.min.js", "tailwind.min.js", "Vazir.css")
-foreach ($fileName in $libFiles) {
-    $sourcePath = Join-Path $ResolvedToolsFolder $fileName
-    $destinationPath = Join-Path $libFolder $fileName 
-    if (Test-Path $sourcePath) {
-        Copy-Item -Path $sourcePath -Destination $destinationPath -Force
-    }
-    else {
-        Write-Warning "Library file not found: $fileName at $sourcePath. Please ensure this file exists in your 'Report Tools' folder."
+if (-not $SingleFile) {
+    New-Item -Path $assetsFolder -ItemType Directory -Force -ErrorAction Stop | Out-Null # Create assets folder
+    New-Item -Path $libFolder -ItemType Directory -Force -ErrorAction Stop | Out-Null # Create lib folder
+    New-Item -Path $cssFolder -ItemType Directory -Force -ErrorAction Stop | Out-Null # Create css folder
+    New-Item -Path $fontsFolder -ItemType Directory -Force -ErrorAction Stop | Out-Null # Create fonts folder
+
+    # Library files go into assets/lib
+    $libFiles = @("react.min.js", "react-dom.min.js", "chart.min.js", "tailwind.min.js", "Vazir.css")
+    foreach ($fileName in $libFiles) {
+        $sourcePath = Join-Path $ResolvedToolsFolder $fileName
+        $destinationPath = Join-Path $libFolder $fileName 
+        if (Test-Path $sourcePath) {
+            Copy-Item -Path $sourcePath -Destination $destinationPath -Force
+        }
+        else {
+            Write-Warning "Library file not found: $fileName at $sourcePath. Please ensure this file exists in your 'Report Tools' folder."
+        }
     }
-}
 
-# Custom JS/CSS files go into assets
-$customAssetFiles = @("shamsi-converter.js", "print-styles.css", "report_app.js")
-foreach ($fileName in $customAssetFiles) {
-    $sourcePath = Join-Path $ResolvedToolsFolder $fileName
-    $destinationPath = Join-Path $assetsFolder $fileName # Copy directly to assets folder
-    if (Test-Path $sourcePath) {
-        Copy-Item -Path $sourcePath -Destination $destinationPath -Force
-    }
-    else {
-        Write-Warning "Custom asset file not found: $fileName at $sourcePath. Please ensure this file exists in your 'Report Tools' folder."
+    # Custom JS/CSS files go into assets
+    $customAssetFiles = @("shamsi-converter.js", "usage-format.js", "usage-metrics.js", "usage-export.js", "shamsi-calendar.js", "usage-forecast.js", "usage-anomalies.js", "usage-index.js", "xlsx-writer.js", "print-styles.css", "report_app.js")
+    foreach ($fileName in $customAssetFiles) {
+        $sourcePath = Join-Path $ResolvedToolsFolder $fileName
+        $destinationPath = Join-Path $assetsFolder $fileName # Copy directly to assets folder
+        if (Test-Path $sourcePath) {
+            Copy-Item -Path $sourcePath -Destination $destinationPath -Force
+        }
+        else {
+            Write-Warning "Custom asset file not found: $fileName at $sourcePath. Please ensure this file exists in your 'Report Tools' folder."
+        }
     }
-}
 
-# Flaticon files go into assets/css and assets/fonts
-$sourceFlaticonCssPath = Join-Path $ResolvedToolsFolder "css\flaticon.css"
-$destinationFlaticonCssPath = Join-Path $cssFolder "flaticon.css"
-if (Test-Path $sourceFlaticonCssPath) {
-    Copy-Item -Path $sourceFlaticonCssPath -Destination $destinationFlaticonCssPath -Force
-} else {
-    Write-Warning "Flaticon CSS file not found: $sourceFlaticonCssPath."
-}
+    # Flaticon files go into assets/css and assets/fonts
+    $sourceFlaticonCssPath = Join-Path $ResolvedToolsFolder "css\flaticon.css"
+    $destinationFlaticonCssPath = Join-Path $cssFolder "flaticon.css"
+    if (Test-Path $sourceFlaticonCssPath) {
+        Copy-Item -Path $sourceFlaticonCssPath -Destination $destinationFlaticonCssPath -Force
+    } else {
+        Write-Warning "Flaticon CSS file not found: $sourceFlaticonCssPath."
+    }
 
-$sourceFlaticonTtfPath = Join-Path $ResolvedToolsFolder "fonts\flaticon.ttf"
-$destinationFlaticonTtfPath = Join-Path $fontsFolder "flaticon.ttf"
-if (Test-Path $sourceFlaticonTtfPath) {
-    Copy-Item -Path $sourceFlaticonTtfPath -Destination $destinationFlaticonTtfPath -Force
-} else {
-    Write-Warning "Flaticon TTF file not found: $sourceFlaticonTtfPath."
+    $sourceFlaticonTtfPath = Join-Path $ResolvedToolsFolder "fonts\flaticon.ttf"
+    $destinationFlaticonTtfPath = Join-Path $fontsFolder "flaticon.ttf"
+    if (Test-Path $sourceFlaticonTtfPath) {
+        Copy-Item -Path $sourceFlaticonTtfPath -Destination $destinationFlaticonTtfPath -Force
+    } else {
+        Write-Warning "Flaticon TTF file not found: $sourceFlaticonTtfPath."
+    }
 }
 
 
 # -----------------------------------------------------------------------------
 # Load User Names Mapping
+# Each line is "UserID,RealName" with an optional third column: "UserID,RealName,Group"
 # -----------------------------------------------------------------------------
 $UserMapping = @{}
+$GroupMapping = @{}
 Get-Content -Path $ResolvedUserNamesFilePath | ForEach-Object {
     $line = $_.Trim()
     if ($line -notmatch '^\s*$') { # Skip empty lines
-        $parts = $line -split ',', 2 # Split only on the first comma
-        if ($parts.Length -eq 2) {
+        $parts = $line -split ',', 3 # Split on the first two commas only
+        if ($parts.Length -ge 2) {
             $UserID = $parts[0].Trim()
             $RealName = $parts[1].Trim()
             $UserMapping[$UserID] = $RealName
+            if ($parts.Length -eq 3 -and $parts[2].Trim() -ne '') {
+                $GroupMapping[$UserID] = $parts[2].Trim()
+            }
         }
     }
 }
 
 
 # -----------------------------------------------------------------------------
-# Fetch Data from Database
+# Load User Merges (optional)
+# Each line is "PersonID,OtherID[,OtherID...]": the usage of the other computer
+# IDs is reported under the first one, with its name and group (e.g. the LAN
+# and Wi-Fi rules of one laptop). Lines starting with '#' are comments.
 # -----------------------------------------------------------------------------
-$cacheQuery = "SELECT r.NAME, d.DAY, ROUND(d.RECV_BYTES / 1048576.0, 2), ROUND(d.SEND_BYTES / 1048576.0, 2), ROUND((d.RECV_BYTES + d.SEND_BYTES) / 1048576.0, 2) FROM DAY_USAGE d JOIN STREAM s ON d.STREAM_ID = s.ID JOIN RULE r ON s.RULE_ID = r.ID WHERE d.DAY BETWEEN '$StartDate' AND '$EndDate' ORDER BY r.NAME, d.DAY DESC"
-$cacheData = sqlite3 -tabs $ResolvedDbPath $cacheQuery
+$MergedInto = @{} # Merged computer ID -> computer ID it is reported under
+if (Test-Path $ResolvedUserMergesFilePath) {
+    Get-Content -Path $ResolvedUserMergesFilePath | ForEach-Object {
+        $line = $_.Trim()
+        if ($line -notmatch '^\s*$' -and -not $line.StartsWith('#')) { # Skip empty and comment lines
+            $ids = @($line -split ',' | ForEach-Object { $_.Trim() } | Where-Object { $_ -ne '' })
+            $personId = $ids[0]
+            $ids | Select-Object -Skip 1 | Where-Object { $_ -ne $personId } | ForEach-Object {
+                if ($MergedInto.ContainsKey($_) -and $MergedInto[$_] -ne $personId) {
+                    Write-Warning "Computer ID '$_' is merged into both '$($MergedInto[$_])' and '$personId' in $UserMergesFile. The first merge is used."
+                }
+                else {
+                    $MergedInto[$_] = $personId
+                }
+            }
+        }
+    }
+}
 
-$summaryQuery = "SELECT r.NAME, ROUND(SUM(d.RECV_BYTES) / 1048576.0, 2), ROUND(SUM(d.SEND_BYTES) / 1048576.0, 2), ROUND(SUM(d.RECV_BYTES + d.SEND_BYTES) / 1048576.0, 2) FROM DAY_USAGE d JOIN STREAM s ON d.STREAM_ID = s.ID JOIN RULE r ON s.RULE_ID = r.ID WHERE d.DAY BETWEEN '$StartDate' AND '$EndDate' GROUP BY r.NAME"
-$summaryData = sqlite3 -tabs $ResolvedDbPath $summaryQuery
 
-# New query to get monthly usage per user for highest consumer calculation
-$monthlyUserUsageQuery = "
-    SELECT
-        STRFTIME('%Y-%m', d.DAY) AS Month,
-        r.NAME AS UserName,
-        ROUND(SUM(d.RECV_BYTES + d.SEND_BYTES) / 1048576.0, 2) AS TotalUsageMB
-    FROM
-        DAY_USAGE d
-    JOIN
-        STREAM s ON d.STREAM_ID = s.ID
-    JOIN
-        RULE r ON s.RULE_ID = r.ID
-    WHERE
-        d.DAY BETWEEN '$StartDate' AND '$EndDate'
-    GROUP BY
-        Month, UserName
-    ORDER BY
-        Month, TotalUsageMB DESC;
-"
-$monthlyUserUsageData = sqlite3 -tabs $ResolvedDbPath $monthlyUserUsageQuery
+# -----------------------------------------------------------------------------
+# Load Monthly Quotas (optional)
+# Each line is "Key,Quota" where Key is a computer ID, "group:<GroupName>" or
+# "default", and Quota is a monthly volume in MB (or with an MB/GB/TB suffix).
+# Lines starting with '#' are comments.
+# -----------------------------------------------------------------------------
+$Quotas = @{ default = $null; groups = @{}; users = @{} }
+if (Test-Path $ResolvedQuotasFilePath) {
+    Get-Content -Path $ResolvedQuotasFilePath | ForEach-Object {
+        $line = $_.Trim()
+        if ($line -notmatch '^\s*$' -and -not $line.StartsWith('#')) { # Skip empty and comment lines
+            $parts = $line -split ',', 2
+            if ($parts.Length -eq 2) {
+                $key = $parts[0].Trim()
+                $quotaMB = ConvertTo-QuotaMB $parts[1]
+                if ($null -eq $quotaMB) {
+                    Write-Warning "Invalid quota value '$($parts[1].Trim())' for '$key' in $QuotasFile. Line skipped."
+                }
+                elseif ($key -eq 'default') {
+                    $Quotas.default = $quotaMB
+                }
+                elseif ($key.StartsWith('group:')) {
+                    $Quotas.groups[$key.Substring(6).Trim()] = $quotaMB
+                }
+                else {
+                    $Quotas.users[$key] = $quotaMB
+                }
+            }
+        }
+    }
+}
+
+
+# -----------------------------------------------------------------------------
+# Load Official Holidays (optional)
+# Each line is "Date,Name" where Date is a Shamsi "MM/dd" for a holiday that
+# falls on the same Shamsi day every year, or a full Shamsi (or Gregorian) date
+# for a holiday of one year only. Only holidays inside the report date range
+# are kept, keyed by their Gregorian date. Lines starting with '#' are comments.
+# -----------------------------------------------------------------------------
+$Holidays = @{}
+if (Test-Path $ResolvedHolidaysFilePath) {
+    $firstShamsiYear = $PersianCalendar.GetYear([DateTime]::ParseExact($StartDate, "yyyy-MM-dd", $InvariantCulture))
+    $lastShamsiYear = $PersianCalendar.GetYear([DateTime]::ParseExact($EndDate, "yyyy-MM-dd", $InvariantCulture))
+    Get-Content -Path $ResolvedHolidaysFilePath | ForEach-Object {
+        $line = $_.Trim()
+        if ($line -notmatch '^\s*$' -and -not $line.StartsWith('#')) { # Skip empty and comment lines
+            $parts = $line -split ',', 2
+            $dateText = $parts[0].Trim()
+            $holidayName = if ($parts.Length -eq 2 -and $parts[1].Trim() -ne '') { $parts[1].Trim() } else { 'تعطیل رسمی' }
+            if ($dateText -match '^\d{1,2}/\d{1,2}$') {
+                # 1403 is a leap year, so Esfand 30 is accepted here and skipped in the years that lack it
+                if ($null -eq (ConvertTo-GregorianDate "1403/$dateText")) {
+                    Write-Warning "Invalid holiday date '$dateText' in $HolidaysFile. Line skipped."
+                    return
+                }
+                $holidayDates = @($firstShamsiYear..$lastShamsiYear | ForEach-Object { ConvertTo-GregorianDate "$_/$dateText" })
+            }
+            else {
+                $holidayDate = ConvertTo-GregorianDate $dateText
+                if ($null -eq $holidayDate) {
+                    Write-Warning "Invalid holiday date '$dateText' in $HolidaysFile. Line skipped."
+                    return
+                }
+                $holidayDates = @($holidayDate)
+            }
+            $holidayDates | Where-Object { $_ -and $_ -ge $StartDate -and $_ -le $EndDate } | ForEach-Object { $Holidays[$_] = $holidayName }
+        }
+    }
+}
+
+
+# -----------------------------------------------------------------------------
+# Update the Usage Archive
+# Each run merges the SPBM database into the archive and the report is read
+# from the archive, so days that SPBM has since pruned or reset stay in the
+# reports. A damaged archive is left untouched and the report falls back to
+# the SPBM database.
+# -----------------------------------------------------------------------------
+$useArchive = -not $NoArchive
+
+# Hourly usage is optional: older databases or SPBM setups without hourly logging do not have the table
+$hasHourlyTable = $false
+if ($hasDatabase) {
+    $hasHourlyTable = (sqlite3 $ResolvedDbPath "SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' AND name = '$HourlyUsageTable'") -eq '1'
+    if (-not $hasHourlyTable) {
+        $heatmapNote = if ($useArchive) { "The time-of-day heatmap shows only the hours already in the usage archive." } else { "The time-of-day heatmap will be empty." }
+        Write-Warning "Hourly usage table '$HourlyUsageTable' not found in the database. $heatmapNote"
+    }
+}
+else {
+    Write-Warning "Database file not found at: $ResolvedDbPath. The report is built from the usage archive only."
+}
+
+if ($useArchive -and -not (Test-UsageArchive)) {
+    if (-not $hasDatabase) { Write-Error "The usage archive $ResolvedArchivePath is damaged and there is no database to build the report from."; exit }
+    Write-Warning "The usage archive $ResolvedArchivePath is damaged and was not updated. Please restore it from a backup; this report is built from the database only."
+    $useArchive = $false
+}
+elseif ($useArchive -and $hasDatabase) {
+    New-Item -Path (Split-Path -Parent $ResolvedArchivePath) -ItemType Directory -Force -ErrorAction Stop | Out-Null
+    $archiveError = Update-UsageArchive -IncludeHourly $hasHourlyTable
+    if ($archiveError) {
+        # The usage archived by earlier runs is still good for the report
+        $useArchive = (Test-Path $ResolvedArchivePath) -and (sqlite3 $ResolvedArchivePath "SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' AND name IN ('DAY_USAGE', 'HOUR_USAGE')") -eq '2'
+        $archiveNote = if ($useArchive) { "this report shows the usage archived so far" } else { "this report is built from the database only" }
+        Write-Warning "The usage archive $ResolvedArchivePath could not be updated ($archiveError). It was left as it was; $archiveNote."
+    }
+}
+
+
+# -----------------------------------------------------------------------------
+# Fetch Data from the Archive (or the Database)
+# -----------------------------------------------------------------------------
+$reportDbPath = if ($useArchive) { $ResolvedArchivePath } else { $ResolvedDbPath }
+$usageQueries = if ($useArchive) {
+    @{ Day = "SELECT NAME, DAY, RECV_BYTES, SEND_BYTES FROM DAY_USAGE"; Hour = "SELECT NAME, DAY, HOUR, RECV_BYTES, SEND_BYTES FROM HOUR_USAGE" }
+}
+else {
+    Get-SpbmUsageQueries
+}
+
+$cacheQuery = "SELECT u.NAME, u.DAY, ROUND(u.RECV_BYTES / 1048576.0, 2), ROUND(u.SEND_BYTES / 1048576.0, 2), ROUND((u.RECV_BYTES + u.SEND_BYTES) / 1048576.0, 2) FROM ($($usageQueries.Day)) u WHERE u.DAY BETWEEN '$StartDate' AND '$EndDate' ORDER BY u.NAME, u.DAY DESC"
+$cacheData = sqlite3 -tabs $reportDbPath $cacheQuery
+
+$summaryQuery = "SELECT u.NAME, ROUND(SUM(u.RECV_BYTES) / 1048576.0, 2), ROUND(SUM(u.SEND_BYTES) / 1048576.0, 2), ROUND(SUM(u.RECV_BYTES + u.SEND_BYTES) / 1048576.0, 2) FROM ($($usageQueries.Day)) u WHERE u.DAY BETWEEN '$StartDate' AND '$EndDate' GROUP BY u.NAME"
+$summaryData = sqlite3 -tabs $reportDbPath $summaryQuery
+
+$hourlyUsageData = @()
+if ($useArchive -or $hasHourlyTable) {
+    $hourlyUsageQuery = "SELECT u.NAME, u.DAY, u.HOUR, ROUND(SUM(u.RECV_BYTES + u.SEND_BYTES) / 1048576.0, 2) FROM ($($usageQueries.Hour)) u WHERE u.DAY BETWEEN '$StartDate' AND '$EndDate' GROUP BY u.NAME, u.DAY, u.HOUR"
+    $hourlyUsageData = sqlite3 -tabs $reportDbPath $hourlyUsageQuery
+}
 
 
 # -----------------------------------------------------------------------------
 # Process Data (Apply User Names Mapping)
 # -----------------------------------------------------------------------------
-$data = @{ users = @(); dateRange = @{ startDate = $StartDate; endDate = $EndDate }; monthlyHighestConsumers = @{} }
-$userData = @{}
+$data = @{
+    users     = @()
+    dateRange = @{ startDate = $StartDate; endDate = $EndDate; preset = $DateRangePreset; months = if ($Preset -eq 'LastShamsiMonths') { $Months } else { $null } }
+    quotas    = $Quotas
+    holidays  = $Holidays
+    metadata  = @{
+        generatedAt  = (Get-Date).ToString("o") # Local time with UTC offset
+        generatedBy  = [Environment]::UserName
+        computerName = [Environment]::MachineName
+        generator    = "Generate-Report.ps1"
+    }
+}
+# Users are keyed by computer ID, so two IDs mapped to the same name stay two
+# users; only the IDs of $UserMergesFile are added up under one person.
+$userData = @{} # Person ID -> daily rows, one per day
+$dayRows = @{} # Person ID -> day -> its row in $userData
+$computerIds = @{} # Person ID -> computer IDs with usage
 
 $excludedUsersSet = New-Object System.Collections.Generic.HashSet[string]
 $ExcludedUsers | ForEach-Object { [void]$excludedUsersSet.Add($_.Trim()) }
@@ -214,9 +796,24 @@ foreach ($line in $cacheData) {
     if ($fields.Count -eq 5) {
         $user = $fields[0].Trim() 
         if (-not $excludedUsersSet.Contains($user)) {
-            $DisplayName = if ($UserMapping.ContainsKey($user)) { $UserMapping[$user] } else { $user } # Map UserID to RealName
-            if (-not $userData.ContainsKey($DisplayName)) { $userData[$DisplayName] = @() }
-            $userData[$DisplayName] += [PSCustomObject]@{ userId = $user; name = $DisplayName; day = $fields[1]; download = [double]$fields[2]; upload = [double]$fields[3]; totalUsage = [double]$fields[4] }
+            $personId = Get-PersonId $user
+            if (-not $userData.ContainsKey($personId)) {
+                $userData[$personId] = New-Object System.Collections.Generic.List[object]
+                $dayRows[$personId] = @{}
+                $computerIds[$personId] = New-Object System.Collections.Generic.HashSet[string]
+            }
+            [void]$computerIds[$personId].Add($user)
+            # The streams of a computer and the merged computers of a person add up to one row per day
+            $day = $fields[1]
+            $row = $dayRows[$personId][$day]
+            if ($null -eq $row) {
+                $row = [PSCustomObject]@{ userId = $personId; name = (Get-DisplayName $personId); day = $day; download = 0.0; upload = 0.0; totalUsage = 0.0 }
+                $dayRows[$personId][$day] = $row
+                $userData[$personId].Add($row)
+            }
+            $row.download = [math]::Round($row.download + [double]$fields[2], 2)
+            $row.upload = [math]::Round($row.upload + [double]$fields[3], 2)
+            $row.totalUsage = [math]::Round($row.totalUsage + [double]$fields[4], 2)
         }
     }
 }
@@ -227,94 +824,95 @@ foreach ($line in $summaryData) {
     if ($fields.Count -eq 4) {
         $user = $fields[0].Trim()
         if (-not $excludedUsersSet.Contains($user)) {
-            $DisplayName = if ($UserMapping.ContainsKey($user)) { $UserMapping[$user] } else { $user } # Map UserID to RealName
-            $summaryDataClean[$DisplayName] = [PSCustomObject]@{
-                userId        = $user # Add UserID to summary data
-                totalDownload = [double]$fields[1]
-                totalUpload   = [double]$fields[2]
-                totalUsage    = [double]$fields[3]
+            $personId = Get-PersonId $user
+            if (-not $summaryDataClean.ContainsKey($personId)) {
+                $summaryDataClean[$personId] = [PSCustomObject]@{ userId = $personId; totalDownload = 0.0; totalUpload = 0.0; totalUsage = 0.0 }
             }
+            $summary = $summaryDataClean[$personId]
+            $summary.totalDownload = [math]::Round($summary.totalDownload + [double]$fields[1], 2)
+            $summary.totalUpload = [math]::Round($summary.totalUpload + [double]$fields[2], 2)
+            $summary.totalUsage = [math]::Round($summary.totalUsage + [double]$fields[3], 2)
         }
     }
 }
 
-# Process monthly highest consumer data
-$currentMonth = ""
-$highestConsumerThisMonth = ""
-$highestConsumptionThisMonth = 0.0
-
-foreach ($line in $monthlyUserUsageData) {
+# Hourly usage per user: day -> array of 24 hourly totals (MB)
+$hourlyData = @{}
+foreach ($line in $hourlyUsageData) {
     $fields = $line -split "`t"
-    if ($fields.Count -eq 3) {
-        $month = $fields[0].Trim()
-        $userName = $fields[1].Trim()
-        $totalUsage = [double]$fields[2]
-
-        # Check if user is excluded
-        if ($excludedUsersSet.Contains($userName)) {
-            continue
-        }
-
-        # Map UserID to RealName for display
-        $DisplayName = if ($UserMapping.ContainsKey($userName)) { $UserMapping[$userName] } else { $userName }
-
-        if ($month -ne $currentMonth) {
-            # New month, store previous month's highest consumer if available
-            if ($currentMonth -ne "") {
-                $data.monthlyHighestConsumers[$currentMonth] = @{
-                    userName = $highestConsumerThisMonth
-                    totalUsage = $highestConsumptionThisMonth
-                }
-            }
-            # Reset for the new month
-            $currentMonth = $month
-            $highestConsumerThisMonth = $DisplayName
-            $highestConsumptionThisMonth = $totalUsage
-        } else {
-            # Same month, update if current user has higher consumption
-            if ($totalUsage -gt $highestConsumptionThisMonth) {
-                $highestConsumerThisMonth = $DisplayName
-                $highestConsumptionThisMonth = $totalUsage
-            }
+    if ($fields.Count -eq 4 -and $fields[1] -ne '') {
+        $user = $fields[0].Trim()
+        if (-not $excludedUsersSet.Contains($user)) {
+            $personId = Get-PersonId $user
+            if (-not $hourlyData.ContainsKey($personId)) { $hourlyData[$personId] = @{} }
+            $day = $fields[1]
+            if (-not $hourlyData[$personId].ContainsKey($day)) { $hourlyData[$personId][$day] = New-Object double[] 24 }
+            $hour = [int]$fields[2]
+            $hourlyData[$personId][$day][$hour] = [math]::Round($hourlyData[$personId][$day][$hour] + [double]$fields[3], 2)
         }
     }
 }
 
-# Store the last month's highest consumer
-if ($currentMonth -ne "") {
-    $data.monthlyHighestConsumers[$currentMonth] = @{
-        userName = $highestConsumerThisMonth
-        totalUsage = $highestConsumptionThisMonth
-    }
+# Problems of the user names mapping, listed in the data-quality panel of the report
+$personIds = @($userData.Keys | Where-Object { $summaryDataClean.ContainsKey($_) } | Sort-Object)
+$nameCollisions = @($personIds | Group-Object -CaseSensitive { Get-DisplayName $_ } | Where-Object { $_.Count -gt 1 } | ForEach-Object { @{ name = $_.Name; userIds = @($_.Group) } })
+$data.dataQuality = @{
+    unmappedIds    = @($personIds | Where-Object { -not $UserMapping.ContainsKey($_) })
+    emptyNames     = @($personIds | Where-Object { $UserMapping.ContainsKey($_) -and $UserMapping[$_] -eq '' })
+    nameCollisions = $nameCollisions
 }
+# Totals for the report index (index.html in $BaseReportsPath)
+$data.metadata.userCount = $personIds.Count
+$data.metadata.totalUsage = [math]::Round([double](($personIds | ForEach-Object { $summaryDataClean[$_].totalUsage } | Measure-Object -Sum).Sum), 2)
 
+if ($data.dataQuality.unmappedIds.Count + $data.dataQuality.emptyNames.Count + $nameCollisions.Count -gt 0) {
+    Write-Warning "User names: $($data.dataQuality.unmappedIds.Count) computer IDs without a name, $($data.dataQuality.emptyNames.Count) empty names and $($nameCollisions.Count) names used by several IDs in $UserNamesFile. See the data-quality panel of the report."
+}
 
-$sortedUserKeys = $userData.Keys | Sort-Object
-foreach ($user in $sortedUserKeys) {
-    if ($summaryDataClean.ContainsKey($user)) {
-        $data.users += @{
-            userId    = $summaryDataClean[$user].userId # Use UserID from summary for consistency
-            name      = $user
-            dailyData = $userData[$user]
-            summary   = $summaryDataClean[$user]
-        }
+foreach ($personId in $personIds) {
+    $data.users += @{
+        userId      = $personId
+        name        = Get-DisplayName $personId
+        group       = Get-UserGroup $personId
+        computerIds = @($computerIds[$personId] | Sort-Object)
+        # Merged IDs come one after another, so their rows are sorted by day again (newest first)
+        dailyData   = if ($computerIds[$personId].Count -gt 1) { @($userData[$personId] | Sort-Object -Property day -Descending) } else { @($userData[$personId]) }
+        hourlyData  = if ($hourlyData.ContainsKey($personId)) { $hourlyData[$personId] } else { @{} }
+        summary     = $summaryDataClean[$personId]
     }
 }
 
 # -----------------------------------------------------------------------------
 # Generate data.js file (contains window.reportData)
 # -----------------------------------------------------------------------------
-$jsonData = $data | ConvertTo-Json -Depth 5 -Compress
+$jsonData = $data | ConvertTo-Json -Depth 6 -Compress
 $jsContentForDataFile = "window.reportData = $jsonData;"
-Set-Content -Path $OutputDataJs -Value $jsContentForDataFile -Encoding UTF8
+if (-not $SingleFile) {
+    Set-Content -Path $OutputDataJs -Value $jsContentForDataFile -Encoding UTF8
+}
 
 
 # -----------------------------------------------------------------------------
 # Generate Final HTML Report File by reading template
+# A single-file report gets the assets and data inlined into the HTML.
 # -----------------------------------------------------------------------------
 $htmlTemplateContent = Get-Content -Path $ResolvedHtmlTemplatePath -Raw -Encoding UTF8
+if ($SingleFile) {
+    $htmlTemplateContent = New-SingleFileHtml -TemplateHtml $htmlTemplateContent -DataJs $jsContentForDataFile
+}
 Set-Content -Path $OutputHtml -Value $htmlTemplateContent -Encoding UTF8
 
+# -----------------------------------------------------------------------------
+# Rebuild the Report Index
+# A failure here does not affect the report that was just written.
+# -----------------------------------------------------------------------------
+try {
+    [void](Write-ReportIndex)
+}
+catch {
+    Write-Warning "The report index could not be rebuilt ($($_.Exception.Message)). Run with -IndexOnly to try again."
+}
+
 # -----------------------------------------------------------------------------
 # Finalization
 # -----------------------------------------------------------------------------
@@ -0,0 +1,969 @@
+﻿// =============================================================================
+//
+// SCRIPT:         generate-report.js
+//
+// DESCRIPTION:    Node.js counterpart of Generate-Report.ps1 for Linux servers.
+//                 Reads a 'Bandwidth Manager' SQLite database with the sqlite3
+//                 command-line tool and writes the same Reports/HTML/<timestamp>/
+//                 folder (report.html + assets/data.js) as the PowerShell script.
+//
+// USAGE:          node "Report Tools/generate-report.js" [options]
+//                 Run with --help for the list of options.
+//
+// =============================================================================
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+
+// =============================================================================
+// SECTION 1: SCRIPT PARAMETERS
+// Defaults match the parameters of Generate-Report.ps1.
+// =============================================================================
+const ToolsFolder = __dirname; // Folder containing report_template.html, report_app.js and libraries
+const ProjectFolder = path.dirname(ToolsFolder);
+
+const defaultOptions = {
+    db: path.join(ProjectFolder, 'Bandwidth Manager.DB'),
+    out: path.join(ProjectFolder, 'Reports'),
+    archive: null, // Cumulative usage archive (SQLite); null means usage-archive.db in the reports folder
+    noArchive: false, // Read the SPBM database only, without updating or using the archive
+    start: null, // First day of the report, Gregorian or Shamsi; overrides the start of the preset
+    end: null, // Last day of the report, Gregorian or Shamsi; overrides the end of the preset
+    preset: 'Last365Days', // Named date range used for the start/end dates that are not given
+    months: '3', // Number of Shamsi months (the current one included) for the LastShamsiMonths preset
+    exclude: ['Admins', 'Automation-PC', 'LocalHost', '512/256 KB', 'LocalHost - OUT', 'LocalHost - IN'],
+    userNames: path.join(ToolsFolder, 'user_names.txt'), // User ID to real name (and optional group) mappings
+    userMerges: path.join(ToolsFolder, 'user_merges.txt'), // Optional computer IDs reported as one person
+    quotas: path.join(ToolsFolder, 'quotas.txt'), // Optional monthly bandwidth quotas
+    holidays: path.join(ToolsFolder, 'holidays.txt'), // Optional official holidays (Shamsi dates)
+    hourlyTable: 'HOUR_USAGE', // Table with hourly usage; skipped if the database has no such table
+    hourlyTimeColumn: 'HOUR', // Column of the hourly table holding the 'yyyy-MM-dd HH:mm:ss' start of each hour
+    groupPattern: '^([A-Za-z]+\\d+)-', // Regex applied to computer IDs; its first capture group becomes the group name
+    defaultGroup: 'سایر', // Group for computer IDs that have no explicit group and do not match the pattern
+    sqlite: 'sqlite3', // sqlite3 command-line tool
+    singleFile: false, // Write one self-contained report.html instead of report.html + assets folder
+    indexOnly: false // Only rebuild the report index (index.html in the reports folder)
+};
+
+const usage = `Usage: node generate-report.js [options]
+
+Options:
+  --db <path>                  SPBM database file (default: "Bandwidth Manager.DB" in the project folder)
+  --start <date>               First day of the report, Gregorian (2025-03-21) or Shamsi (1404/01/01)
+  --end <date>                 Last day of the report, Gregorian or Shamsi
+  --preset <name>              Date range for the dates not given with --start/--end (default: Last365Days):
+                               Last365Days, CurrentShamsiYear, PreviousShamsiYear or LastShamsiMonths
+  --months <n>                 Number of Shamsi months, the current one included, for LastShamsiMonths (default: 3)
+  --out <folder>               Base reports folder; the report goes to <folder>/HTML/<timestamp> (default: Reports)
+  --archive <path>             Cumulative usage archive that keeps the history SPBM prunes or resets
+                               (default: usage-archive.db in the --out folder)
+  --no-archive                 Build the report from the SPBM database only, without updating the archive
+  --exclude <names>            Comma-separated rule names to leave out; replaces the default list
+  --also-exclude <names>       Comma-separated rule names to leave out in addition to the default list
+  --user-names <path>          User names file (default: Report Tools/user_names.txt)
+  --user-merges <path>         File of computer IDs to report as one person (default: Report Tools/user_merges.txt, optional)
+  --quotas <path>              Quotas file (default: Report Tools/quotas.txt, optional)
+  --holidays <path>            Official holidays file (default: Report Tools/holidays.txt, optional)
+  --hourly-table <name>        Hourly usage table (default: HOUR_USAGE)
+  --hourly-time-column <name>  Time column of the hourly usage table (default: HOUR)
+  --group-pattern <regex>      Regex whose first capture group is the group of a computer ID
+  --default-group <name>       Group for computer IDs without a group (default: سایر)
+  --sqlite <path>              sqlite3 command-line tool (default: sqlite3 from PATH)
+  --single-file                Write a single self-contained report.html with all scripts, styles, fonts
+                               and data inlined, so it can be shared as one attachment
+  --index-only                 Only rebuild <out>/index.html, the list of the generated reports, from the
+                               report folders; every report run also rebuilds it
+  --help                       Show this help`;
+
+// =============================================================================
+// SECTION 2: HELPER FUNCTIONS
+// =============================================================================
+
+// -----------------------------------------------------------------------------
+// Function: fail
+// Description: Prints an error and stops the script.
+// -----------------------------------------------------------------------------
+function fail(message) {
+    console.error(`ERROR: ${message}`);
+    process.exit(1);
+}
+
+// -----------------------------------------------------------------------------
+// Function: warn
+// Description: Prints a warning; the report is still generated.
+// -----------------------------------------------------------------------------
+function warn(message) {
+    console.warn(`WARNING: ${message}`);
+}
+
+// -----------------------------------------------------------------------------
+// Function: parseArguments
+// Description: Parses '--name value' and '--name=value' command-line options.
+// -----------------------------------------------------------------------------
+function parseArguments(args) {
+    const options = { ...defaultOptions };
+    const optionNames = {
+        '--db': 'db', '--start': 'start', '--end': 'end', '--preset': 'preset', '--months': 'months', '--out': 'out', '--archive': 'archive', '--exclude': 'exclude', '--also-exclude': 'alsoExclude',
+        '--user-names': 'userNames', '--user-merges': 'userMerges', '--quotas': 'quotas', '--holidays': 'holidays', '--hourly-table': 'hourlyTable', '--hourly-time-column': 'hourlyTimeColumn',
+        '--group-pattern': 'groupPattern', '--default-group': 'defaultGroup', '--sqlite': 'sqlite'
+    };
+    const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--help' || args[i] === '-h') {
+            console.log(usage);
+            process.exit(0);
+        }
+        if (args[i] === '--single-file') {
+            options.singleFile = true;
+            continue;
+        }
+        if (args[i] === '--no-archive') {
+            options.noArchive = true;
+            continue;
+        }
+        if (args[i] === '--index-only') {
+            options.indexOnly = true;
+            continue;
+        }
+        const [flag, inlineValue] = args[i].split(/=(.*)/s);
+        const name = optionNames[flag];
+        if (!name) fail(`Unknown option '${args[i]}'.\n\n${usage}`);
+        const value = inlineValue !== undefined ? inlineValue : args[++i];
+        if (value === undefined) fail(`Option '${flag}' needs a value.`);
+
+        if (name === 'exclude') options.exclude = splitList(value);
+        else if (name === 'alsoExclude') options.exclude = options.exclude.concat(splitList(value));
+        else options[name] = value;
+    }
+    if (!options.archive) options.archive = path.join(options.out, 'usage-archive.db');
+    return options;
+}
+
+// -----------------------------------------------------------------------------
+// Function: isValidDate
+// Description: Validates if a string is a real date in 'yyyy-MM-dd' format.
+// -----------------------------------------------------------------------------
+function isValidDate(dateString) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString || '')) return false;
+    const date = new Date(dateString + 'T00:00:00Z');
+    return !isNaN(date) && date.toISOString().slice(0, 10) === dateString;
+}
+
+// -----------------------------------------------------------------------------
+// Function: formatGregorianDate
+// Description: Formats a Gregorian year, month and day as 'yyyy-MM-dd'.
+// -----------------------------------------------------------------------------
+function formatGregorianDate(year, month, day) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// -----------------------------------------------------------------------------
+// Function: formatLocalDate
+// Description: Formats a Date as 'yyyy-MM-dd' in local time.
+// -----------------------------------------------------------------------------
+function formatLocalDate(date) {
+    return formatGregorianDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+// -----------------------------------------------------------------------------
+// Function: loadShamsiConverter
+// Description: Loads the report's own shamsi-converter.js into a sandbox, so
+//              the generator converts dates exactly like the report does.
+// -----------------------------------------------------------------------------
+function loadShamsiConverter() {
+    const sandbox = {};
+    vm.runInNewContext(fs.readFileSync(path.join(ToolsFolder, 'shamsi-converter.js'), 'utf8'), sandbox);
+    return { toShamsi: sandbox.toShamsi, fromShamsi: sandbox.fromShamsi };
+}
+
+// -----------------------------------------------------------------------------
+// Function: toGregorianDate
+// Description: Parses a Gregorian (yyyy-MM-dd) or Shamsi (yyyy/MM/dd, or
+//              yyyy-MM-dd with a year before 1700) date and returns it as a
+//              Gregorian 'yyyy-MM-dd' string. Returns null if the date is invalid.
+// -----------------------------------------------------------------------------
+function toGregorianDate(dateString, shamsi) {
+    const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(dateString.trim());
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    if (year >= 1700) {
+        const gregorianDate = formatGregorianDate(year, month, day);
+        return isValidDate(gregorianDate) ? gregorianDate : null;
+    }
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    const [gy, gm, gd] = shamsi.fromShamsi(year, month, day);
+    const [jy, jm, jd] = shamsi.toShamsi(gy, gm, gd);
+    if (jy !== year || jm !== month || jd !== day) return null; // e.g. Esfand 30 of a non-leap year
+    return formatGregorianDate(gy, gm, gd);
+}
+
+// -----------------------------------------------------------------------------
+// Function: getPresetDateRange
+// Description: Returns the start and end dates (Gregorian 'yyyy-MM-dd') of a
+//              named date range preset. Ranges that include the current Shamsi
+//              month end today.
+// -----------------------------------------------------------------------------
+function getPresetDateRange(name, monthCount, shamsi) {
+    const today = new Date();
+    const todayDate = formatLocalDate(today);
+    const [jy, jm] = shamsi.toShamsi(today.getFullYear(), today.getMonth() + 1, today.getDate());
+    const shamsiToGregorian = (y, m, d) => formatGregorianDate(...shamsi.fromShamsi(y, m, d));
+
+    switch (name) {
+        case 'CurrentShamsiYear':
+            return { startDate: shamsiToGregorian(jy, 1, 1), endDate: todayDate };
+        case 'PreviousShamsiYear': {
+            const [gy, gm, gd] = shamsi.fromShamsi(jy, 1, 1);
+            const lastDay = new Date(Date.UTC(gy, gm - 1, gd - 1)); // Day before 1 Farvardin of this year
+            return { startDate: shamsiToGregorian(jy - 1, 1, 1), endDate: lastDay.toISOString().slice(0, 10) };
+        }
+        case 'LastShamsiMonths': {
+            let startYear = jy;
+            let startMonth = jm - (monthCount - 1);
+            while (startMonth <= 0) {
+                startMonth += 12;
+                startYear--;
+            }
+            return { startDate: shamsiToGregorian(startYear, startMonth, 1), endDate: todayDate };
+        }
+        default: { // Last365Days
+            const start = new Date(today);
+            start.setDate(start.getDate() - 365);
+            return { startDate: formatLocalDate(start), endDate: todayDate };
+        }
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Function: formatLocalTimestamp
+// Description: Formats a Date as an ISO 8601 local time with UTC offset,
+//              e.g. 2025-06-01T14:05:09+03:30.
+// -----------------------------------------------------------------------------
+function formatLocalTimestamp(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    return `${formatLocalDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+        `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// -----------------------------------------------------------------------------
+// Function: readTextLines
+// Description: Reads a UTF-8 text file (with or without BOM) as trimmed lines.
+// -----------------------------------------------------------------------------
+function readTextLines(filePath) {
+    return fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim());
+}
+
+// -----------------------------------------------------------------------------
+// Function: runQuery
+// Description: Runs a query with the sqlite3 tool and returns the rows as arrays
+//              of tab-separated fields. Queries the SPBM database unless another
+//              database is given.
+// -----------------------------------------------------------------------------
+function runQuery(options, query, database = options.db) {
+    let output;
+    try {
+        output = execFileSync(options.sqlite, ['-tabs', database, query], { encoding: 'utf8', maxBuffer: 512 * 1024 * 1024 });
+    } catch (error) {
+        fail(`sqlite3 query failed: ${error.stderr ? error.stderr.trim() : error.message}`);
+    }
+    return output.split(/\r?\n/).filter(line => line !== '').map(line => line.split('\t'));
+}
+
+// -----------------------------------------------------------------------------
+// Function: quoteSqlString
+// Description: Quotes a value as an SQL string literal.
+// -----------------------------------------------------------------------------
+function quoteSqlString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// -----------------------------------------------------------------------------
+// Function: getSpbmUsageQueries
+// Description: Returns the queries of the daily and hourly usage rows of the SPBM
+//              database, one row per stream, with the columns of the archive
+//              tables: NAME, DAY, [HOUR,] RECV_BYTES, SEND_BYTES. The schema name
+//              is needed when the database is attached to the archive.
+// -----------------------------------------------------------------------------
+function getSpbmUsageQueries(options, schema) {
+    const table = (name) => (schema ? `${schema}.${name}` : name);
+    const timeColumn = `h.${options.hourlyTimeColumn}`;
+    return {
+        day: `SELECT TRIM(r.NAME) AS NAME, d.DAY AS DAY, d.RECV_BYTES AS RECV_BYTES, d.SEND_BYTES AS SEND_BYTES FROM ${table('DAY_USAGE')} d JOIN ${table('STREAM')} s ON d.STREAM_ID = s.ID JOIN ${table('RULE')} r ON s.RULE_ID = r.ID`,
+        hour: `SELECT TRIM(r.NAME) AS NAME, STRFTIME('%Y-%m-%d', ${timeColumn}) AS DAY, CAST(STRFTIME('%H', ${timeColumn}) AS INTEGER) AS HOUR, h.RECV_BYTES AS RECV_BYTES, h.SEND_BYTES AS SEND_BYTES FROM ${table(options.hourlyTable)} h JOIN ${table('STREAM')} s ON h.STREAM_ID = s.ID JOIN ${table('RULE')} r ON s.RULE_ID = r.ID`
+    };
+}
+
+// -----------------------------------------------------------------------------
+// Function: isUsageArchiveReadable
+// Description: Returns true if the usage archive does not exist yet or passes
+//              SQLite's quick integrity check.
+// -----------------------------------------------------------------------------
+function isUsageArchiveReadable(options) {
+    if (!fs.existsSync(options.archive)) return true;
+    try {
+        const output = execFileSync(options.sqlite, [options.archive, 'PRAGMA quick_check;'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+        return output.trim() === 'ok';
+    } catch (error) {
+        return false;
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Function: updateUsageArchive
+// Description: Merges the usage of the SPBM database into the usage archive,
+//              which keeps one row per computer ID and day (and hour). Days the
+//              archive already has keep the larger of the two totals, since the
+//              usage of a day only grows, so a database that was pruned or reset
+//              never lowers the history. The merge is one transaction: if any
+//              statement fails, the archive is left as it was.
+//              Returns the (first line of the) error message, or null on success.
+// -----------------------------------------------------------------------------
+function updateUsageArchive(options, includeHourly) {
+    const spbm = getSpbmUsageQueries(options, 'spbm');
+    const keepLarger = (table) => `ON CONFLICT DO UPDATE SET RECV_BYTES = excluded.RECV_BYTES, SEND_BYTES = excluded.SEND_BYTES ` +
+        `WHERE excluded.RECV_BYTES + excluded.SEND_BYTES > ${table}.RECV_BYTES + ${table}.SEND_BYTES ` +
+        `OR (excluded.RECV_BYTES + excluded.SEND_BYTES = ${table}.RECV_BYTES + ${table}.SEND_BYTES AND excluded.RECV_BYTES > ${table}.RECV_BYTES)`;
+    const script = [
+        `ATTACH DATABASE ${quoteSqlString(options.db)} AS spbm;`,
+        'BEGIN;',
+        'CREATE TABLE IF NOT EXISTS DAY_USAGE (NAME TEXT NOT NULL, DAY TEXT NOT NULL, RECV_BYTES INTEGER NOT NULL, SEND_BYTES INTEGER NOT NULL, PRIMARY KEY (NAME, DAY));',
+        'CREATE TABLE IF NOT EXISTS HOUR_USAGE (NAME TEXT NOT NULL, DAY TEXT NOT NULL, HOUR INTEGER NOT NULL, RECV_BYTES INTEGER NOT NULL, SEND_BYTES INTEGER NOT NULL, PRIMARY KEY (NAME, DAY, HOUR));',
+        // The WHERE clause keeps SQLite from reading ON CONFLICT as a join constraint
+        `INSERT INTO DAY_USAGE (NAME, DAY, RECV_BYTES, SEND_BYTES) SELECT u.NAME, u.DAY, SUM(u.RECV_BYTES), SUM(u.SEND_BYTES) FROM (${spbm.day}) u ` +
+            `WHERE u.DAY IS NOT NULL GROUP BY u.NAME, u.DAY ${keepLarger('DAY_USAGE')};`,
+        includeHourly ? `INSERT INTO HOUR_USAGE (NAME, DAY, HOUR, RECV_BYTES, SEND_BYTES) SELECT u.NAME, u.DAY, u.HOUR, SUM(u.RECV_BYTES), SUM(u.SEND_BYTES) FROM (${spbm.hour}) u ` +
+            `WHERE u.DAY IS NOT NULL GROUP BY u.NAME, u.DAY, u.HOUR ${keepLarger('HOUR_USAGE')};` : '',
+        'COMMIT;'
+    ].join('\n');
+    try {
+        execFileSync(options.sqlite, ['-bail', options.archive, script], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+        return null;
+    } catch (error) {
+        return (error.stderr ? error.stderr.trim() : error.message).split(/\r?\n/)[0];
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Function: getUserGroup
+// Description: Resolves the group (floor/department) of a computer ID.
+//              An explicit group from the mapping file wins over the group pattern.
+// -----------------------------------------------------------------------------
+function getUserGroup(userId, groupMapping, groupRegex, defaultGroup) {
+    if (Object.prototype.hasOwnProperty.call(groupMapping, userId)) return groupMapping[userId];
+    const match = groupRegex ? groupRegex.exec(userId) : null;
+    if (match && match.length > 1 && match[1] !== undefined) return match[1];
+    return defaultGroup;
+}
+
+// -----------------------------------------------------------------------------
+// Function: convertToQuotaMB
+// Description: Converts a quota value such as '500', '500MB', '20GB' or '1TB'
+//              to megabytes. Returns null if the value cannot be parsed.
+// -----------------------------------------------------------------------------
+function convertToQuotaMB(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(MB|GB|TB)?$/i.exec(value.trim());
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    switch ((match[2] || '').toUpperCase()) {
+        case 'GB': return amount * 1024;
+        case 'TB': return amount * 1024 * 1024;
+        default: return amount;
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Function: copyFileIfExists
+// Description: Copies a file, printing a warning if the source does not exist.
+// -----------------------------------------------------------------------------
+function copyFileIfExists(sourcePath, destinationPath, description) {
+    if (fs.existsSync(sourcePath)) {
+        fs.copyFileSync(sourcePath, destinationPath);
+    } else {
+        warn(`${description} not found: ${sourcePath}.`);
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Function: getAssetSourcePath
+// Description: Maps an asset path of report_template.html (assets/..., assets/lib/...)
+//              to its file in the tools folder.
+// -----------------------------------------------------------------------------
+function getAssetSourcePath(assetPath) {
+    return path.join(ToolsFolder, ...assetPath.replace(/^assets\/(lib\/)?/, '').split('/'));
+}
+
+// -----------------------------------------------------------------------------
+// Function: toDataUri
+// Description: Encodes file contents as a data URI, with the MIME type taken from
+//              the file extension.
+// -----------------------------------------------------------------------------
+function toDataUri(buffer, fileName) {
+    const mimeTypes = {
+        '.ttf': 'font/ttf', '.otf': 'font/otf', '.woff': 'font/woff', '.woff2': 'font/woff2', '.eot': 'application/vnd.ms-fontobject',
+        '.svg': 'image/svg+xml', '.png': 'image/png', '.jpg': 'image/jpeg', '.gif': 'image/gif'
+    };
+    const mimeType = mimeTypes[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+    return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+// -----------------------------------------------------------------------------
+// Function: inlineCssUrls
+// Description: Replaces the url(...) references of a stylesheet with data URIs.
+//              Local files are read relative to the stylesheet; http(s) URLs (the
+//              Vazir font CDN) are downloaded. References that cannot be resolved
+//              are left unchanged with a warning.
+// -----------------------------------------------------------------------------
+async function inlineCssUrls(css, cssFilePath) {
+    const urlPattern = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+    const replacements = new Map();
+    for (const match of css.matchAll(urlPattern)) {
+        const url = match[2].trim();
+        if (url.startsWith('data:') || replacements.has(url)) continue;
+
+        if (/^https?:\/\//i.test(url)) {
+            if (typeof fetch !== 'function') {
+                warn(`Cannot download ${url}: this Node.js version has no fetch (Node.js 18 or newer is needed). The report will load it online.`);
+                continue;
+            }
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                replacements.set(url, toDataUri(Buffer.from(await response.arrayBuffer()), new URL(url).pathname));
+            } catch (error) {
+                warn(`Cannot download ${url} (${error.message}). The report will load it online.`);
+            }
+            continue;
+        }
+
+        const localPath = path.join(path.dirname(cssFilePath), url.replace(/[?#].*$/, ''));
+        if (fs.existsSync(localPath)) replacements.set(url, toDataUri(fs.readFileSync(localPath), localPath));
+    }
+    return css.replace(urlPattern, (whole, quote, url) => replacements.has(url.trim()) ? `url("${replacements.get(url.trim())}")` : whole);
+}
+
+// -----------------------------------------------------------------------------
+// Function: createSingleFileHtml
+// Description: Inlines the stylesheets, scripts and report data referenced by
+//              report_template.html, so the report works as a single file.
+// -----------------------------------------------------------------------------
+async function createSingleFileHtml(templateHtml, dataJs) {
+    const readAsset = (filePath) => fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    // "</script" inside inlined code would end the script element early
+    const escapeScript = (code) => code.replace(/<\/script/gi, '<\\/script');
+
+    let html = templateHtml.replace(/^\uFEFF/, '');
+
+    const stylesheets = [...html.matchAll(/<link\s+href="(assets\/[^"]+\.css)"\s+rel="stylesheet"\s*\/?>/g)];
+    for (const match of stylesheets) {
+        const sourcePath = getAssetSourcePath(match[1]);
+        if (!fs.existsSync(sourcePath)) {
+            warn(`Stylesheet not found: ${sourcePath}. It is left out of the report.`);
+            html = html.replace(match[0], '');
+            continue;
+        }
+        const css = await inlineCssUrls(readAsset(sourcePath), sourcePath);
+        html = html.replace(match[0], () => `<style>\n${css}\n</style>`);
+    }
+
+    html = html.replace(/<script\s+src="(assets\/[^"]+)"\s*><\/script>/g, (whole, assetPath) => {
+        if (assetPath === 'assets/data.js') return `<script>\n${escapeScript(dataJs)}\n</script>`;
+        const sourcePath = getAssetSourcePath(assetPath);
+        if (!fs.existsSync(sourcePath)) {
+            warn(`Script not found: ${sourcePath}. It is left out of the report.`);
+            return '';
+        }
+        return `<script>\n${escapeScript(readAsset(sourcePath))}\n</script>`;
+    });
+    return html;
+}
+
+// -----------------------------------------------------------------------------
+// Function: readReportSummary
+// Description: Reads the entry of a generated report folder for the report index:
+//              the metadata of its assets/data.js, or of the data inlined into a
+//              single-file report.html; the data object is parsed once. Returns null
+//              if the folder has no report.html. Reports from before the index have
+//              no totals in their metadata, so their users are counted and summed.
+// -----------------------------------------------------------------------------
+function readReportSummary(htmlFolder, folderName) {
+    const folder = path.join(htmlFolder, folderName);
+    if (!fs.existsSync(path.join(folder, 'report.html'))) return null;
+
+    // Reports without metadata fall back to the timestamp of their folder name
+    const timestamp = /^(\d{4})\.(\d{2})\.(\d{2}) (\d{2})\.(\d{2})\.(\d{2})$/.exec(folderName);
+    const summary = {
+        folder: folderName,
+        generatedAt: timestamp ? `${timestamp[1]}-${timestamp[2]}-${timestamp[3]}T${timestamp[4]}:${timestamp[5]}:${timestamp[6]}` : null,
+        generatedBy: null,
+        computerName: null,
+        startDate: null,
+        endDate: null,
+        userCount: null,
+        totalUsage: null
+    };
+
+    const dataJsPath = path.join(folder, 'assets', 'data.js');
+    let text;
+    try {
+        text = fs.readFileSync(fs.existsSync(dataJsPath) ? dataJsPath : path.join(folder, 'report.html'), 'utf8');
+    } catch (error) {
+        warn(`Cannot read the report in ${folder} (${error.message}). It is listed without details.`);
+        return summary;
+    }
+
+    // The data is the object assigned to window.reportData in assets/data.js, or in the inlined data script of a
+    // single-file report, where "</script" inside the data is escaped, so the first one after it ends the script
+    let data = null;
+    const dataStart = text.indexOf('window.reportData = ');
+    if (dataStart >= 0) {
+        const jsonStart = dataStart + 'window.reportData = '.length;
+        const scriptEnd = text.indexOf('</script>', jsonStart);
+        try {
+            data = JSON.parse(text.slice(jsonStart, scriptEnd >= 0 ? scriptEnd : text.length).trim().replace(/;$/, ''));
+        } catch (error) {
+            warn(`Cannot read the data of the report in ${folder} (${error.message}). It is listed without details.`);
+            return summary;
+        }
+    }
+    if (!data || typeof data !== 'object') return summary;
+
+    const metadata = data.metadata || {};
+    const dateRange = data.dateRange || {};
+    if (metadata.generatedAt) summary.generatedAt = metadata.generatedAt;
+    summary.generatedBy = metadata.generatedBy || null;
+    summary.computerName = metadata.computerName || null;
+    summary.startDate = dateRange.startDate || null;
+    summary.endDate = dateRange.endDate || null;
+
+    // Reports from before the totals were added to the metadata are summed from their users
+    if (metadata.userCount !== undefined && metadata.totalUsage !== undefined) {
+        summary.userCount = metadata.userCount;
+        summary.totalUsage = metadata.totalUsage;
+    } else if (Array.isArray(data.users)) {
+        summary.userCount = data.users.length;
+        summary.totalUsage = Math.round(data.users.reduce((total, user) => total + ((user.summary && user.summary.totalUsage) || 0), 0) * 100) / 100;
+    }
+    return summary;
+}
+
+// -----------------------------------------------------------------------------
+// Function: writeReportIndex
+// Description: Rebuilds index.html in the reports folder: a list of all report
+//              folders in HTML/, newest first, made from report_index_template.html
+//              with the scripts and the list inlined. Since it is made from the
+//              report folders alone, it can be rebuilt at any time (--index-only).
+//              Returns the number of reports listed.
+// -----------------------------------------------------------------------------
+async function writeReportIndex(reportsFolder) {
+    const htmlFolder = path.join(reportsFolder, 'HTML');
+    const folderNames = fs.existsSync(htmlFolder)
+        ? fs.readdirSync(htmlFolder, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+        : [];
+    // Newest first by the time the report was generated (with or without a UTC offset), then by folder name;
+    // reports without a readable time go last
+    const generatedTime = report => Date.parse(report.generatedAt) || 0;
+    const reports = folderNames.map(folderName => readReportSummary(htmlFolder, folderName)).filter(Boolean)
+        .sort((a, b) => generatedTime(b) - generatedTime(a) || b.folder.localeCompare(a.folder));
+
+    const indexTemplate = fs.readFileSync(path.join(ToolsFolder, 'report_index_template.html'), 'utf8');
+    const indexHtml = await createSingleFileHtml(indexTemplate, `window.reportIndex = ${JSON.stringify(reports)};\n`);
+
+    // Written next to the index and then renamed, so a failed run never leaves a half-written index
+    fs.mkdirSync(reportsFolder, { recursive: true });
+    const indexPath = path.join(reportsFolder, 'index.html');
+    fs.writeFileSync(`${indexPath}.tmp`, '\uFEFF' + indexHtml, 'utf8');
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+    return reports.length;
+}
+
+// =============================================================================
+// SECTION 3: CORE SCRIPT LOGIC
+// =============================================================================
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+
+    if (options.indexOnly) {
+        const reportCount = await writeReportIndex(options.out);
+        console.log(`Report index rebuilt with ${reportCount} reports: ${path.join(options.out, 'index.html')}`);
+        return;
+    }
+
+    // -------------------------------------------------------------------------
+    // Date range: --start/--end (Gregorian or Shamsi); the dates not given come from --preset
+    // -------------------------------------------------------------------------
+    const presetNames = ['Last365Days', 'CurrentShamsiYear', 'PreviousShamsiYear', 'LastShamsiMonths'];
+    const preset = presetNames.find(name => name.toLowerCase() === String(options.preset).toLowerCase());
+    if (!preset) fail(`Unknown preset '${options.preset}'. Please use one of: ${presetNames.join(', ')}.`);
+    const months = Number(options.months);
+    if (preset === 'LastShamsiMonths' && !(Number.isInteger(months) && months >= 1)) fail(`Invalid number of months (${options.months}). Please use 1 or more.`);
+
+    const shamsi = loadShamsiConverter();
+    const presetRange = getPresetDateRange(preset, months, shamsi);
+    const dateRangePreset = options.start && options.end ? 'Custom' : preset;
+
+    const StartDate = options.start ? toGregorianDate(options.start, shamsi) : presetRange.startDate;
+    if (!StartDate) fail(`Invalid start date (${options.start}). Please use yyyy-MM-dd (Gregorian) or yyyy/MM/dd (Shamsi) format.`);
+    const EndDate = options.end ? toGregorianDate(options.end, shamsi) : presetRange.endDate;
+    if (!EndDate) fail(`Invalid end date (${options.end}). Please use yyyy-MM-dd (Gregorian) or yyyy/MM/dd (Shamsi) format.`);
+    if (StartDate > EndDate) fail(`Start date (${StartDate}) is after end date (${EndDate}).`);
+
+    // -------------------------------------------------------------------------
+    // Prerequisites Check & Input Validation
+    // -------------------------------------------------------------------------
+    try {
+        execFileSync(options.sqlite, ['-version'], { stdio: 'ignore' });
+    } catch (error) {
+        fail(`The '${options.sqlite}' command was not found. Please ensure SQLite3 is installed and available in your PATH, or pass --sqlite.`);
+    }
+    const templatePath = path.join(ToolsFolder, 'report_template.html');
+    // Without the SPBM database a report can still be built from the usage archive
+    const hasDatabase = fs.existsSync(options.db);
+    if (!hasDatabase && (options.noArchive || !fs.existsSync(options.archive))) fail(`Database file not found at: ${options.db}`);
+    if (!fs.existsSync(options.userNames)) fail(`User names file not found at: ${options.userNames}. Please create 'user_names.txt' in your 'Report Tools' folder.`);
+    if (!fs.existsSync(templatePath)) fail(`HTML template file not found at: ${templatePath}.`);
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(options.hourlyTable) || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(options.hourlyTimeColumn)) {
+        fail(`Invalid hourly table (${options.hourlyTable}) or time column (${options.hourlyTimeColumn}). Only letters, digits and underscores are allowed.`);
+    }
+    let groupRegex = null;
+    if (options.groupPattern) {
+        try {
+            groupRegex = new RegExp(options.groupPattern, 'i'); // Case-insensitive like PowerShell's -match
+        } catch (error) {
+            fail(`Invalid group pattern (${options.groupPattern}): ${error.message}`);
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // Build Report Paths and Folders
+    // -------------------------------------------------------------------------
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const timestamp = `${now.getFullYear()}.${pad(now.getMonth() + 1)}.${pad(now.getDate())} ${pad(now.getHours())}.${pad(now.getMinutes())}.${pad(now.getSeconds())}`;
+
+    const dynamicReportFolder = path.join(options.out, 'HTML', timestamp);
+    const assetsFolder = path.join(dynamicReportFolder, 'assets');
+    const libFolder = path.join(assetsFolder, 'lib');
+    const cssFolder = path.join(assetsFolder, 'css');
+    const fontsFolder = path.join(assetsFolder, 'fonts');
+    fs.mkdirSync(dynamicReportFolder, { recursive: true });
+
+    // -------------------------------------------------------------------------
+    // Copy Library Files and other assets to their correct subfolders
+    // (not needed for a single-file report, which inlines them)
+    // -------------------------------------------------------------------------
+    if (!options.singleFile) {
+        [assetsFolder, libFolder, cssFolder, fontsFolder].forEach(folder => fs.mkdirSync(folder, { recursive: true }));
+        ['react.min.js', 'react-dom.min.js', 'chart.min.js', 'tailwind.min.js', 'Vazir.css'].forEach(fileName =>
+            copyFileIfExists(path.join(ToolsFolder, fileName), path.join(libFolder, fileName), 'Library file'));
+        ['shamsi-converter.js', 'usage-format.js', 'usage-metrics.js', 'usage-export.js', 'shamsi-calendar.js', 'usage-forecast.js', 'usage-anomalies.js', 'usage-index.js', 'xlsx-writer.js', 'print-styles.css', 'report_app.js'].forEach(fileName =>
+            copyFileIfExists(path.join(ToolsFolder, fileName), path.join(assetsFolder, fileName), 'Custom asset file'));
+        copyFileIfExists(path.join(ToolsFolder, 'css', 'flaticon.css'), path.join(cssFolder, 'flaticon.css'), 'Flaticon CSS file');
+        copyFileIfExists(path.join(ToolsFolder, 'fonts', 'flaticon.ttf'), path.join(fontsFolder, 'flaticon.ttf'), 'Flaticon TTF file');
+    }
+
+    // -------------------------------------------------------------------------
+    // Load User Names Mapping
+    // Each line is "UserID,RealName" with an optional third column: "UserID,RealName,Group"
+    // -------------------------------------------------------------------------
+    const userMapping = {};
+    const groupMapping = {};
+    readTextLines(options.userNames).forEach(line => {
+        if (line === '') return;
+        const firstComma = line.indexOf(',');
+        if (firstComma === -1) return;
+        const secondComma = line.indexOf(',', firstComma + 1); // Split on the first two commas only
+        const userId = line.slice(0, firstComma).trim();
+        const realName = (secondComma === -1 ? line.slice(firstComma + 1) : line.slice(firstComma + 1, secondComma)).trim();
+        userMapping[userId] = realName;
+        if (secondComma !== -1 && line.slice(secondComma + 1).trim() !== '') {
+            groupMapping[userId] = line.slice(secondComma + 1).trim();
+        }
+    });
+
+    // -------------------------------------------------------------------------
+    // Load User Merges (optional)
+    // Each line is "PersonID,OtherID[,OtherID...]": the usage of the other computer
+    // IDs is reported under the first one, with its name and group (e.g. the LAN
+    // and Wi-Fi rules of one laptop). Lines starting with '#' are comments.
+    // -------------------------------------------------------------------------
+    const mergedInto = {}; // Merged computer ID -> computer ID it is reported under
+    if (fs.existsSync(options.userMerges)) {
+        readTextLines(options.userMerges).forEach(line => {
+            if (line === '' || line.startsWith('#')) return;
+            const [personId, ...otherIds] = line.split(',').map(id => id.trim()).filter(Boolean);
+            otherIds.filter(otherId => otherId !== personId).forEach(otherId => {
+                if (mergedInto[otherId] && mergedInto[otherId] !== personId) {
+                    warn(`Computer ID '${otherId}' is merged into both '${mergedInto[otherId]}' and '${personId}' in ${path.basename(options.userMerges)}. The first merge is used.`);
+                    return;
+                }
+                mergedInto[otherId] = personId;
+            });
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Load Monthly Quotas (optional)
+    // Each line is "Key,Quota" where Key is a computer ID, "group:<GroupName>" or
+    // "default", and Quota is a monthly volume in MB (or with an MB/GB/TB suffix).
+    // Lines starting with '#' are comments.
+    // -------------------------------------------------------------------------
+    const quotas = { default: null, groups: {}, users: {} };
+    if (fs.existsSync(options.quotas)) {
+        readTextLines(options.quotas).forEach(line => {
+            if (line === '' || line.startsWith('#')) return;
+            const comma = line.indexOf(',');
+            if (comma === -1) return;
+            const key = line.slice(0, comma).trim();
+            const quotaMB = convertToQuotaMB(line.slice(comma + 1));
+            if (quotaMB === null) {
+                warn(`Invalid quota value '${line.slice(comma + 1).trim()}' for '${key}' in ${path.basename(options.quotas)}. Line skipped.`);
+            } else if (key === 'default') {
+                quotas.default = quotaMB;
+            } else if (key.startsWith('group:')) {
+                quotas.groups[key.slice(6).trim()] = quotaMB;
+            } else {
+                quotas.users[key] = quotaMB;
+            }
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Load Official Holidays (optional)
+    // Each line is "Date,Name" where Date is a Shamsi "MM/dd" for a holiday that
+    // falls on the same Shamsi day every year, or a full Shamsi (or Gregorian) date
+    // for a holiday of one year only. Only holidays inside the report date range
+    // are kept, keyed by their Gregorian date. Lines starting with '#' are comments.
+    // -------------------------------------------------------------------------
+    const holidays = {};
+    if (fs.existsSync(options.holidays)) {
+        const toShamsiYear = (date) => shamsi.toShamsi(...date.split('-').map(Number))[0];
+        const firstShamsiYear = toShamsiYear(StartDate);
+        const lastShamsiYear = toShamsiYear(EndDate);
+        readTextLines(options.holidays).forEach(line => {
+            if (line === '' || line.startsWith('#')) return;
+            const comma = line.indexOf(',');
+            const dateText = (comma === -1 ? line : line.slice(0, comma)).trim();
+            const holidayName = (comma === -1 ? '' : line.slice(comma + 1).trim()) || 'تعطیل رسمی';
+            let holidayDates;
+            if (/^\d{1,2}\/\d{1,2}$/.test(dateText)) {
+                // 1403 is a leap year, so Esfand 30 is accepted here and skipped in the years that lack it
+                if (toGregorianDate(`1403/${dateText}`, shamsi) === null) {
+                    warn(`Invalid holiday date '${dateText}' in ${path.basename(options.holidays)}. Line skipped.`);
+                    return;
+                }
+                holidayDates = [];
+                for (let year = firstShamsiYear; year <= lastShamsiYear; year++) holidayDates.push(toGregorianDate(`${year}/${dateText}`, shamsi));
+            } else {
+                const holidayDate = toGregorianDate(dateText, shamsi);
+                if (holidayDate === null) {
+                    warn(`Invalid holiday date '${dateText}' in ${path.basename(options.holidays)}. Line skipped.`);
+                    return;
+                }
+                holidayDates = [holidayDate];
+            }
+            holidayDates.filter(date => date && date >= StartDate && date <= EndDate).forEach(date => { holidays[date] = holidayName; });
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Update the Usage Archive
+    // Each run merges the SPBM database into the archive and the report is read
+    // from the archive, so days that SPBM has since pruned or reset stay in the
+    // reports. A damaged archive is left untouched and the report falls back to
+    // the SPBM database.
+    // -------------------------------------------------------------------------
+    let useArchive = !options.noArchive;
+
+    // Hourly usage is optional: older databases or SPBM setups without hourly logging do not have the table
+    let hasHourlyTable = false;
+    if (hasDatabase) {
+        const hourlyTableCount = runQuery(options, `SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' AND name = '${options.hourlyTable}'`);
+        hasHourlyTable = hourlyTableCount.length > 0 && hourlyTableCount[0][0] === '1';
+        if (!hasHourlyTable) {
+            warn(`Hourly usage table '${options.hourlyTable}' not found in the database. ${useArchive ? 'The time-of-day heatmap shows only the hours already in the usage archive.' : 'The time-of-day heatmap will be empty.'}`);
+        }
+    } else {
+        warn(`Database file not found at: ${options.db}. The report is built from the usage archive only.`);
+    }
+
+    if (useArchive && !isUsageArchiveReadable(options)) {
+        if (!hasDatabase) fail(`The usage archive ${options.archive} is damaged and there is no database to build the report from.`);
+        warn(`The usage archive ${options.archive} is damaged and was not updated. Please restore it from a backup; this report is built from the database only.`);
+        useArchive = false;
+    } else if (useArchive && hasDatabase) {
+        fs.mkdirSync(path.dirname(options.archive), { recursive: true });
+        const archiveError = updateUsageArchive(options, hasHourlyTable);
+        if (archiveError) {
+            // The usage archived by earlier runs is still good for the report
+            const archiveTableCount = fs.existsSync(options.archive) ? runQuery(options, `SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' AND name IN ('DAY_USAGE', 'HOUR_USAGE')`, options.archive) : [];
+            useArchive = archiveTableCount.length > 0 && archiveTableCount[0][0] === '2';
+            warn(`The usage archive ${options.archive} could not be updated (${archiveError}). It was left as it was; ${useArchive ? 'this report shows the usage archived so far' : 'this report is built from the database only'}.`);
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // Fetch Data from the Archive (or the Database)
+    // -------------------------------------------------------------------------
+    const reportDatabase = useArchive ? options.archive : options.db;
+    const usageQueries = useArchive
+        ? { day: 'SELECT NAME, DAY, RECV_BYTES, SEND_BYTES FROM DAY_USAGE', hour: 'SELECT NAME, DAY, HOUR, RECV_BYTES, SEND_BYTES FROM HOUR_USAGE' }
+        : getSpbmUsageQueries(options);
+    const cacheData = runQuery(options, `SELECT u.NAME, u.DAY, ROUND(u.RECV_BYTES / 1048576.0, 2), ROUND(u.SEND_BYTES / 1048576.0, 2), ROUND((u.RECV_BYTES + u.SEND_BYTES) / 1048576.0, 2) FROM (${usageQueries.day}) u WHERE u.DAY BETWEEN '${StartDate}' AND '${EndDate}' ORDER BY u.NAME, u.DAY DESC`, reportDatabase);
+    const summaryData = runQuery(options, `SELECT u.NAME, ROUND(SUM(u.RECV_BYTES) / 1048576.0, 2), ROUND(SUM(u.SEND_BYTES) / 1048576.0, 2), ROUND(SUM(u.RECV_BYTES + u.SEND_BYTES) / 1048576.0, 2) FROM (${usageQueries.day}) u WHERE u.DAY BETWEEN '${StartDate}' AND '${EndDate}' GROUP BY u.NAME`, reportDatabase);
+    const hourlyUsageData = useArchive || hasHourlyTable
+        ? runQuery(options, `SELECT u.NAME, u.DAY, u.HOUR, ROUND(SUM(u.RECV_BYTES + u.SEND_BYTES) / 1048576.0, 2) FROM (${usageQueries.hour}) u WHERE u.DAY BETWEEN '${StartDate}' AND '${EndDate}' GROUP BY u.NAME, u.DAY, u.HOUR`, reportDatabase)
+        : [];
+
+    // -------------------------------------------------------------------------
+    // Process Data (Apply User Names Mapping)
+    // Users are keyed by computer ID, so two IDs mapped to the same name stay two
+    // users; only the IDs of user_merges.txt are added up under one person.
+    // -------------------------------------------------------------------------
+    const excludedUsers = new Set(options.exclude.map(name => name.trim()));
+    const hasMapping = (userId) => Object.prototype.hasOwnProperty.call(userMapping, userId);
+    const getDisplayName = (userId) => hasMapping(userId) && userMapping[userId] !== '' ? userMapping[userId] : userId; // Empty names fall back to the ID
+    const getPersonId = (userId) => {
+        const seen = new Set([userId]);
+        while (mergedInto[userId] && !seen.has(mergedInto[userId])) {
+            userId = mergedInto[userId];
+            seen.add(userId);
+        }
+        return userId;
+    };
+
+    const round2 = (value) => Math.round(value * 100) / 100;
+    const userData = {}; // Person ID -> daily rows, one per day
+    const dayRows = {}; // Person ID -> day -> its row in userData
+    const computerIds = {}; // Person ID -> set of the computer IDs with usage
+    cacheData.forEach(fields => {
+        if (fields.length !== 5) return;
+        const user = fields[0].trim();
+        if (excludedUsers.has(user)) return;
+        const personId = getPersonId(user);
+        if (!userData[personId]) {
+            userData[personId] = [];
+            dayRows[personId] = {};
+            computerIds[personId] = new Set();
+        }
+        computerIds[personId].add(user);
+        // The streams of a computer and the merged computers of a person add up to one row per day
+        const day = fields[1];
+        let row = dayRows[personId][day];
+        if (!row) {
+            row = dayRows[personId][day] = { userId: personId, name: getDisplayName(personId), day, download: 0, upload: 0, totalUsage: 0 };
+            userData[personId].push(row);
+        }
+        row.download = round2(row.download + Number(fields[2]));
+        row.upload = round2(row.upload + Number(fields[3]));
+        row.totalUsage = round2(row.totalUsage + Number(fields[4]));
+    });
+    // Merged IDs come one after another, so their rows are sorted by day again (newest first)
+    Object.keys(userData).filter(personId => computerIds[personId].size > 1)
+        .forEach(personId => userData[personId].sort((a, b) => b.day.localeCompare(a.day)));
+
+    const summaryDataClean = {};
+    summaryData.forEach(fields => {
+        if (fields.length !== 4) return;
+        const user = fields[0].trim();
+        if (excludedUsers.has(user)) return;
+        const personId = getPersonId(user);
+        const summary = summaryDataClean[personId] || (summaryDataClean[personId] = { userId: personId, totalDownload: 0, totalUpload: 0, totalUsage: 0 });
+        summary.totalDownload = round2(summary.totalDownload + Number(fields[1]));
+        summary.totalUpload = round2(summary.totalUpload + Number(fields[2]));
+        summary.totalUsage = round2(summary.totalUsage + Number(fields[3]));
+    });
+
+    // Hourly usage per user: day -> array of 24 hourly totals (MB)
+    const hourlyData = {};
+    hourlyUsageData.forEach(fields => {
+        if (fields.length !== 4 || fields[1] === '') return;
+        const user = fields[0].trim();
+        if (excludedUsers.has(user)) return;
+        const personId = getPersonId(user);
+        if (!hourlyData[personId]) hourlyData[personId] = {};
+        const day = fields[1];
+        if (!hourlyData[personId][day]) hourlyData[personId][day] = new Array(24).fill(0);
+        const hour = parseInt(fields[2], 10);
+        hourlyData[personId][day][hour] = round2(hourlyData[personId][day][hour] + Number(fields[3]));
+    });
+
+    // Problems of the user names mapping, listed in the data-quality panel of the report
+    const personIds = Object.keys(userData).filter(personId => summaryDataClean[personId]).sort((a, b) => a.localeCompare(b));
+    const idsByName = {};
+    personIds.forEach(personId => { (idsByName[getDisplayName(personId)] = idsByName[getDisplayName(personId)] || []).push(personId); });
+    const dataQuality = {
+        unmappedIds: personIds.filter(personId => !hasMapping(personId)),
+        emptyNames: personIds.filter(personId => hasMapping(personId) && userMapping[personId] === ''),
+        nameCollisions: Object.keys(idsByName).filter(name => idsByName[name].length > 1).map(name => ({ name, userIds: idsByName[name] }))
+    };
+    if (dataQuality.unmappedIds.length + dataQuality.emptyNames.length + dataQuality.nameCollisions.length > 0) {
+        warn(`User names: ${dataQuality.unmappedIds.length} computer IDs without a name, ${dataQuality.emptyNames.length} empty names and ${dataQuality.nameCollisions.length} names used by several IDs in ${path.basename(options.userNames)}. See the data-quality panel of the report.`);
+    }
+
+    const data = {
+        users: [],
+        dateRange: { startDate: StartDate, endDate: EndDate, preset: dateRangePreset, months: preset === 'LastShamsiMonths' ? months : null },
+        quotas,
+        holidays,
+        dataQuality,
+        metadata: {
+            generatedAt: formatLocalTimestamp(new Date()),
+            generatedBy: os.userInfo().username,
+            computerName: os.hostname(),
+            generator: 'generate-report.js',
+            // Totals for the report index (index.html in the reports folder)
+            userCount: personIds.length,
+            totalUsage: round2(personIds.reduce((total, personId) => total + summaryDataClean[personId].totalUsage, 0))
+        }
+    };
+    personIds.forEach(personId => {
+        data.users.push({
+            userId: personId,
+            name: getDisplayName(personId),
+            group: getUserGroup(personId, groupMapping, groupRegex, options.defaultGroup),
+            computerIds: [...computerIds[personId]].sort((a, b) => a.localeCompare(b)),
+            dailyData: userData[personId],
+            hourlyData: hourlyData[personId] || {},
+            summary: summaryDataClean[personId]
+        });
+    });
+
+    // -------------------------------------------------------------------------
+    // Generate data.js (contains window.reportData) and report.html
+    // -------------------------------------------------------------------------
+    const dataJs = `window.reportData = ${JSON.stringify(data)};\n`;
+    const outputHtml = path.join(dynamicReportFolder, 'report.html');
+    if (options.singleFile) {
+        const templateHtml = fs.readFileSync(templatePath, 'utf8');
+        fs.writeFileSync(outputHtml, '\uFEFF' + await createSingleFileHtml(templateHtml, dataJs), 'utf8');
+    } else {
+        fs.writeFileSync(path.join(assetsFolder, 'data.js'), '\uFEFF' + dataJs, 'utf8');
+        fs.copyFileSync(templatePath, outputHtml);
+    }
+
+    // -------------------------------------------------------------------------
+    // Rebuild the Report Index
+    // A failure here does not affect the report that was just written.
+    // -------------------------------------------------------------------------
+    try {
+        await writeReportIndex(options.out);
+    } catch (error) {
+        warn(`The report index could not be rebuilt (${error.message}). Run with --index-only to try again.`);
+    }
+
+    // -------------------------------------------------------------------------
+    // Finalization
+    // -------------------------------------------------------------------------
+    console.log(`Report generated for ${data.users.length} users (${StartDate} to ${EndDate}): ${outputHtml}`);
+}
+
+main().catch(error => fail(error.stack || error.message));
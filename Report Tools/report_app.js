@@ -4,22 +4,511 @@
 // Destructure React hooks from the global React object
 const { useState, useEffect, useRef, useMemo } = React;
 
-// Set default font family for Chart.js and customize tooltip/axis labels for Persian digits
+// Set default font family for Chart.js and format tooltip/axis numbers with the display settings (usage-format.js)
 Chart.defaults.font.family = 'Vazir';
 Chart.defaults.plugins.tooltip.callbacks.label = (context) => {
     let label = context.dataset.label || '';
     if (label) { label += ': '; }
-    if (context.parsed.y !== null) { label += toPersianDigits(context.parsed.y); }
+    if (context.parsed.y !== null) { label += formatNumber(context.parsed.y, null); }
     return label;
 };
-Chart.defaults.scales.linear.ticks.callback = (value) => toPersianDigits(value);
+Chart.defaults.scales.linear.ticks.callback = (value) => formatNumber(value, null);
 
-// Helper function to format bytes to MB or GB
-function formatBytesToReadable(mbValue) {
-    if (mbValue >= 1024) {
-        return toPersianDigits((mbValue / 1024).toFixed(2)) + ' GB';
+// Names of the report views; any other selectedView value is the computer name (userId) of a user
+const REPORT_VIEW_NAMES = ['کلی', 'گزارش ماهانه', 'گزارش فصلی', 'گزارش گروه‌ها', 'رتبه‌بندی مصرف', 'مصرف غیرعادی', 'الگوی ساعتی مصرف', 'روزهای کاری و تعطیل', 'مقایسه کاربران'];
+
+// Name of the group used for users that the generator did not assign to any group
+const DEFAULT_GROUP_NAME = 'سایر';
+
+// Helper function to get the group (floor/department) of a user
+function getUserGroupName(user) {
+    return user && user.group ? user.group : DEFAULT_GROUP_NAME;
+}
+
+// Helper function to get the label of a user in pickers: the name, with the computer name added when another
+// user has the same name (reports of older generators can also have empty names)
+function getUserOptionLabel(user, users) {
+    if (!user.name) return user.userId;
+    return users.some(other => other.userId !== user.userId && other.name === user.name) ? `${user.name} (${user.userId})` : user.name;
+}
+
+// DataQualityPanel Component (problems the generator found in the user names mapping: computer names without
+// a name, empty names and names used by several computer names). Hidden for reports without such problems.
+function DataQualityPanel({ dataQuality }) {
+    if (!dataQuality) return null;
+    const { unmappedIds = [], emptyNames = [], nameCollisions = [] } = dataQuality;
+    const issueCount = unmappedIds.length + emptyNames.length + nameCollisions.length;
+    if (issueCount === 0) return null;
+    const renderIssue = (title, items) => items.length > 0 && React.createElement('p', { className: 'mt-2' },
+        React.createElement('span', { className: 'font-semibold' }, title + ': '),
+        items.join('، ')
+    );
+    return React.createElement('details', { className: 'no-print mb-4 p-3 rounded-md bg-amber-50 border border-amber-300 text-amber-900' },
+        React.createElement('summary', { className: 'cursor-pointer font-semibold' }, `کیفیت داده: ${formatDigits(issueCount)} مورد در فایل نام کاربران (user_names.txt) نیاز به بررسی دارد`),
+        renderIssue('نام کامپیوترهای بدون نام (نام کامپیوتر به جای نام کاربر نمایش داده می‌شود)', unmappedIds),
+        renderIssue('نام کامپیوترهایی که نام کاربرشان خالی است', emptyNames),
+        renderIssue('نام‌های مشترک بین چند کامپیوتر', nameCollisions.map(collision => `${collision.name} (${collision.userIds.join('، ')})`))
+    );
+}
+
+// Helper function to get the background color of a heatmap cell; intensity is the share of the largest cell (0-1)
+function getHeatmapColor(intensity) {
+    if (!intensity) return '#f8fafc';
+    return `rgba(220, 38, 38, ${(0.1 + 0.9 * intensity).toFixed(2)})`;
+}
+
+// Percentage of the quota from which the status turns amber
+const QUOTA_WARNING_PERCENT = 80;
+
+const quotaStatusLabels = { green: 'مجاز', amber: 'نزدیک سقف', red: 'بیش از سهمیه' };
+const quotaStatusClasses = { green: 'bg-green-100 text-green-800', amber: 'bg-amber-100 text-amber-800', red: 'bg-red-200 text-red-800' };
+
+// Helper function to get the monthly quota (MB) of a user: per user ID first, then per group, then the default
+function getUserMonthlyQuota(user, quotas) {
+    if (!user || !quotas) return null;
+    if (quotas.users && quotas.users[user.userId] != null) return quotas.users[user.userId];
+    const groupName = getUserGroupName(user);
+    if (quotas.groups && quotas.groups[groupName] != null) return quotas.groups[groupName];
+    return quotas.default != null ? quotas.default : null;
+}
+
+// Helper function to count the Shamsi months touched by a Gregorian date range (partial months count as whole months)
+function countShamsiMonthsInRange(startDate, endDate) {
+    if (!startDate || !endDate) return 1;
+    const [startYear, startMonth] = formatShamsiDate(startDate).split('/').map(Number);
+    const [endYear, endMonth] = formatShamsiDate(endDate).split('/').map(Number);
+    return Math.max(1, (endYear - startYear) * 12 + (endMonth - startMonth) + 1);
+}
+
+// Helper function to compare a usage (MB) with an allowance (MB); returns null when there is no allowance
+function getQuotaStatus(usage, allowance) {
+    if (allowance == null || allowance <= 0) return null;
+    const percent = usage / allowance * 100;
+    const status = percent > 100 ? 'red' : percent >= QUOTA_WARNING_PERCENT ? 'amber' : 'green';
+    return {
+        allowance: parseFloat(allowance.toFixed(2)),
+        percent: parseFloat(percent.toFixed(1)),
+        remaining: parseFloat((allowance - usage).toFixed(2)),
+        status,
+        label: quotaStatusLabels[status]
+    };
+}
+
+// QuotaStatusBadge Component (red/amber/green pill)
+function QuotaStatusBadge({ quotaStatus }) {
+    if (!quotaStatus) return '-';
+    return React.createElement('span', { className: 'px-2 py-1 rounded-full text-sm font-semibold ' + quotaStatusClasses[quotaStatus.status] },
+        quotaStatus.label
+    );
+}
+
+// Helper function to count the days of an inclusive Gregorian date range
+function countDaysInRange(startDate, endDate) {
+    return Math.round((new Date(endDate + 'T00:00:00Z') - new Date(startDate + 'T00:00:00Z')) / 86400000) + 1;
+}
+
+// Helper function to get the period of the same length that ends the day before a Gregorian date range starts
+function getPreviousPeriodRange(startDate, endDate) {
+    const end = shiftGregorianDate(startDate, -1);
+    return { startDate: shiftGregorianDate(end, -(countDaysInRange(startDate, endDate) - 1)), endDate: end };
+}
+
+// Leaderboard options: number of users listed (0 = all users) and the ranked metric (summary field, see USAGE_METRICS)
+const LEADERBOARD_SIZES = [5, 10, 20, 50, 0];
+const LEADERBOARD_METRICS = ['totalUsage', 'totalDownload', 'totalUpload'];
+
+// Line colors of the users in the comparison view, in the order they were picked; also the most users compared at once
+const COMPARISON_COLORS = ['#2196F3', '#FF9800', '#4CAF50', '#E91E63', '#9C27B0', '#00BCD4', '#795548', '#607D8B'];
+
+// UsageSparkline Component (small inline line chart of daily values, oldest day on the left)
+function UsageSparkline({ values, width = 120, height = 28 }) {
+    if (!values || values.length < 2) return '-';
+    const max = values.reduce((a, b) => Math.max(a, b), 0);
+    const points = values.map((value, index) => {
+        const x = index / (values.length - 1) * (width - 2) + 1;
+        const y = height - 1 - (max > 0 ? value / max * (height - 2) : 0);
+        return x.toFixed(1) + ',' + y.toFixed(1);
+    }).join(' ');
+    return React.createElement('svg', { width, height, viewBox: `0 0 ${width} ${height}`, className: 'inline-block align-middle' },
+        React.createElement('polyline', { points, fill: 'none', stroke: '#2563eb', strokeWidth: 1.5, strokeLinejoin: 'round' })
+    );
+}
+
+// UsageCalendarHeatmap Component (GitHub-style calendar of daily usage: one grid per Shamsi year, weeks as columns
+// starting on Saturday and running right to left, color intensity scaled to the largest day of the range)
+function UsageCalendarHeatmap({ dailyData, startDate, endDate, onDayClick }) {
+    const cellSize = 12;
+    const step = cellSize + 2;
+    const labelWidth = 24;
+    const monthLabelHeight = 16;
+
+    const usageByDay = {};
+    dailyData.forEach(d => { usageByDay[d.day] = d.totalUsage; });
+    const maxUsage = Object.values(usageByDay).reduce((a, b) => Math.max(a, b), 0);
+
+    const [firstYear] = parseShamsiDate(startDate);
+    const [lastYear] = parseShamsiDate(endDate);
+    const years = [];
+    for (let jy = firstYear; jy <= lastYear; jy++) years.push(jy);
+
+    return React.createElement('div', { className: 'overflow-x-auto' },
+        ...years.map(jy => {
+            const firstDay = shamsiToGregorianString(jy, 1, 1);
+            const nextYearFirstDay = shamsiToGregorianString(jy + 1, 1, 1);
+            const leadingDays = getShamsiWeekdayIndex(firstDay);
+            const cells = [];
+            const monthLabels = [];
+            let yearTotal = 0;
+            let index = 0;
+            for (let day = firstDay; day < nextYearFirstDay; day = shiftGregorianDate(day, 1), index++) {
+                const position = leadingDays + index;
+                const week = Math.floor(position / 7);
+                const weekday = position % 7;
+                const [, jm, jd] = parseShamsiDate(day);
+                if (jd === 1) monthLabels.push({ week, name: SHAMSI_MONTH_NAMES[jm - 1] });
+                cells.push({ day, week, weekday, inRange: day >= startDate && day <= endDate, usage: usageByDay[day] || 0 });
+                if (day >= startDate && day <= endDate) yearTotal += usageByDay[day] || 0;
+            }
+            const weekCount = Math.floor((leadingDays + index - 1) / 7) + 1;
+            const width = weekCount * step + labelWidth;
+            const height = monthLabelHeight + 7 * step;
+            const columnX = (week) => (weekCount - 1 - week) * step; // First week on the right
+
+            return React.createElement('div', { key: jy, className: 'mb-6' },
+                React.createElement('h3', { className: 'text-lg font-semibold mb-2 text-gray-700' }, 'سال ' + formatDigits(jy) + ' - مجموع مصرف: ' + formatBytesToReadable(yearTotal)),
+                React.createElement('svg', { width, height, viewBox: `0 0 ${width} ${height}`, style: { direction: 'ltr' }, className: 'usage-calendar' },
+                    ...monthLabels.map(label => React.createElement('text', { key: 'month-' + label.name, x: columnX(label.week) + cellSize, y: 11, textAnchor: 'end', fontSize: 10, fill: '#4b5563' }, label.name)),
+                    ...SHAMSI_WEEKDAY_NAMES.map((name, weekday) => React.createElement('text', { key: 'weekday-' + weekday, x: width - 2, y: monthLabelHeight + weekday * step + cellSize - 2, textAnchor: 'end', fontSize: 10, fill: '#4b5563' }, name)),
+                    ...cells.map(cell => React.createElement('rect', {
+                        key: cell.day,
+                        x: columnX(cell.week),
+                        y: monthLabelHeight + cell.weekday * step,
+                        width: cellSize,
+                        height: cellSize,
+                        rx: 2,
+                        fill: cell.inRange ? getHeatmapColor(maxUsage > 0 ? cell.usage / maxUsage : 0) : '#ffffff',
+                        stroke: cell.inRange ? '#e5e7eb' : '#f3f4f6',
+                        className: cell.inRange && cell.usage > 0 ? 'cursor-pointer' : undefined,
+                        onClick: cell.inRange && cell.usage > 0 ? () => onDayClick(cell.day) : undefined
+                    }, React.createElement('title', null, formatDigits(formatShamsiDate(cell.day)) + (cell.inRange ? ': ' + formatBytesToReadable(cell.usage) : ' (خارج از بازه گزارش)'))))
+                )
+            );
+        }),
+        React.createElement('div', { className: 'flex items-center gap-1 text-xs text-gray-600' },
+            React.createElement('span', null, 'کم'),
+            ...[0, 0.25, 0.5, 0.75, 1].map(intensity => React.createElement('span', { key: intensity, className: 'inline-block w-3 h-3 rounded-sm border', style: { backgroundColor: getHeatmapColor(intensity) } })),
+            React.createElement('span', null, 'زیاد')
+        )
+    );
+}
+
+const SHAMSI_SEASON_NAMES = ['بهار', 'تابستان', 'پاییز', 'زمستان'];
+
+// ForecastSummary Component (projected usage at the end of the current Shamsi month and season, see usage-forecast.js)
+function ForecastSummary({ forecast, asOfDate }) {
+    if (!forecast) return null;
+    const [, month] = parseShamsiDate(forecast.month.startDate);
+    return React.createElement('div', { className: 'flex flex-wrap items-center gap-6 mb-4 p-3 rounded-md bg-blue-50 border border-blue-200' },
+        React.createElement('span', null, `پیش‌بینی مصرف تا پایان ${SHAMSI_MONTH_NAMES[month - 1]}: ${formatBytesToReadable(forecast.month.total)} (تا کنون ${formatBytesToReadable(forecast.month.actual)})`),
+        forecast.season && React.createElement('span', null, `پیش‌بینی مصرف تا پایان ${SHAMSI_SEASON_NAMES[Math.floor((month - 1) / 3)]}: ${formatBytesToReadable(forecast.season.total)} (تا کنون ${formatBytesToReadable(forecast.season.actual)})`),
+        React.createElement('span', { className: 'text-sm text-gray-500' }, `بر اساس روند مصرف و الگوی روزهای هفته تا ${formatDigits(formatShamsiDate(asOfDate))}`)
+    );
+}
+
+// Day classes of the office calendar: Thursdays are half days, and the office is closed on
+// Fridays and official holidays, so any traffic on a closed day is flagged
+const DAY_CLASSES = [
+    { key: 'workday', label: 'روز کاری', color: '#2196F3', closed: false },
+    { key: 'thursday', label: 'پنجشنبه (نیمه‌وقت)', color: '#9C27B0', closed: false },
+    { key: 'friday', label: 'جمعه', color: '#FF9800', closed: true },
+    { key: 'holiday', label: 'تعطیل رسمی', color: '#DC2626', closed: true }
+];
+
+// Helper function to get the day class of a Gregorian date; an official holiday (reportData.holidays) wins over the weekday
+function getDayClass(day, holidays) {
+    if (holidays && holidays[day]) return 'holiday';
+    const weekday = getShamsiWeekdayIndex(day); // Saturday-first: 5 = Thursday, 6 = Friday
+    return weekday === 6 ? 'friday' : weekday === 5 ? 'thursday' : 'workday';
+}
+
+// Helper function to get the day class entry (label, color) of a day class key
+function getDayClassInfo(key) {
+    return DAY_CLASSES.find(dayClass => dayClass.key === key);
+}
+
+// DayClassCell Component (table cell with the day class of a date; red when there was usage on a closed day)
+function DayClassCell({ day, usage, holidays }) {
+    const dayClass = getDayClassInfo(getDayClass(day, holidays));
+    return React.createElement('td', {
+        className: dayClass.closed && usage > 0 ? 'font-bold text-red-700' : undefined,
+        title: dayClass.key === 'holiday' ? holidays[day] : undefined
+    }, dayClass.label);
+}
+
+// Helper function to get the sort values of the usage metric columns, per metric key (summary fields, or daily
+// fields when isDaily); getItem picks the object holding the fields, e.g. the summary of a user
+function getUsageMetricSortValues(isDaily, getItem = item => item) {
+    return Object.fromEntries(USAGE_METRICS.map(metric => [metric.key, row => getItem(row)[isDaily ? metric.dailyKey : metric.summaryKey]]));
+}
+
+// Sortable columns of the report tables: column key -> value a row is sorted by. Columns that are not
+// listed here (row numbers, comparisons, quotas) are not sortable.
+const TABLE_SORT_VALUES = {
+    summary: { userId: user => user.userId, name: user => user.name, ...getUsageMetricSortValues(false, user => user.summary) },
+    monthly: {
+        month: item => item.monthKey,
+        daysCount: item => item.daysCount,
+        ...getUsageMetricSortValues(false),
+        highestConsumer: item => item.highestConsumer || '',
+        highestConsumerUsage: item => item.highestConsumerUsage
+    },
+    quarterly: {
+        shamsiYear: item => item.shamsiYear,
+        quarter: item => item.quarterNum,
+        daysCount: item => item.daysCount,
+        ...getUsageMetricSortValues(false)
+    },
+    user: { day: row => row.day, ...getUsageMetricSortValues(true) }
+};
+
+// Helper function to get the sortable table shown in a view; any view that is not a report view is a user view
+function getSortTableName(view) {
+    switch (view) {
+        case 'کلی': return 'summary';
+        case 'گزارش ماهانه': return 'monthly';
+        case 'گزارش فصلی': return 'quarterly';
+        default: return REPORT_VIEW_NAMES.includes(view) ? null : 'user';
     }
-    return toPersianDigits(mbValue.toFixed(2)) + ' MB';
+}
+
+// Helper function to compare two sort values; text (e.g. Persian names) is ordered with the Persian collation
+// and numbers inside text in numeric order, so 'PC-9' comes before 'PC-10'
+function compareSortValues(a, b) {
+    if (typeof a === 'string' || typeof b === 'string') return String(a).localeCompare(String(b), 'fa', { numeric: true });
+    return a - b;
+}
+
+// Helper function to sort the rows of a table by a list of sort keys ({ column, direction }), the first key
+// first. Rows that are equal on all keys keep their order, so an unsorted table keeps the order of its data.
+function sortTableRows(rows, table, sortKeys) {
+    const sortValues = TABLE_SORT_VALUES[table];
+    const keys = sortKeys.filter(key => sortValues[key.column]);
+    if (keys.length === 0) return rows;
+    return [...rows].sort((a, b) => {
+        for (const key of keys) {
+            const result = compareSortValues(sortValues[key.column](a), sortValues[key.column](b));
+            if (result !== 0) return key.direction === 'asc' ? result : -result;
+        }
+        return 0;
+    });
+}
+
+// Helper function to get the sort keys after a click on a column header. A plain click sorts by that column
+// only, cycling ascending -> descending -> unsorted; a shift-click adds the column as the next key or cycles
+// it in place, so the other keys stay.
+function getNextSortKeys(sortKeys, column, addKey) {
+    const current = sortKeys.find(key => key.column === column);
+    const nextDirection = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+    if (!addKey) {
+        if (sortKeys.length > 1) return [{ column, direction: 'asc' }];
+        return nextDirection ? [{ column, direction: nextDirection }] : [];
+    }
+    if (!current) return [...sortKeys, { column, direction: 'asc' }];
+    return nextDirection
+        ? sortKeys.map(key => key.column === column ? { column, direction: nextDirection } : key)
+        : sortKeys.filter(key => key.column !== column);
+}
+
+// Helper function to read sort keys from the URL hash ('column:direction', comma-separated); unknown columns are dropped
+function parseSortKeys(value, table) {
+    const sortKeys = [];
+    (value || '').split(',').forEach(part => {
+        const match = /^(\w+):(asc|desc)$/.exec(part);
+        if (match && TABLE_SORT_VALUES[table][match[1]] && !sortKeys.some(key => key.column === match[1])) {
+            sortKeys.push({ column: match[1], direction: match[2] });
+        }
+    });
+    return sortKeys;
+}
+
+// Helper function to check whether two lists of sort keys are the same
+function areSortKeysEqual(a, b) {
+    return a.length === b.length && a.every((key, i) => key.column === b[i].column && key.direction === b[i].direction);
+}
+
+// SortableTable Component (report table whose headers sort the rows; see TABLE_SORT_VALUES for the sortable
+// columns). rows are passed sorted by sortTableRows, so exports and charts can use the same order.
+// columns: [{ key, header, className }]; falsy entries are left out.
+function SortableTable({ table, columns, rows, sortKeys, onSortChange, renderRow, footerRow, emptyText }) {
+    const visibleColumns = columns.filter(Boolean);
+    const renderHeader = (column) => {
+        if (!TABLE_SORT_VALUES[table][column.key]) return React.createElement('th', { key: column.key, className: column.className }, column.header);
+        const keyIndex = sortKeys.findIndex(key => key.column === column.key);
+        const direction = keyIndex >= 0 ? sortKeys[keyIndex].direction : null;
+        return React.createElement('th', {
+            key: column.key,
+            onClick: (event) => onSortChange(getNextSortKeys(sortKeys, column.key, event.shiftKey)),
+            className: 'cursor-pointer select-none hover:bg-gray-300 transition-colors duration-200' + (column.className ? ' ' + column.className : ''),
+            title: 'مرتب‌سازی (با Shift+کلیک به مرتب‌سازی فعلی اضافه می‌شود)',
+            'aria-sort': direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : 'none'
+        },
+            React.createElement('div', { className: 'flex items-center justify-center' },
+                column.header,
+                React.createElement('div', { className: 'flex flex-col ml-1 -space-y-1.5 justify-center' },
+                    React.createElement('svg', { className: `w-4 h-4 ${direction === 'asc' ? 'text-black' : 'text-gray-400'}`, viewBox: '0 0 24 24', fill: 'currentColor' },
+                        React.createElement('path', { d: 'M7 14l5-5 5 5z' })
+                    ),
+                    React.createElement('svg', { className: `w-4 h-4 ${direction === 'desc' ? 'text-black' : 'text-gray-400'}`, viewBox: '0 0 24 24', fill: 'currentColor' },
+                        React.createElement('path', { d: 'M7 10l5 5 5-5z' })
+                    )
+                ),
+                // Position of the column in a multi-column sort
+                keyIndex >= 0 && sortKeys.length > 1 && React.createElement('span', { className: 'text-xs text-gray-600' }, formatDigits(keyIndex + 1))
+            )
+        );
+    };
+
+    return React.createElement('table', { className: 'w-full' },
+        React.createElement('thead', null, React.createElement('tr', null, ...visibleColumns.map(renderHeader))),
+        React.createElement('tbody', null,
+            ...(rows.length > 0 ? rows.map(renderRow) : emptyText ? [React.createElement('tr', { key: 'empty' }, React.createElement('td', { colSpan: visibleColumns.length }, emptyText))] : []),
+            footerRow
+        )
+    );
+}
+
+// Helper function to lay out one workbook sheet: a title row, information rows (date range etc.),
+// the table headers, the data rows and an optional total row. Column widths follow the longest cell.
+function createReportSheet(name, infoLines, headers, dataRows, totalRow) {
+    const columnCount = headers.length;
+    const lastColumn = getXlsxColumnName(columnCount - 1);
+    const rows = [[{ value: 'گزارش مصرف اینترنت', style: 'title' }]];
+    infoLines.forEach(line => rows.push([line]));
+    const merges = rows.map((_, i) => `A${i + 1}:${lastColumn}${i + 1}`);
+    rows.push([]);
+    rows.push(headers.map(header => ({ value: header, style: 'header' })));
+    dataRows.forEach(row => rows.push(row));
+    if (totalRow) {
+        rows.push(totalRow.map(cell => cell !== null && typeof cell === 'object' ? cell : { value: cell, style: typeof cell === 'number' ? 'totalNumber' : 'total' }));
+    }
+
+    const columnWidths = headers.map((header, columnIndex) => {
+        const longest = [header].concat(dataRows.map(row => row[columnIndex]), totalRow ? [totalRow[columnIndex]] : [])
+            .reduce((max, cell) => {
+                if (cell !== null && typeof cell === 'object') cell = cell.value;
+                if (cell === null || cell === undefined) return max;
+                const text = typeof cell === 'number' ? cell.toLocaleString('en-US', { maximumFractionDigits: 2 }) : String(cell);
+                return Math.max(max, text.length);
+            }, 0);
+        return Math.min(Math.max(longest + 3, 8), 45);
+    });
+
+    return { name, rows, merges, columnWidths };
+}
+
+// Helper function to download generated content as a file
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Labels of the generator's date range presets (reportData.dateRange.preset)
+const dateRangePresetLabels = {
+    Last365Days: '۳۶۵ روز اخیر',
+    CurrentShamsiYear: 'سال شمسی جاری',
+    PreviousShamsiYear: 'سال شمسی گذشته',
+    LastShamsiMonths: 'ماه‌های شمسی اخیر'
+};
+
+// Helper function to describe how and by whom the report was generated, for the report header.
+// Returns null for reports from generators that did not write this information.
+function getReportGenerationText(data) {
+    const parts = [];
+    const preset = data.dateRange.preset;
+    if (preset === 'LastShamsiMonths' && data.dateRange.months) {
+        parts.push(`${formatDigits(data.dateRange.months)} ماه شمسی اخیر`);
+    } else if (dateRangePresetLabels[preset]) {
+        parts.push(dateRangePresetLabels[preset]);
+    }
+    if (data.metadata && data.metadata.generatedAt) {
+        // generatedAt is the generator's local time, e.g. 2025-06-01T14:05:09+03:30
+        const generatedAt = data.metadata.generatedAt;
+        let text = `تهیه شده در ${formatDigits(formatShamsiDate(generatedAt.slice(0, 10)))} ساعت ${formatDigits(generatedAt.slice(11, 16))}`;
+        if (data.metadata.generatedBy) text += ` توسط ${data.metadata.generatedBy}`;
+        if (data.metadata.computerName) text += ` (${data.metadata.computerName})`;
+        parts.push(text);
+    }
+    return parts.length > 0 ? parts.join(' - ') : null;
+}
+
+// Report state kept in the URL hash, so a report view can be bookmarked or sent to a colleague and the
+// browser's back/forward buttons move between views. Only the fragment changes, which also works for
+// reports opened via file://.
+const PREDEFINED_RANGES = ['week', 'month', '3months', '6months'];
+const CHART_TYPES = ['bar', 'line', 'calendar'];
+
+// Helper function to read the report state from a URL hash.
+// Missing or invalid values fall back to the defaults; the date range and predefined range are only
+// returned when the hash has valid values for them.
+function parseReportStateHash(hash, data) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value + 'T00:00:00Z'));
+
+    // User views are keyed by computer name; links from older reports name the user instead
+    const view = params.get('view');
+    const viewUser = view && (data.users.find(user => user.userId === view) || data.users.find(user => user.name === view));
+    const state = {
+        selectedView: view && REPORT_VIEW_NAMES.includes(view) ? view : viewUser ? viewUser.userId : 'کلی',
+        chartType: CHART_TYPES.includes(params.get('chart')) ? params.get('chart') : 'bar',
+        showMonthlyHighestChart: params.get('monthly') === 'highest',
+        leaderboardSize: /^\d+$/.test(params.get('top') || '') && LEADERBOARD_SIZES.includes(Number(params.get('top'))) ? Number(params.get('top')) : 10,
+        leaderboardMetric: LEADERBOARD_METRICS.includes(params.get('metric')) ? params.get('metric') : 'totalUsage',
+        // Users picked in the comparison view, by computer name
+        comparedUserIds: [...new Set((params.get('users') || '').split(','))]
+            .filter(userId => data.users.some(user => user.userId === userId))
+            .slice(0, COMPARISON_COLORS.length)
+    };
+
+    // Sort keys of the table in the selected view (see getSortTableName)
+    const sortTable = getSortTableName(state.selectedView);
+    state.sortKeys = sortTable ? parseSortKeys(params.get('sort'), sortTable) : [];
+
+    const from = params.get('from');
+    const to = params.get('to');
+    if (isDate(from) && isDate(to)) {
+        // Keep the range inside the dates the report has data for
+        const startDate = from < data.dateRange.startDate ? data.dateRange.startDate : from;
+        const endDate = to > data.dateRange.endDate ? data.dateRange.endDate : to;
+        if (startDate <= endDate) {
+            state.startDate = startDate;
+            state.endDate = endDate;
+        }
+    }
+    if (PREDEFINED_RANGES.includes(params.get('range'))) state.predefinedRange = params.get('range');
+    return state;
+}
+
+// Helper function to write the report state as a URL hash; default values are left out to keep links short
+function createReportStateHash(state) {
+    const params = new URLSearchParams();
+    params.set('view', state.selectedView);
+    params.set('from', state.startDate);
+    params.set('to', state.endDate);
+    params.set('range', state.predefinedRange);
+    if (state.sortKeys.length > 0) params.set('sort', state.sortKeys.map(key => `${key.column}:${key.direction}`).join(','));
+    if (state.chartType !== 'bar') params.set('chart', state.chartType);
+    if (state.showMonthlyHighestChart) params.set('monthly', 'highest');
+    if (state.leaderboardSize !== 10) params.set('top', state.leaderboardSize);
+    if (state.leaderboardMetric !== 'totalUsage') params.set('metric', state.leaderboardMetric);
+    if (state.selectedView === 'مقایسه کاربران' && state.comparedUserIds.length > 0) params.set('users', state.comparedUserIds.join(','));
+    return '#' + params.toString();
 }
 
 // MessageBox Component
@@ -46,11 +535,9 @@ function App({ setMessage, message }) {
     const rawData = window.reportData || null; 
     const [selectedView, setSelectedView] = useState('کلی');
     const [chartType, setChartType] = useState('bar'); 
+    const [highlightedDay, setHighlightedDay] = useState(null); // Day picked on the calendar heatmap of the user view
     const chartInstanceRef = useRef(null);
 
-    const startDateInputRef = useRef(null);
-    const endDateInputRef = useRef(null);
-
     const [displayStartDate, setDisplayStartDate] = useState('');
     const [displayEndDate, setDisplayEndDate] = useState('');
 
@@ -59,11 +546,22 @@ function App({ setMessage, message }) {
     // Setting predefinedRange default to 'month' for dropdown consistency
     const [predefinedRange, setPredefinedRange] = useState('month'); 
 
-    const [sortOrder, setSortOrder] = useState({ column: null, direction: null });
+    // Sort keys ({ column, direction }) of the sortable tables, per table (see getSortTableName)
+    const [tableSorts, setTableSorts] = useState({ summary: [], monthly: [], quarterly: [], user: [] });
+
+    // Period-over-period comparison for the summary view: 'none', 'previous', 'lastYear' or 'custom'
+    const [compareMode, setCompareMode] = useState('none');
+    const [compareCustomStartDate, setCompareCustomStartDate] = useState('');
+    const [compareCustomEndDate, setCompareCustomEndDate] = useState('');
     
-    const [monthlyReportData, setMonthlyReportData] = useState([]);
-    const [quarterlyReportData, setQuarterlyReportData] = useState([]);
+    // Users covered by the monthly and quarterly reports: 'all', 'group:<group name>' or 'user:<userId>'
+    const [reportSubset, setReportSubset] = useState('all');
     const [showMonthlyHighestChart, setShowMonthlyHighestChart] = useState(false); // New state for toggling monthly charts
+    const [selectedGroup, setSelectedGroup] = useState(null); // Group drilled into in the groups view (null = list of groups)
+    const [leaderboardSize, setLeaderboardSize] = useState(10); // Users listed in the leaderboard (0 = all)
+    const [comparedUserIds, setComparedUserIds] = useState([]); // Users picked in the comparison view
+    const [leaderboardMetric, setLeaderboardMetric] = useState('totalUsage');
+    const [formatSettings, setFormatSettings] = useState(getUsageFormatSettings); // Display unit and digits (usage-format.js)
 
     // Define color palettes for charts as regular constants
     const springPalette = ['#69F0AE', '#00C853', '#00A040']; // Lighter, Main, Darker
@@ -114,71 +612,139 @@ function App({ setMessage, message }) {
             setDisplayEndDate(clampedEndDate);
             setAppliedStartDate(clampedStartDate); 
             setAppliedEndDate(clampedEndDate);     
+
+            // A link with report state in its hash overrides the defaults above
+            if (window.location.hash) applyReportState(parseReportStateHash(window.location.hash, rawData));
             
             console.log("App: Final Clamped Display/Applied Dates:", { clampedStartDate, clampedEndDate });
-
-            setMonthlyReportData(calculateMonthlyReport(rawData));
-            setQuarterlyReportData(calculateQuarterlyReport(rawData));
         } else {
              console.log("App: rawData is null or undefined initially in useEffect.");
         }
     }, [rawData]);
 
+    // Applies report state read from the URL hash (see parseReportStateHash)
+    function applyReportState(state) {
+        setSelectedView(state.selectedView);
+        setChartType(state.chartType);
+        setShowMonthlyHighestChart(state.showMonthlyHighestChart);
+        setLeaderboardSize(state.leaderboardSize);
+        setLeaderboardMetric(state.leaderboardMetric);
+        // Other views do not keep the picked users in the hash, so the selection is only restored for this view
+        if (state.selectedView === 'مقایسه کاربران') {
+            setComparedUserIds(prevUserIds => prevUserIds.join(',') === state.comparedUserIds.join(',') ? prevUserIds : state.comparedUserIds);
+        }
+        const sortTable = getSortTableName(state.selectedView);
+        if (sortTable) {
+            setTableSorts(prevTableSorts => areSortKeysEqual(prevTableSorts[sortTable], state.sortKeys) ? prevTableSorts : { ...prevTableSorts, [sortTable]: state.sortKeys });
+        }
+        if (state.predefinedRange) setPredefinedRange(state.predefinedRange);
+        if (state.startDate) {
+            setDisplayStartDate(state.startDate);
+            setDisplayEndDate(state.endDate);
+            setAppliedStartDate(state.startDate);
+            setAppliedEndDate(state.endDate);
+        }
+    }
+
+    // Hash and view last written by the sync effect below
+    const writtenHashRef = useRef(null);
+    const hashViewRef = useRef(null);
+
+    // Restore the report state when the hash changes, e.g. with the browser's back/forward buttons.
+    // hashchange events for hashes written by this app fire later and are ignored, otherwise they could
+    // bring back an older state when the report state changed again in the meantime.
+    useEffect(() => {
+        if (!rawData) return;
+        const handleHashChange = () => {
+            if (window.location.hash === writtenHashRef.current) return;
+            // Batched so the sync effect never sees a half-restored state
+            ReactDOM.unstable_batchedUpdates(() => applyReportState(parseReportStateHash(window.location.hash, rawData)));
+        };
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, [rawData]);
+
+    // Keep the URL hash in sync with the report state. Moving to another view adds a history entry;
+    // other changes replace the current entry so back/forward steps between views.
+    useEffect(() => {
+        if (!appliedStartDate || !appliedEndDate) return;
+        const hash = createReportStateHash({
+            selectedView, startDate: appliedStartDate, endDate: appliedEndDate, predefinedRange, chartType, showMonthlyHighestChart,
+            sortKeys: tableSorts[getSortTableName(selectedView)] || [], leaderboardSize, leaderboardMetric, comparedUserIds
+        });
+        if (hash !== window.location.hash) {
+            if (hashViewRef.current !== null && hashViewRef.current !== selectedView) {
+                window.location.hash = hash;
+            } else {
+                window.location.replace(hash);
+            }
+        }
+        writtenHashRef.current = hash;
+        hashViewRef.current = selectedView;
+    }, [selectedView, appliedStartDate, appliedEndDate, predefinedRange, tableSorts, chartType, showMonthlyHighestChart, leaderboardSize, leaderboardMetric, comparedUserIds]);
+
     const calculateMonthlyReport = (data) => {
         if (!data || !data.users) return [];
 
         const monthlyTotals = {};
         const monthlyDaysCount = {};
+        const monthlyUserUsage = {}; // monthKey -> userId -> total usage, for the highest consumer of each month
+        const monthKeyByDay = {}; // Each distinct day is converted to Shamsi once, not once per user
 
         data.users.forEach(user => {
             user.dailyData.forEach(dayData => {
-                const date = new Date(dayData.day);
-                const year = date.getFullYear();
-                const month = date.getMonth() + 1;
-
-                const monthKey = `${year}-${month < 10 ? '0' + month : month}`;
+                // Buckets follow real Shamsi month boundaries, e.g. '1403-01' is 1 Farvardin to 31 Farvardin 1403
+                let monthKey = monthKeyByDay[dayData.day];
+                if (!monthKey) {
+                    const [shamsiYear, shamsiMonth] = parseShamsiDate(dayData.day);
+                    monthKey = monthKeyByDay[dayData.day] = `${shamsiYear}-${shamsiMonth < 10 ? '0' + shamsiMonth : shamsiMonth}`;
+                }
 
                 if (!monthlyTotals[monthKey]) {
                     monthlyTotals[monthKey] = { totalUsage: 0, totalDownload: 0, totalUpload: 0 };
                     monthlyDaysCount[monthKey] = new Set();
+                    monthlyUserUsage[monthKey] = {};
                 }
 
                 monthlyTotals[monthKey].totalUsage += dayData.totalUsage;
                 monthlyTotals[monthKey].totalDownload += dayData.download;
                 monthlyTotals[monthKey].totalUpload += dayData.upload;
                 monthlyDaysCount[monthKey].add(dayData.day);
+                monthlyUserUsage[monthKey][user.userId] = (monthlyUserUsage[monthKey][user.userId] || 0) + dayData.totalUsage;
             });
         });
 
+        const persianMonthNames = ["فروردین", "اردیبهشت", "خرداد", "تیر", "مرداد", "شهریور", "مهر", "آبان", "آذر", "دی", "بهمن", "اسفند"];
+
         const report = Object.keys(monthlyTotals).map(monthKey => {
-            const [year, month] = monthKey.split('-').map(Number);
-            const gregorianDate = new Date(year, month - 1, 1);
-            const shamsiDateParts = formatShamsiDate(gregorianDate.toISOString().slice(0, 10)).split('/'); 
-            
-            // Ensure shamsiMonthNum is always a valid number
-            const shamsiMonthNum = shamsiDateParts[1] ? parseInt(shamsiDateParts[1], 10) : 1; 
+            const [shamsiYear, shamsiMonth] = monthKey.split('-').map(Number);
 
-            const highestConsumerData = data.monthlyHighestConsumers?.[monthKey] || { userName: 'نامشخص', totalUsage: 0 };
+            let highestConsumerId = null;
+            Object.keys(monthlyUserUsage[monthKey]).forEach(userId => {
+                if (highestConsumerId === null || monthlyUserUsage[monthKey][userId] > monthlyUserUsage[monthKey][highestConsumerId]) {
+                    highestConsumerId = userId;
+                }
+            });
+            const highestConsumerUser = data.users.find(u => u.userId === highestConsumerId);
 
             return {
                 monthKey,
-                shamsiMonth: shamsiMonthNum,
+                shamsiYear,
+                shamsiMonth,
+                shamsiMonthName: persianMonthNames[shamsiMonth - 1],
+                // The year is part of the label so ranges longer than 12 months do not repeat month names
+                shamsiMonthLabel: `${persianMonthNames[shamsiMonth - 1]} ${formatDigits(shamsiYear)}`,
                 daysCount: monthlyDaysCount[monthKey].size,
                 totalUsage: parseFloat(monthlyTotals[monthKey].totalUsage.toFixed(2)),
                 totalDownload: parseFloat(monthlyTotals[monthKey].totalDownload.toFixed(2)),
                 totalUpload: parseFloat(monthlyTotals[monthKey].totalUpload.toFixed(2)),
-                highestConsumer: highestConsumerData.userName,
-                highestConsumerUsage: parseFloat(highestConsumerData.totalUsage.toFixed(2))
+                highestConsumer: highestConsumerUser ? highestConsumerUser.name : 'نامشخص',
+                highestConsumerUsage: highestConsumerId === null ? 0 : parseFloat(monthlyUserUsage[monthKey][highestConsumerId].toFixed(2))
             };
         });
 
         report.sort((a, b) => a.monthKey.localeCompare(b.monthKey));
-        
-        const persianMonthNames = ["فروردین", "اردیبهشت", "خرداد", "تیر", "مرداد", "شهریور", "مهر", "آبان", "آذر", "دی", "بهمن", "اسفند"];
-        return report.map(item => {
-            item.shamsiMonthName = persianMonthNames[item.shamsiMonth - 1];
-            return item;
-        });
+        return report;
     };
 
     const calculateQuarterlyReport = (data) => {
@@ -186,6 +752,7 @@ function App({ setMessage, message }) {
 
         const quarterlyTotals = {}; 
         const quarterlyDaysCount = {};
+        const quarterKeyByDay = {};
 
         const shamsiMonthToQuarter = {
             1: 1, 2: 1, 3: 1, 
@@ -203,13 +770,15 @@ function App({ setMessage, message }) {
 
         data.users.forEach(user => {
             user.dailyData.forEach(dayData => {
-                const gregorianDate = new Date(dayData.day);
-                const shamsiDate = toShamsi(gregorianDate.getFullYear(), gregorianDate.getMonth() + 1, gregorianDate.getDate());
-                const shamsiYear = shamsiDate[0];
-                const shamsiMonth = shamsiDate[1];
-                
-                const quarterNum = shamsiMonthToQuarter[shamsiMonth];
-                const quarterKey = `${shamsiYear}-${quarterNum}`;
+                let quarterKey = quarterKeyByDay[dayData.day];
+                if (!quarterKey) {
+                    const shamsiDate = parseShamsiDate(dayData.day);
+                    const shamsiYear = shamsiDate[0];
+                    const shamsiMonth = shamsiDate[1];
+
+                    const quarterNum = shamsiMonthToQuarter[shamsiMonth];
+                    quarterKey = quarterKeyByDay[dayData.day] = `${shamsiYear}-${quarterNum}`;
+                }
 
                 if (!quarterlyTotals[quarterKey]) { 
                     quarterlyTotals[quarterKey] = { totalUsage: 0, totalDownload: 0, totalUpload: 0 };
@@ -242,103 +811,372 @@ function App({ setMessage, message }) {
         return report;
     };
 
+    const calculateGroupReport = (data) => {
+        if (!data || !data.users) return [];
 
-    const filterDataByDateRange = (dataToFilter, start, end) => {
-        console.log("filterDataByDateRange: Input dataToFilter.users.length:", dataToFilter.users ? dataToFilter.users.length : 'null/undefined'); 
-        console.log("filterDataByDateRange: Filtering for range:", { start, end }); 
+        const groups = {};
 
-        if (!dataToFilter || !dataToFilter.users || !Array.isArray(dataToFilter.users) || !start || !end) {
-            console.log("filterDataByDateRange: Invalid input or empty dataToFilter.users, returning empty structure."); 
-            return { users: [], dateRange: { startDate: start, endDate: end }, monthlyHighestConsumers: {} };
-        }
+        data.users.forEach(user => {
+            const groupName = getUserGroupName(user);
+            if (!groups[groupName]) {
+                groups[groupName] = { groupName, users: [], totalUsage: 0, totalDownload: 0, totalUpload: 0 };
+            }
+            groups[groupName].users.push(user);
+            groups[groupName].totalUsage += user.summary.totalUsage;
+            groups[groupName].totalDownload += user.summary.totalDownload;
+            groups[groupName].totalUpload += user.summary.totalUpload;
+        });
 
-        const startDateObj = new Date(start + 'T00:00:00Z'); // IMPORTANT: Add 'Z' for UTC
-        const endDateObj = new Date(end + 'T23:59:59Z');   // IMPORTANT: Add 'Z' for UTC
-        console.log("filterDataByDateRange: startDateObj (ISO):", startDateObj.toISOString()); 
-        console.log("filterDataByDateRange: endDateObj (ISO):", endDateObj.toISOString()); 
-
-        const filteredUsers = dataToFilter.users.map(user => {
-            const filteredDailyData = user.dailyData.filter(d => {
-                const dailyDate = new Date(d.day + 'T00:00:00Z'); // IMPORTANT: Add 'Z' for UTC
-                const isWithinRange = dailyDate >= startDateObj && dailyDate <= endDateObj;
-                console.log(`  User: ${user.name}, Raw Day: ${d.day}, DailyDate (ISO): ${dailyDate.toISOString()}, Within Range: ${isWithinRange}`); 
-                return isWithinRange;
-            });
-            console.log(`User: ${user.name}, Filtered Daily Data Count: ${filteredDailyData.length}`); 
-
-            let totalDownload = 0;
-            let totalUpload = 0;
-            let totalUsage = 0;
-            filteredDailyData.forEach(d => {
-                totalDownload += d.download;
-                totalUpload += d.upload;
-                totalUsage += d.totalUsage;
-            });
+        const report = Object.values(groups).map(group => ({
+            ...group,
+            users: [...group.users].sort((a, b) => a.userId.localeCompare(b.userId)),
+            usersCount: group.users.length,
+            totalUsage: parseFloat(group.totalUsage.toFixed(2)),
+            totalDownload: parseFloat(group.totalDownload.toFixed(2)),
+            totalUpload: parseFloat(group.totalUpload.toFixed(2))
+        }));
 
-            return {
-                ...user,
-                dailyData: filteredDailyData,
-                summary: {
-                    totalDownload: parseFloat(totalDownload.toFixed(2)),
-                    totalUpload: parseFloat(totalUpload.toFixed(2)),
-                    totalUsage: parseFloat(totalUsage.toFixed(2))
-                }
-            };
-        }).filter(user => user.dailyData.length > 0); 
-
-        let actualStartDate = start;
-        let actualEndDate = end;
-        if (filteredUsers.length > 0) {
-            const allDailyDates = filteredUsers.flatMap(u => u.dailyData.map(d => new Date(d.day).getTime()));
-            if (allDailyDates.length > 0) {
-                actualStartDate = new Date(Math.min(...allDailyDates)).toISOString().slice(0, 10);
-                actualEndDate = new Date(Math.max(...allDailyDates)).toISOString().slice(0, 10);
-            }
-        }
-        console.log("filterDataByDateRange: Returning filtered data (users count):", filteredUsers.length); 
-        return {
-            users: filteredUsers,
-            dateRange: { startDate: actualStartDate, endDate: actualEndDate },
-            monthlyHighestConsumers: dataToFilter.monthlyHighestConsumers 
-        };
+        report.sort((a, b) => a.groupName.localeCompare(b.groupName, 'fa'));
+        return report;
     };
 
+
+    // Daily rows indexed by date once per data load; every date range below is cut from this index
+    const usageIndex = useMemo(() => {
+        return rawData ? createUsageIndex(rawData.users) : null;
+    }, [rawData]);
+
     const filteredReportData = useMemo(() => {
-        return rawData ? filterDataByDateRange(rawData, appliedStartDate, appliedEndDate) : null;
-    }, [rawData, appliedStartDate, appliedEndDate]);
+        return usageIndex ? filterUsageIndex(usageIndex, appliedStartDate, appliedEndDate) : null;
+    }, [usageIndex, appliedStartDate, appliedEndDate]);
+
+    const isUserInReportSubset = (user) => {
+        if (reportSubset.startsWith('group:')) return getUserGroupName(user) === reportSubset.slice(6);
+        if (reportSubset.startsWith('user:')) return user.userId === reportSubset.slice(5);
+        return true;
+    };
+
+    const reportSubsetLabel = useMemo(() => {
+        if (reportSubset.startsWith('group:')) return 'گروه ' + reportSubset.slice(6);
+        if (reportSubset.startsWith('user:')) {
+            const subsetUser = rawData && rawData.users.find(u => u.userId === reportSubset.slice(5));
+            return subsetUser ? subsetUser.name : reportSubset.slice(5);
+        }
+        return null;
+    }, [reportSubset, rawData]);
+
+    // Monthly and quarterly reports follow the applied date range and the selected user/group subset
+    const monthlyReportData = useMemo(() => {
+        return filteredReportData ? calculateMonthlyReport({ ...filteredReportData, users: filteredReportData.users.filter(isUserInReportSubset) }) : [];
+    }, [filteredReportData, reportSubset]);
+
+    const quarterlyReportData = useMemo(() => {
+        return filteredReportData ? calculateQuarterlyReport({ ...filteredReportData, users: filteredReportData.users.filter(isUserInReportSubset) }) : [];
+    }, [filteredReportData, reportSubset]);
+
+    // Group totals are derived from the filtered data so they follow the applied date range
+    const groupReportData = useMemo(() => {
+        return calculateGroupReport(filteredReportData);
+    }, [filteredReportData]);
+
+    const currentGroup = useMemo(() => {
+        return selectedGroup ? groupReportData.find(g => g.groupName === selectedGroup) || null : null;
+    }, [groupReportData, selectedGroup]);
 
     const sortedUsers = useMemo(() => {
         if (!filteredReportData || !filteredReportData.users) {
             return [];
         }
 
-        const usersToSort = [...filteredReportData.users];
-
-        if (sortOrder.column === 'totalUsage') {
-            usersToSort.sort((a, b) => {
-                const valA = a.summary.totalUsage;
-                const valB = b.summary.totalUsage;
-                if (sortOrder.direction === 'asc') {
-                    return valA - valB;
-                } else {
-                    return valB - vA;
-                }
-            });
-        } else {
-            usersToSort.sort((a, b) => a.userId.localeCompare(b.userId));
+        // Users are listed by computer name until a column is sorted
+        const usersByUserId = [...filteredReportData.users].sort((a, b) => a.userId.localeCompare(b.userId));
+        return sortTableRows(usersByUserId, 'summary', tableSorts.summary);
+    }, [filteredReportData, tableSorts.summary]);
+
+    const compareRange = useMemo(() => {
+        if (!appliedStartDate || !appliedEndDate) return null;
+        switch (compareMode) {
+            case 'previous':
+                return getPreviousPeriodRange(appliedStartDate, appliedEndDate);
+            case 'lastYear':
+                return { startDate: shiftShamsiMonths(appliedStartDate, -12), endDate: shiftShamsiMonths(appliedEndDate, -12) };
+            case 'custom':
+                return compareCustomStartDate && compareCustomEndDate && compareCustomStartDate <= compareCustomEndDate
+                    ? { startDate: compareCustomStartDate, endDate: compareCustomEndDate }
+                    : null;
+            default:
+                return null;
         }
-        return usersToSort;
-    }, [filteredReportData, sortOrder]);
+    }, [compareMode, appliedStartDate, appliedEndDate, compareCustomStartDate, compareCustomEndDate]);
+
+    // The comparison range is summed from the same index as the applied range so both totals are computed identically;
+    // only the totals are needed, so no rows are copied
+    const compareUserSummaries = useMemo(() => {
+        return usageIndex && compareRange ? summarizeUsageIndex(usageIndex, compareRange.startDate, compareRange.endDate) : null;
+    }, [usageIndex, compareRange]);
+
+    const compareSummaryByUserId = useMemo(() => {
+        const summaries = {};
+        if (compareUserSummaries) {
+            compareUserSummaries.forEach(user => { summaries[user.userId] = user.summary; });
+        }
+        return summaries;
+    }, [compareUserSummaries]);
+
+    const getComparison = (currentUsage, previousUsage) => ({
+        previousUsage: parseFloat(previousUsage.toFixed(2)),
+        delta: parseFloat((currentUsage - previousUsage).toFixed(2)),
+        percentChange: previousUsage > 0 ? parseFloat(((currentUsage - previousUsage) / previousUsage * 100).toFixed(1)) : null
+    });
+
+    const getUserComparison = (user) => {
+        const previous = compareSummaryByUserId[user.userId];
+        return getComparison(user.summary.totalUsage, previous ? previous.totalUsage : 0);
+    };
+
+    const isUserView = !REPORT_VIEW_NAMES.includes(selectedView);
+
+    // The previous period of the leaderboard is always the equal-length period before the applied range
+    const leaderboardPreviousRange = useMemo(() => {
+        return appliedStartDate && appliedEndDate ? getPreviousPeriodRange(appliedStartDate, appliedEndDate) : null;
+    }, [appliedStartDate, appliedEndDate]);
+
+    // Top users of the applied range by the selected metric, with their rank in the previous period and their daily values
+    const leaderboardData = useMemo(() => {
+        if (selectedView !== 'رتبه‌بندی مصرف' || !filteredReportData || !leaderboardPreviousRange) return [];
+        const rankUsers = (users) => users
+            .filter(user => user.summary[leaderboardMetric] > 0)
+            .sort((a, b) => b.summary[leaderboardMetric] - a.summary[leaderboardMetric] || a.userId.localeCompare(b.userId));
+
+        const rankedUsers = rankUsers(filteredReportData.users);
+        const networkTotal = rankedUsers.reduce((total, user) => total + user.summary[leaderboardMetric], 0);
+
+        const previousRanks = {};
+        rankUsers(summarizeUsageIndex(usageIndex, leaderboardPreviousRange.startDate, leaderboardPreviousRange.endDate))
+            .forEach((user, index) => { previousRanks[user.userId] = index + 1; });
+
+        const days = [];
+        for (let day = appliedStartDate; day <= appliedEndDate; day = shiftGregorianDate(day, 1)) days.push(day);
+        const dailyField = getUsageMetric(leaderboardMetric).dailyKey;
+
+        return (leaderboardSize > 0 ? rankedUsers.slice(0, leaderboardSize) : rankedUsers).map((user, index) => {
+            const usageByDay = {};
+            user.dailyData.forEach(d => { usageByDay[d.day] = d[dailyField]; });
+            const value = user.summary[leaderboardMetric];
+            const previousRank = previousRanks[user.userId] || null;
+            return {
+                userId: user.userId,
+                name: user.name,
+                rank: index + 1,
+                previousRank,
+                // Positive when the user moved up the list
+                rankChange: previousRank ? previousRank - (index + 1) : null,
+                value,
+                share: networkTotal > 0 ? parseFloat((value / networkTotal * 100).toFixed(1)) : 0,
+                dailyValues: days.map(day => parseFloat((usageByDay[day] || 0).toFixed(2)))
+            };
+        });
+    }, [selectedView, filteredReportData, usageIndex, leaderboardPreviousRange, leaderboardSize, leaderboardMetric, appliedStartDate, appliedEndDate]);
 
     const currentUser = useMemo(() => {
         return filteredReportData && filteredReportData.users
-            ? filteredReportData.users.find(u => u.name === selectedView)
+            ? filteredReportData.users.find(u => u.userId === selectedView)
             : null;
     }, [filteredReportData, selectedView]);
 
+    // Rows of the monthly, quarterly and user tables in the order chosen with the table headers; the charts
+    // keep the chronological order of the report data
+    const sortedMonthlyReportData = useMemo(() => sortTableRows(monthlyReportData || [], 'monthly', tableSorts.monthly), [monthlyReportData, tableSorts.monthly]);
+    const sortedQuarterlyReportData = useMemo(() => sortTableRows(quarterlyReportData || [], 'quarterly', tableSorts.quarterly), [quarterlyReportData, tableSorts.quarterly]);
+    const sortedCurrentUserDailyData = useMemo(() => currentUser ? sortTableRows(currentUser.dailyData, 'user', tableSorts.user) : [], [currentUser, tableSorts.user]);
+
+    // Spike days are detected over each user's full history, so the baseline of a day
+    // includes the days before the applied range; only the list is filtered by the range.
+    // A user's spike days are detected when a view first needs them and kept until the data changes.
+    const getUserAnomalies = useMemo(() => {
+        const rawUsersById = new Map((rawData && rawData.users ? rawData.users : []).map(user => [user.userId, user]));
+        const anomaliesByUserId = new Map();
+        return (userId) => {
+            if (!anomaliesByUserId.has(userId)) {
+                const rawUser = rawUsersById.get(userId);
+                anomaliesByUserId.set(userId, rawUser ? detectUsageAnomalies(rawUser.dailyData) : []);
+            }
+            return anomaliesByUserId.get(userId);
+        };
+    }, [rawData]);
+
+    const anomalyReportData = useMemo(() => {
+        if (selectedView !== 'مصرف غیرعادی' || !filteredReportData || !filteredReportData.users) return [];
+        const report = [];
+        filteredReportData.users.forEach(user => {
+            getUserAnomalies(user.userId)
+                .filter(anomaly => anomaly.day >= appliedStartDate && anomaly.day <= appliedEndDate)
+                .forEach(anomaly => report.push({ ...anomaly, userId: user.userId, name: user.name }));
+        });
+        report.sort((a, b) => b.day.localeCompare(a.day) || a.userId.localeCompare(b.userId));
+        return report;
+    }, [selectedView, filteredReportData, getUserAnomalies, appliedStartDate, appliedEndDate]);
+
+    const hasHourlyData = useMemo(() => {
+        return !!(rawData && rawData.users && rawData.users.some(user => user.hourlyData && Object.keys(user.hourlyData).length > 0));
+    }, [rawData]);
+
+    // Weekday (Saturday first) by hour-of-day grid of the average usage per day, for the selected user/group subset
+    const hourlyHeatmapData = useMemo(() => {
+        const sums = Array.from({ length: 7 }, () => Array(24).fill(0));
+        const daysPerWeekday = Array.from({ length: 7 }, () => new Set());
+        if (selectedView === 'الگوی ساعتی مصرف' && filteredReportData && filteredReportData.users) {
+            filteredReportData.users.filter(isUserInReportSubset).forEach(user => {
+                Object.keys(user.hourlyData || {}).forEach(day => {
+                    if (day < appliedStartDate || day > appliedEndDate) return;
+                    const weekday = getShamsiWeekdayIndex(day);
+                    daysPerWeekday[weekday].add(day);
+                    user.hourlyData[day].forEach((usage, hour) => { sums[weekday][hour] += usage; });
+                });
+            });
+        }
+        const averages = sums.map((hours, weekday) => hours.map(sum => daysPerWeekday[weekday].size > 0 ? parseFloat((sum / daysPerWeekday[weekday].size).toFixed(2)) : 0));
+        return {
+            averages,
+            maxAverage: Math.max(0, ...averages.map(hours => Math.max(...hours))),
+            weekdayTotals: sums.map(hours => parseFloat(hours.reduce((a, b) => a + b, 0).toFixed(2))),
+            hourTotals: Array.from({ length: 24 }, (_, hour) => parseFloat(sums.reduce((total, hours) => total + hours[hour], 0).toFixed(2)))
+        };
+    }, [selectedView, filteredReportData, reportSubset, appliedStartDate, appliedEndDate]);
+
+    // Usage of each user split by day class over the applied range; users with traffic on closed days come first
+    const dayClassReportData = useMemo(() => {
+        const emptyTotals = () => Object.fromEntries(DAY_CLASSES.map(dayClass => [dayClass.key, 0]));
+        const report = { users: [], dayCounts: emptyTotals(), totals: emptyTotals(), holidays: [] };
+        if (selectedView !== 'روزهای کاری و تعطیل' || !filteredReportData || !appliedStartDate || !appliedEndDate) return report;
+        const holidays = rawData.holidays || {};
+        for (let day = appliedStartDate; day <= appliedEndDate; day = shiftGregorianDate(day, 1)) {
+            report.dayCounts[getDayClass(day, holidays)]++;
+            if (holidays[day]) report.holidays.push({ day, name: holidays[day] });
+        }
+
+        report.users = filteredReportData.users.map(user => {
+            const usage = emptyTotals();
+            let closedDays = 0;
+            user.dailyData.forEach(d => {
+                const dayClass = getDayClass(d.day, holidays);
+                usage[dayClass] += d.totalUsage;
+                if (getDayClassInfo(dayClass).closed && d.totalUsage > 0) closedDays++;
+            });
+            DAY_CLASSES.forEach(dayClass => {
+                usage[dayClass.key] = parseFloat(usage[dayClass.key].toFixed(2));
+                report.totals[dayClass.key] += usage[dayClass.key];
+            });
+            const closedUsage = parseFloat(DAY_CLASSES.reduce((total, dayClass) => total + (dayClass.closed ? usage[dayClass.key] : 0), 0).toFixed(2));
+            return {
+                userId: user.userId,
+                name: user.name,
+                usage,
+                totalUsage: user.summary.totalUsage,
+                closedUsage,
+                closedDays,
+                closedShare: user.summary.totalUsage > 0 ? parseFloat((closedUsage / user.summary.totalUsage * 100).toFixed(1)) : 0
+            };
+        }).sort((a, b) => b.closedUsage - a.closedUsage || b.totalUsage - a.totalUsage || a.userId.localeCompare(b.userId));
+        DAY_CLASSES.forEach(dayClass => { report.totals[dayClass.key] = parseFloat(report.totals[dayClass.key].toFixed(2)); });
+        return report;
+    }, [selectedView, filteredReportData, rawData, appliedStartDate, appliedEndDate]);
+
+    // Daily total usage of the users picked in the comparison view on one chronological axis (every day of the
+    // applied range, days without traffic as zero), with their totals, average per active day and peak day.
+    // Users without traffic in the range are kept with zero usage.
+    const userComparisonData = useMemo(() => {
+        const report = { days: [], users: [] };
+        if (selectedView !== 'مقایسه کاربران' || !filteredReportData || !appliedStartDate || !appliedEndDate) return report;
+        for (let day = appliedStartDate; day <= appliedEndDate; day = shiftGregorianDate(day, 1)) report.days.push(day);
+
+        report.users = comparedUserIds.map((userId, index) => {
+            const rawUser = rawData.users.find(user => user.userId === userId);
+            if (!rawUser) return null;
+            const user = filteredReportData.users.find(u => u.userId === userId)
+                || { ...rawUser, dailyData: [], summary: { totalDownload: 0, totalUpload: 0, totalUsage: 0 } };
+            const usageByDay = {};
+            user.dailyData.forEach(d => { usageByDay[d.day] = d.totalUsage; });
+            const dailyUsage = report.days.map(day => parseFloat((usageByDay[day] || 0).toFixed(2)));
+            const activeDays = dailyUsage.filter(usage => usage > 0).length;
+            const peakIndex = dailyUsage.reduce((best, usage, i) => usage > dailyUsage[best] ? i : best, 0);
+            return {
+                userId,
+                name: user.name || userId,
+                color: COMPARISON_COLORS[index],
+                summary: user.summary,
+                dailyUsage,
+                activeDays,
+                averagePerActiveDay: activeDays > 0 ? parseFloat((user.summary.totalUsage / activeDays).toFixed(2)) : 0,
+                peakDay: activeDays > 0 ? { day: report.days[peakIndex], usage: dailyUsage[peakIndex] } : null
+            };
+        }).filter(Boolean);
+        return report;
+    }, [selectedView, filteredReportData, rawData, comparedUserIds, appliedStartDate, appliedEndDate]);
+
+    const toggleComparedUser = (userId) => {
+        setComparedUserIds(prevUserIds => prevUserIds.includes(userId)
+            ? prevUserIds.filter(id => id !== userId)
+            : prevUserIds.length < COMPARISON_COLORS.length ? [...prevUserIds, userId] : prevUserIds);
+    };
+
+    useEffect(() => {
+        setHighlightedDay(null);
+    }, [selectedView]);
+
+    // Forecasts always start from the last day of the generated data, whatever range is applied: the newest day with
+    // a row, capped at the end of the report range (which can lie after the data, e.g. a future custom end date)
+    const forecastAsOfDate = useMemo(() => {
+        if (!usageIndex || !usageIndex.lastDay) return null;
+        return usageIndex.lastDay < rawData.dateRange.endDate ? usageIndex.lastDay : rawData.dateRange.endDate;
+    }, [usageIndex, rawData]);
+
+    // Forecast of the current Shamsi month and season for the users of the monthly report; the Excel export
+    // calculates it when the monthly view is not open
+    const calculateMonthlyForecast = () => {
+        if (!forecastAsOfDate) return null;
+        const dailyRows = rawData.users.filter(isUserInReportSubset).flatMap(user => user.dailyData);
+        const month = forecastPeriodUsage(dailyRows, forecastAsOfDate, 1);
+        if (!month) return null;
+        const season = forecastPeriodUsage(dailyRows, forecastAsOfDate, 3);
+        // Projected totals of the months after the current one, up to the end of the season
+        const nextMonths = [];
+        (season ? season.days : []).filter(d => d.day > month.endDate).forEach(d => {
+            const [shamsiYear, shamsiMonth] = parseShamsiDate(d.day);
+            const last = nextMonths[nextMonths.length - 1];
+            if (last && last.shamsiMonth === shamsiMonth) last.totalUsage += d.totalUsage;
+            else nextMonths.push({ shamsiYear, shamsiMonth, totalUsage: d.totalUsage });
+        });
+        const [shamsiYear, shamsiMonth] = parseShamsiDate(forecastAsOfDate);
+        return { monthKey: `${shamsiYear}-${shamsiMonth < 10 ? '0' + shamsiMonth : shamsiMonth}`, month, season, nextMonths };
+    };
+
+    const monthlyForecast = useMemo(() => {
+        return selectedView === 'گزارش ماهانه' ? calculateMonthlyForecast() : null;
+    }, [selectedView, rawData, reportSubset, forecastAsOfDate]);
+
+    // Forecast of the current Shamsi month and season for the selected user, from the user's whole history
+    const currentUserForecast = useMemo(() => {
+        if (!currentUser || !forecastAsOfDate) return null;
+        const user = rawData.users.find(u => u.userId === currentUser.userId) || currentUser;
+        const month = forecastPeriodUsage(user.dailyData, forecastAsOfDate, 1);
+        return month ? { month, season: forecastPeriodUsage(user.dailyData, forecastAsOfDate, 3) } : null;
+    }, [currentUser, rawData, forecastAsOfDate]);
+
+    // Scrolls the daily table of the user view to a day picked on the calendar heatmap
+    const handleCalendarDayClick = (day) => {
+        setHighlightedDay(day);
+        const row = document.querySelector(`tr[data-day="${day}"]`);
+        if (row) row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    };
+
+    const currentUserAnomalyDays = useMemo(() => {
+        return new Set(currentUser ? getUserAnomalies(currentUser.userId).map(anomaly => anomaly.day) : []);
+    }, [currentUser, getUserAnomalies]);
+
     const maxTotalUsageSummary = useMemo(() => {
         if (!sortedUsers || sortedUsers.length === 0) return 0;
-        return Math.max(...sortedUsers.map(user => user.summary.totalUsage));
+        return sortedUsers.reduce((max, user) => Math.max(max, user.summary.totalUsage), -Infinity);
     }, [sortedUsers]);
 
     const maxTotalDailyUsage = useMemo(() => {
@@ -361,6 +1199,12 @@ function App({ setMessage, message }) {
         return { totalDownload: parseFloat(totalDownload.toFixed(2)), totalUpload: parseFloat(totalUpload.toFixed(2)), totalUsage: parseFloat(totalUsage.toFixed(2)) };
     }, [sortedUsers]);
 
+    const totalSummaryComparison = useMemo(() => {
+        if (!compareUserSummaries) return null;
+        const previousUsage = compareUserSummaries.reduce((sum, user) => sum + user.summary.totalUsage, 0);
+        return getComparison(totalSummaryUsage.totalUsage, previousUsage);
+    }, [compareUserSummaries, totalSummaryUsage]);
+
     // Calculate total usage for monthly report table
     const totalMonthlyUsage = useMemo(() => {
         let totalDownload = 0;
@@ -391,6 +1235,75 @@ function App({ setMessage, message }) {
         return { totalDownload: parseFloat(totalDownload.toFixed(2)), totalUpload: parseFloat(totalUpload.toFixed(2)), totalUsage: parseFloat(totalUsage.toFixed(2)) };
     }, [quarterlyReportData]);
 
+    // Calculate total usage for groups table (or for the users of the drilled-in group)
+    const totalGroupUsage = useMemo(() => {
+        let totalDownload = 0;
+        let totalUpload = 0;
+        let totalUsage = 0;
+        if (currentGroup) {
+            totalDownload = currentGroup.totalDownload;
+            totalUpload = currentGroup.totalUpload;
+            totalUsage = currentGroup.totalUsage;
+        } else if (groupReportData && groupReportData.length > 0) {
+            groupReportData.forEach(item => {
+                totalDownload += item.totalDownload;
+                totalUpload += item.totalUpload;
+                totalUsage += item.totalUsage;
+            });
+        }
+        return { totalDownload: parseFloat(totalDownload.toFixed(2)), totalUpload: parseFloat(totalUpload.toFixed(2)), totalUsage: parseFloat(totalUsage.toFixed(2)) };
+    }, [groupReportData, currentGroup]);
+
+
+    // Quotas are monthly; for the applied range they are multiplied by the number of Shamsi months it touches
+    const quotas = rawData ? rawData.quotas : null;
+    const hasQuotas = useMemo(() => {
+        return !!(rawData && rawData.users && rawData.users.some(user => getUserMonthlyQuota(user, quotas) != null));
+    }, [rawData, quotas]);
+
+    const quotaMonthsCount = useMemo(() => countShamsiMonthsInRange(appliedStartDate, appliedEndDate), [appliedStartDate, appliedEndDate]);
+
+    const getUserQuotaStatus = (user) => {
+        const monthlyQuota = getUserMonthlyQuota(user, quotas);
+        return monthlyQuota == null ? null : getQuotaStatus(user.summary.totalUsage, monthlyQuota * quotaMonthsCount);
+    };
+
+    const totalSummaryQuotaStatus = useMemo(() => {
+        const allowances = sortedUsers.map(user => getUserMonthlyQuota(user, quotas)).filter(q => q != null);
+        if (allowances.length === 0) return null;
+        const quotaUsage = sortedUsers.filter(user => getUserMonthlyQuota(user, quotas) != null).reduce((sum, user) => sum + user.summary.totalUsage, 0);
+        return getQuotaStatus(quotaUsage, allowances.reduce((sum, q) => sum + q, 0) * quotaMonthsCount);
+    }, [sortedUsers, quotas, quotaMonthsCount]);
+
+    // The monthly allowance of the report is the sum of the monthly quotas of the users it covers
+    const monthlyNetworkQuota = useMemo(() => {
+        if (!rawData || !rawData.users) return null;
+        const allowances = rawData.users.filter(isUserInReportSubset).map(user => getUserMonthlyQuota(user, quotas)).filter(q => q != null);
+        return allowances.length > 0 ? allowances.reduce((sum, q) => sum + q, 0) : null;
+    }, [rawData, quotas, reportSubset]);
+
+    const currentUserQuotaStatus = currentUser ? getUserQuotaStatus(currentUser) : null;
+
+    // Display unit of each table and its chart, picked from the largest total usage of its rows
+    // (or the fixed unit of the display settings)
+    const usageUnits = useMemo(() => ({
+        summary: chooseUsageUnit(sortedUsers.map(user => user.summary.totalUsage)),
+        monthly: chooseUsageUnit(monthlyReportData.map(item => item.totalUsage)),
+        monthlyHighest: chooseUsageUnit(monthlyReportData.map(item => item.highestConsumerUsage)),
+        quarterly: chooseUsageUnit(quarterlyReportData.map(item => item.totalUsage)),
+        group: chooseUsageUnit(currentGroup ? currentGroup.users.map(user => user.summary.totalUsage) : groupReportData.map(item => item.totalUsage)),
+        leaderboard: chooseUsageUnit(leaderboardData.map(item => item.value)),
+        anomaly: chooseUsageUnit(anomalyReportData.map(item => item.totalUsage)),
+        hourly: chooseUsageUnit([hourlyHeatmapData.maxAverage]),
+        dayClass: chooseUsageUnit(dayClassReportData.users.map(item => item.totalUsage)),
+        comparison: chooseUsageUnit(userComparisonData.users.map(item => item.summary.totalUsage)),
+        comparisonDaily: chooseUsageUnit(userComparisonData.users.flatMap(item => item.dailyUsage)),
+        user: chooseUsageUnit(currentUser ? currentUser.dailyData.map(row => row.totalUsage) : [])
+    }), [sortedUsers, monthlyReportData, quarterlyReportData, currentGroup, groupReportData, leaderboardData, anomalyReportData, hourlyHeatmapData, dayClassReportData, userComparisonData, currentUser, formatSettings]);
+
+    const handleFormatSettingsChange = (changes) => {
+        setFormatSettings(saveUsageFormatSettings(changes));
+    };
 
     const data = filteredReportData;
 
@@ -437,13 +1350,23 @@ function App({ setMessage, message }) {
             chartInstanceRef.current.destroy();
         }
 
-        const isSummaryOrIndividualView = selectedView === 'کلی' || (data && data.users && data.users.some(u => u.name === selectedView));
+        const isSummaryOrIndividualView = selectedView === 'کلی' || (data && data.users && data.users.some(u => u.userId === selectedView));
         
         // --- Start of Message Logic ---
         let hasDataToDisplay = false;
         if (selectedView === 'کلی' && filteredReportData && filteredReportData.users && filteredReportData.users.length > 0) {
             hasDataToDisplay = true;
-        } else if (selectedView !== 'کلی' && selectedView !== 'گزارش ماهانه' && selectedView !== 'گزارش فصلی' && currentUser && currentUser.dailyData && currentUser.dailyData.length > 0) {
+        } else if (isUserView && currentUser && currentUser.dailyData && currentUser.dailyData.length > 0) {
+            hasDataToDisplay = true;
+        } else if (selectedView === 'گزارش گروه‌ها' && groupReportData.length > 0) {
+            hasDataToDisplay = true;
+        } else if (selectedView === 'رتبه‌بندی مصرف' && leaderboardData.length > 0) {
+            hasDataToDisplay = true;
+        } else if (selectedView === 'روزهای کاری و تعطیل' && dayClassReportData.users.length > 0) {
+            hasDataToDisplay = true;
+        } else if (selectedView === 'مقایسه کاربران' && filteredReportData && filteredReportData.users && filteredReportData.users.length > 0) {
+            hasDataToDisplay = true;
+        } else if ((selectedView === 'مصرف غیرعادی' || selectedView === 'الگوی ساعتی مصرف') && filteredReportData && filteredReportData.users && filteredReportData.users.length > 0) {
             hasDataToDisplay = true;
         } else if (selectedView === 'گزارش ماهانه' && monthlyReportData.length > 0) {
             hasDataToDisplay = true;
@@ -477,17 +1400,19 @@ function App({ setMessage, message }) {
             if (selectedView === 'کلی') {
                 const ctx = document.getElementById('summaryChart')?.getContext('2d');
                 if (ctx) {
+                    // In comparison mode each user gets a pair of bars: applied range and comparison range
+                    const unit = usageUnits.summary;
+                    const summaryDatasets = compareUserSummaries ? [
+                        { label: `مجموع بازه انتخابی (${unit.name})`, data: sortedUsers.map(u => convertUsage(u.summary.totalUsage, unit)), backgroundColor: '#FF9800' },
+                        { label: `مجموع دوره مقایسه (${unit.name})`, data: sortedUsers.map(u => convertUsage(getUserComparison(u).previousUsage, unit)), backgroundColor: '#9E9E9E' }
+                    ] : createUsageMetricDatasets(sortedUsers.map(u => u.summary), unit);
                     chartInstanceRef.current = new Chart(ctx, {
                         type: 'bar',
                         data: {
                             labels: sortedUsers.map(u => u.name),
-                            datasets: [
-                                { label: 'آپلود (MB)', data: sortedUsers.map(u => u.summary.totalDownload), backgroundColor: '#4CAF50' },
-                                { label: 'دانلود (MB)', data: sortedUsers.map(u => u.summary.totalUpload), backgroundColor: '#2196F3' },
-                                { label: 'مجموع (MB)', data: sortedUsers.map(u => u.summary.totalUsage), backgroundColor: '#FF9800' }
-                            ]
+                            datasets: summaryDatasets
                         },
-                        options: { responsive: true, scales: { y: { beginAtZero: true } }, plugins: { title: { display: true, text: 'گزارش کلی مصرف اینترنت', font: { size: 18 } } } }
+                        options: { responsive: true, scales: { y: createUsageAxis(unit) }, plugins: { title: { display: true, text: 'گزارش کلی مصرف اینترنت', font: { size: 18 } } } }
                     });
                     console.log("App: Summary Chart Rendered.");
                 }
@@ -496,13 +1421,14 @@ function App({ setMessage, message }) {
                 if (ctx && monthlyReportData.length > 0) {
                     if (showMonthlyHighestChart) {
                         // Render Highest Usage Per Month Chart
+                        const unit = usageUnits.monthlyHighest;
                         chartInstanceRef.current = new Chart(ctx, {
                             type: 'bar',
                             data: {
-                                labels: monthlyReportData.map(item => item.shamsiMonthName),
+                                labels: monthlyReportData.map(item => item.shamsiMonthLabel),
                                 datasets: [{
-                                    label: 'مصرف کاربر پرمصرف (MB)',
-                                    data: monthlyReportData.map(item => item.highestConsumerUsage),
+                                    label: `مصرف کاربر پرمصرف (${unit.name})`,
+                                    data: monthlyReportData.map(item => convertUsage(item.highestConsumerUsage, unit)),
                                     backgroundColor: '#DC2626', // Red color for highest consumer
                                     borderColor: '#991B1B',
                                     borderWidth: 1
@@ -510,7 +1436,7 @@ function App({ setMessage, message }) {
                             },
                             options: { 
                                 responsive: true, 
-                                scales: { y: { beginAtZero: true } }, 
+                                scales: { y: createUsageAxis(unit) }, 
                                 plugins: { 
                                     title: { display: true, text: 'نمودار مصرف کاربر پرمصرف ماهیانه', font: { size: 18 } },
                                     tooltip: {
@@ -518,7 +1444,7 @@ function App({ setMessage, message }) {
                                             label: (context) => {
                                                 let label = context.dataset.label || '';
                                                 if (label) { label += ': '; }
-                                                if (context.parsed.y !== null) { label += toPersianDigits(context.parsed.y); }
+                                                if (context.parsed.y !== null) { label += formatNumber(context.parsed.y, null); }
                                                 const highestConsumerName = monthlyReportData[context.dataIndex]?.highestConsumer || '';
                                                 return [label, `کاربر: ${highestConsumerName}`];
                                             }
@@ -530,20 +1456,41 @@ function App({ setMessage, message }) {
                         console.log("App: Monthly Highest Usage Chart Rendered.");
                     } else {
                         // Render Total Monthly Usage Chart
+                        const unit = usageUnits.monthly;
                         const backgroundColors = monthlyReportData.map(item => chartColors.monthlyColors[item.shamsiMonthName]);
+                        const labels = monthlyReportData.map(item => item.shamsiMonthLabel);
+                        const datasets = [{
+                            label: `مجموع مصرف ماهیانه (${unit.name})`,
+                            data: monthlyReportData.map(item => convertUsage(item.totalUsage, unit)),
+                            backgroundColor: backgroundColors,
+                            borderColor: backgroundColors.map(color => color.replace('0.6', '1')), // Use full opacity for border
+                            borderWidth: 1
+                        }];
+                        // When the report ends in the current month, a dashed line runs from the previous month
+                        // through the projected total of the current month to the end of the season
+                        const currentMonthIndex = monthlyForecast ? monthlyReportData.findIndex(item => item.monthKey === monthlyForecast.monthKey) : -1;
+                        if (currentMonthIndex !== -1 && currentMonthIndex === monthlyReportData.length - 1) {
+                            const forecastData = labels.map((label, index) => index === currentMonthIndex - 1 ? convertUsage(monthlyReportData[index].totalUsage, unit) : null);
+                            forecastData[currentMonthIndex] = convertUsage(monthlyForecast.month.total, unit);
+                            monthlyForecast.nextMonths.forEach(item => {
+                                labels.push(`${SHAMSI_MONTH_NAMES[item.shamsiMonth - 1]} ${formatDigits(item.shamsiYear)}`);
+                                forecastData.push(convertUsage(item.totalUsage, unit));
+                            });
+                            datasets.push({
+                                type: 'line',
+                                label: `پیش‌بینی مصرف ماهیانه (${unit.name})`,
+                                data: forecastData,
+                                borderColor: '#1E40AF',
+                                backgroundColor: '#1E40AF',
+                                borderDash: [6, 4],
+                                borderWidth: 2,
+                                fill: false
+                            });
+                        }
                         chartInstanceRef.current = new Chart(ctx, {
                             type: 'bar',
-                            data: {
-                                labels: monthlyReportData.map(item => item.shamsiMonthName),
-                                datasets: [{
-                                    label: 'مجموع مصرف ماهیانه (MB)',
-                                    data: monthlyReportData.map(item => item.totalUsage),
-                                    backgroundColor: backgroundColors,
-                                    borderColor: backgroundColors.map(color => color.replace('0.6', '1')), // Use full opacity for border
-                                    borderWidth: 1
-                                }]
-                            },
-                            options: { responsive: true, scales: { y: { beginAtZero: true } }, plugins: { title: { display: true, text: 'نمودار مجموع مصرف ماهیانه', font: { size: 18 } } } }
+                            data: { labels, datasets },
+                            options: { responsive: true, scales: { y: createUsageAxis(unit) }, plugins: { title: { display: true, text: 'نمودار مجموع مصرف ماهیانه', font: { size: 18 } } } }
                         });
                         console.log("App: Monthly Chart Rendered.");
                     }
@@ -553,45 +1500,140 @@ function App({ setMessage, message }) {
             } else if (selectedView === 'گزارش فصلی') {
                 const ctx = document.getElementById('quarterlyChart')?.getContext('2d');
                 if (ctx && quarterlyReportData.length > 0) {
+                    const unit = usageUnits.quarterly;
                     const backgroundColors = quarterlyReportData.map(item => chartColors.quarterlyColors[item.quarterName]);
                     chartInstanceRef.current = new Chart(ctx, {
                         type: 'bar',
                         data: {
-                            labels: quarterlyReportData.map(item => `${item.quarterName} ${toPersianDigits(item.shamsiYear)}`),
+                            labels: quarterlyReportData.map(item => `${item.quarterName} ${formatDigits(item.shamsiYear)}`),
                             datasets: [{
-                                label: 'مجموع مصرف فصلی (MB)',
-                                data: quarterlyReportData.map(item => item.totalUsage),
+                                label: `مجموع مصرف فصلی (${unit.name})`,
+                                data: quarterlyReportData.map(item => convertUsage(item.totalUsage, unit)),
                                 backgroundColor: backgroundColors,
                                 borderColor: backgroundColors.map(color => color.replace('0.6', '1')), // Use full opacity for border
                                 borderWidth: 1
                             }]
                         },
-                        options: { responsive: true, scales: { y: { beginAtZero: true } }, plugins: { title: { display: true, text: 'نمودار مجموع مصرف فصی', font: { size: 18 } } } }
+                        options: { responsive: true, scales: { y: createUsageAxis(unit) }, plugins: { title: { display: true, text: 'نمودار مجموع مصرف فصی', font: { size: 18 } } } }
                     });
                     console.log("App: Quarterly Chart Rendered.");
                 } else {
                     console.log("App: Quarterly Report View - No Chart. Data missing or already handled.");
                 }
+            } else if (selectedView === 'گزارش گروه‌ها') {
+                const ctx = document.getElementById('groupChart')?.getContext('2d');
+                if (ctx) {
+                    // Inside a group the chart shows its users, otherwise one bar set per group
+                    const chartItems = currentGroup
+                        ? currentGroup.users.map(u => ({ label: u.name, ...u.summary }))
+                        : groupReportData.map(g => ({ label: g.groupName, ...g }));
+                    chartInstanceRef.current = new Chart(ctx, {
+                        type: 'bar',
+                        data: {
+                            labels: chartItems.map(item => item.label),
+                            datasets: createUsageMetricDatasets(chartItems, usageUnits.group)
+                        },
+                        options: { responsive: true, scales: { y: createUsageAxis(usageUnits.group) }, plugins: { title: { display: true, text: currentGroup ? 'نمودار مصرف کاربران گروه ' + currentGroup.groupName : 'نمودار مصرف گروه‌ها', font: { size: 18 } } } }
+                    });
+                    console.log("App: Group Chart Rendered.");
+                }
+            } else if (selectedView === 'روزهای کاری و تعطیل') {
+                const ctx = document.getElementById('dayClassChart')?.getContext('2d');
+                if (ctx) {
+                    const unit = usageUnits.dayClass;
+                    chartInstanceRef.current = new Chart(ctx, {
+                        type: 'bar',
+                        data: {
+                            labels: dayClassReportData.users.map(item => item.name),
+                            datasets: DAY_CLASSES.map(dayClass => ({
+                                label: `${dayClass.label} (${unit.name})`,
+                                data: dayClassReportData.users.map(item => convertUsage(item.usage[dayClass.key], unit)),
+                                backgroundColor: dayClass.color
+                            }))
+                        },
+                        options: { responsive: true, scales: { x: { stacked: true }, y: { ...createUsageAxis(unit), stacked: true } }, plugins: { title: { display: true, text: 'نمودار مصرف کاربران به تفکیک نوع روز', font: { size: 18 } } } }
+                    });
+                    console.log("App: Day Class Chart Rendered.");
+                }
+            } else if (selectedView === 'مقایسه کاربران') {
+                const ctx = document.getElementById('userComparisonChart')?.getContext('2d');
+                if (ctx) {
+                    const unit = usageUnits.comparisonDaily;
+                    chartInstanceRef.current = new Chart(ctx, {
+                        type: 'line',
+                        data: {
+                            labels: userComparisonData.days.map(day => formatShamsiDate(day)),
+                            datasets: userComparisonData.users.map(item => ({
+                                label: item.name,
+                                data: item.dailyUsage.map(usage => convertUsage(usage, unit)),
+                                borderColor: item.color,
+                                backgroundColor: item.color,
+                                borderWidth: 2,
+                                pointRadius: 2,
+                                tension: 0.1
+                            }))
+                        },
+                        options: {
+                            responsive: true,
+                            interaction: { mode: 'index', intersect: false },
+                            scales: { y: createUsageAxis(unit) },
+                            plugins: { title: { display: true, text: `مقایسه مصرف روزانه کاربران (${unit.name})`, font: { size: 18 } } }
+                        }
+                    });
+                    console.log("App: User Comparison Chart Rendered.");
+                }
             } else { // Individual user view
                 if (currentUser && currentUser.dailyData.length > 0) { 
                     const ctx = document.getElementById('userChart')?.getContext('2d');
                     if (ctx) {
+                        const unit = usageUnits.user;
+                        // Projected days up to the end of the current Shamsi month, newest first like the daily rows,
+                        // shown when the applied range reaches the end of the generated data
+                        const forecastDays = currentUserForecast && appliedEndDate >= forecastAsOfDate ? [...currentUserForecast.month.days].reverse() : [];
+                        const forecastPadding = forecastDays.map(() => null);
+                        const datasets = [{
+                            // Spike markers drawn over the daily series; null hides the point on normal days
+                            type: 'line',
+                            label: 'مصرف غیرعادی',
+                            data: forecastPadding.concat(currentUser.dailyData.map(d => currentUserAnomalyDays.has(d.day) ? convertUsage(d.totalUsage, unit) : null)),
+                            showLine: false,
+                            pointStyle: 'triangle',
+                            pointRadius: 8,
+                            pointHoverRadius: 10,
+                            backgroundColor: '#DC2626',
+                            borderColor: '#991B1B'
+                        }, {
+                            label: `مجموع مصرف روزانه (${unit.name})`,
+                            data: forecastPadding.concat(currentUser.dailyData.map(d => convertUsage(d.totalUsage, unit))),
+                            backgroundColor: chartType === 'bar' ? 'rgba(75, 192, 192, 0.6)' : 'transparent',
+                            borderColor: 'rgba(75, 192, 192, 1)',
+                            borderWidth: chartType === 'bar' ? 1 : 2,
+                            fill: chartType === 'line',
+                            tension: 0.1,
+                            pointBackgroundColor: 'rgba(75, 192, 192, 1)'
+                        }];
+                        if (forecastDays.length > 0) {
+                            // The dashed extension starts at the usage of the newest day
+                            datasets.push({
+                                type: 'line',
+                                label: `پیش‌بینی مصرف روزانه (${unit.name})`,
+                                data: forecastDays.map(d => convertUsage(d.totalUsage, unit))
+                                    .concat([convertUsage(currentUser.dailyData[0].totalUsage, unit)], currentUser.dailyData.slice(1).map(() => null)),
+                                borderColor: '#1E40AF',
+                                backgroundColor: '#1E40AF',
+                                borderDash: [6, 4],
+                                borderWidth: 2,
+                                pointRadius: 2,
+                                fill: false
+                            });
+                        }
                         chartInstanceRef.current = new Chart(ctx, {
                             type: chartType,
                             data: {
-                                labels: currentUser.dailyData.map(d => formatShamsiDate(d.day)),
-                                datasets: [{
-                                    label: 'مجموع مصرف روزانه (MB)',
-                                    data: currentUser.dailyData.map(d => d.totalUsage),
-                                    backgroundColor: chartType === 'bar' ? 'rgba(75, 192, 192, 0.6)' : 'transparent',
-                                    borderColor: 'rgba(75, 192, 192, 1)',
-                                    borderWidth: chartType === 'bar' ? 1 : 2,
-                                    fill: chartType === 'line',
-                                    tension: 0.1,
-                                    pointBackgroundColor: 'rgba(75, 192, 192, 1)'
-                                }]
+                                labels: forecastDays.map(d => formatShamsiDate(d.day)).concat(currentUser.dailyData.map(d => formatShamsiDate(d.day))),
+                                datasets
                             },
-                            options: { responsive: true, scales: { y: { beginAtZero: true } }, plugins: { title: { display: true, text: 'نمودار مصرف برای ' + selectedView, font: { size: 18 } } } }
+                            options: { responsive: true, scales: { y: createUsageAxis(unit) }, plugins: { title: { display: true, text: 'نمودار مصرف برای ' + currentUser.name, font: { size: 18 } } } }
                         });
                         console.log("App: User Chart Rendered."); 
                     }
@@ -601,7 +1643,7 @@ function App({ setMessage, message }) {
             }
         };
         renderChartsAndTables();
-    }, [selectedView, filteredReportData, chartType, appliedStartDate, appliedEndDate, sortedUsers, maxTotalUsageSummary, maxTotalDailyUsage, currentUser, monthlyReportData, quarterlyReportData, totalSummaryUsage, totalMonthlyUsage, totalQuarterlyUsage, chartColors, showMonthlyHighestChart, message]); // message is a dependency
+    }, [selectedView, filteredReportData, chartType, appliedStartDate, appliedEndDate, sortedUsers, maxTotalUsageSummary, maxTotalDailyUsage, currentUser, monthlyReportData, quarterlyReportData, groupReportData, currentGroup, anomalyReportData, currentUserAnomalyDays, hourlyHeatmapData, dayClassReportData, userComparisonData, monthlyForecast, currentUserForecast, forecastAsOfDate, compareUserSummaries, compareSummaryByUserId, totalSummaryUsage, totalMonthlyUsage, totalQuarterlyUsage, totalGroupUsage, chartColors, showMonthlyHighestChart, usageUnits, message]); // message is a dependency
 
     const handleApplyFilter = (overrideStart, overrideEnd) => { // Accept optional overrides
         const todayGreg = new Date().toISOString().slice(0, 10);
@@ -646,27 +1688,28 @@ function App({ setMessage, message }) {
         console.log("App: Apply Filter clicked. Setting applied range:", { start, end });
         setAppliedStartDate(start);
         setAppliedEndDate(end);
-        
-        const dataForCalculations = rawData ? filterDataByDateRange(rawData, start, end) : { users: [], dateRange: { startDate: start, endDate: end }, monthlyHighestConsumers: {} };
-        setMonthlyReportData(dataForCalculations ? calculateMonthlyReport(dataForCalculations) : []);
-        setQuarterlyReportData(dataForCalculations ? calculateQuarterlyReport(dataForCalculations) : []);
     };
 
-    const handleSort = (column) => {
-        setSortOrder(prevSortOrder => {
-            if (prevSortOrder.column === column) {
-                if (prevSortOrder.direction === 'asc') {
-                    return { column, direction: 'desc' };
-                } else {
-                    return { column: null, direction: null };
-                }
-            } else {
-                return { column, direction: 'asc' };
-            }
-        });
+    const handleTableSortChange = (table, sortKeys) => {
+        setTableSorts(prevTableSorts => ({ ...prevTableSorts, [table]: sortKeys }));
     };
 
-    const handleExportToExcel = () => {
+    // Usage values of the CSV exports are always in MB and not grouped, so they stay easy to process
+    const formatCsvUsage = CSV_EXPORT_CELLS.usage;
+
+    // Optional columns of the summary table, shared by the CSV and Excel exports: comparison and quota
+    const getSummaryExportOptions = () => ({
+        comparisonOf: compareUserSummaries ? getUserComparison : null,
+        totalComparison: totalSummaryComparison,
+        quotaOf: hasQuotas ? getUserQuotaStatus : null,
+        totalQuotaStatus: totalSummaryQuotaStatus
+    });
+
+    // Quota columns of the monthly table in both exports: each month against the network quota
+    const getMonthlyQuotaStatus = monthlyNetworkQuota != null ? item => getQuotaStatus(item.totalUsage, monthlyNetworkQuota) : null;
+
+    // Exports the current view as a semicolon-separated CSV file
+    const handleExportToCsv = () => {
         let csvContent = [];
         let filename = "گزارش-مصرف-اینترنت";
 
@@ -675,133 +1718,194 @@ function App({ setMessage, message }) {
         if (selectedView === 'کلی' && filteredReportData) {
             reportDisplayStartDate = filteredReportData.dateRange.startDate;
             reportDisplayEndDate = filteredReportData.dateRange.endDate;
-        } else if (selectedView !== 'کلی' && currentUser) {
+        } else if (isUserView && currentUser) {
             reportDisplayStartDate = currentUser.dailyData[0] ? currentUser.dailyData[0].day : appliedStartDate;
             reportDisplayEndDate = currentUser.dailyData[currentUser.dailyData.length - 1] ? currentUser.dailyData[currentUser.dailyData.length - 1].day : appliedEndDate;
         }
 
 
         const mainTitle = "گزارش مصرف اینترنت";
-        const dateRangeText = `بازه زمانی: ${toPersianDigits(formatShamsiDate(reportDisplayStartDate))} تا ${toPersianDigits(formatShamsiDate(reportDisplayEndDate))}`;
+        const dateRangeText = `بازه زمانی: ${formatDigits(formatShamsiDate(reportDisplayStartDate))} تا ${formatDigits(formatShamsiDate(reportDisplayEndDate))}`;
         
         let columnCount = 0;
 
         if (selectedView === 'کلی') {
-            const summaryHeaders = ["ردیف", "نام کامپیوتر", "نام کاربر", "آپلود (MB)", "دانلود (MB)", "مجموع مصرف (MB)"];
-            columnCount = summaryHeaders.length;
+            const summaryTable = buildUsersExportTable(sortedUsers, totalSummaryUsage, CSV_EXPORT_CELLS, getSummaryExportOptions());
+            columnCount = summaryTable.headers.length;
             filename += "-کلی.csv";
             csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
             csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
+            if (compareUserSummaries) {
+                csvContent.push([`دوره مقایسه: ${formatDigits(formatShamsiDate(compareRange.startDate))} تا ${formatDigits(formatShamsiDate(compareRange.endDate))}`].concat(Array(columnCount - 1).fill('')));
+            }
             csvContent.push([]);
-            csvContent.push(summaryHeaders);
-            sortedUsers.forEach((user, index) => {
+            csvContent.push(summaryTable.headers, ...summaryTable.rows, summaryTable.totalRow);
+        } else if (selectedView === 'گزارش ماهانه') {
+            const monthlyTable = buildMonthlyExportTable(sortedMonthlyReportData, totalMonthlyUsage, CSV_EXPORT_CELLS, {
+                forecast: monthlyForecast,
+                quotaOf: getMonthlyQuotaStatus
+            });
+            columnCount = monthlyTable.headers.length;
+            filename += reportSubsetLabel ? `-ماهیانه-${reportSubsetLabel}.csv` : "-ماهیانه.csv";
+            csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
+            if (reportSubsetLabel) csvContent.push([`محدوده گزارش: ${reportSubsetLabel}`].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([]);
+            csvContent.push(monthlyTable.headers, ...monthlyTable.rows, monthlyTable.totalRow);
+
+        } else if (selectedView === 'گزارش فصلی') {
+            const quarterlyTable = buildQuarterlyExportTable(sortedQuarterlyReportData, totalQuarterlyUsage, CSV_EXPORT_CELLS);
+            columnCount = quarterlyTable.headers.length;
+            filename += reportSubsetLabel ? `-فصلی-${reportSubsetLabel}.csv` : "-فصلی.csv";
+            csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
+            if (reportSubsetLabel) csvContent.push([`محدوده گزارش: ${reportSubsetLabel}`].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([]);
+            csvContent.push(quarterlyTable.headers, ...quarterlyTable.rows, quarterlyTable.totalRow);
+
+        } else if (selectedView === 'گزارش گروه‌ها') {
+            // The users of the open group, or all groups
+            const groupTable = currentGroup
+                ? buildUsersExportTable(currentGroup.users, totalGroupUsage, CSV_EXPORT_CELLS)
+                : buildGroupsExportTable(groupReportData, totalGroupUsage, CSV_EXPORT_CELLS);
+            columnCount = groupTable.headers.length;
+            filename += currentGroup ? `-گروه-${currentGroup.groupName}.csv` : "-گروه‌ها.csv";
+            csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
+            if (currentGroup) csvContent.push([`کاربران گروه: ${currentGroup.groupName}`].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([]);
+            csvContent.push(groupTable.headers, ...groupTable.rows, groupTable.totalRow);
+
+        } else if (selectedView === 'رتبه‌بندی مصرف') {
+            const leaderboardHeaders = ["رتبه", "تغییر رتبه", "نام کامپیوتر", "نام کاربر", getUsageMetricHeader(getUsageMetric(leaderboardMetric)), "سهم از کل (٪)"];
+            columnCount = leaderboardHeaders.length;
+            filename += "-رتبه‌بندی-مصرف.csv";
+            csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([`دوره قبل: ${formatDigits(formatShamsiDate(leaderboardPreviousRange.startDate))} تا ${formatDigits(formatShamsiDate(leaderboardPreviousRange.endDate))}`].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([]);
+            csvContent.push(leaderboardHeaders);
+            leaderboardData.forEach(item => {
                 csvContent.push([
-                    toPersianDigits(index + 1),
-                    user.userId,
-                    user.name,
-                    toPersianDigits(user.summary.totalDownload),
-                    toPersianDigits(user.summary.totalUpload),
-                    toPersianDigits(user.summary.totalUsage)
+                    formatDigits(item.rank),
+                    item.rankChange === null ? 'جدید' : formatDigits(item.rankChange > 0 ? '+' + item.rankChange : item.rankChange),
+                    item.userId,
+                    item.name,
+                    formatCsvUsage(item.value),
+                    formatDigits(item.share)
                 ]);
             });
-            csvContent.push([
-                "", // Empty cell for row number
-                "", // Empty cell for computer name
-                "جمع کل", // "مجموع کل"
-                formatBytesToReadable(totalSummaryUsage.totalDownload),
-                formatBytesToReadable(totalSummaryUsage.totalUpload),
-                formatBytesToReadable(totalSummaryUsage.totalUsage)
-            ]);
-        } else if (selectedView === 'گزارش ماهانه') {
-            // Updated headers for monthly report
-            const monthlyHeaders = ["ردیف", "ماه", "تعداد روز", "آپلود (MB)", "دانلود (MB)", "مجموع مصرف (MB)", "کاربر پرمصرف", "میزان مصرف (MB/GB)"];
-            columnCount = monthlyHeaders.length;
-            filename += "-ماهیانه.csv";
+
+        } else if (selectedView === 'روزهای کاری و تعطیل') {
+            const dayClassHeaders = ["ردیف", "نام کامپیوتر", "نام کاربر", ...DAY_CLASSES.map(dayClass => `${dayClass.label} (MB)`), "مجموع مصرف (MB)", "سهم روزهای تعطیل (٪)", "روزهای تعطیل با مصرف"];
+            columnCount = dayClassHeaders.length;
+            filename += "-روزهای-کاری-و-تعطیل.csv";
             csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
             csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([DAY_CLASSES.map(dayClass => `${dayClass.label}: ${formatDigits(dayClassReportData.dayCounts[dayClass.key])} روز`).join('، ')].concat(Array(columnCount - 1).fill('')));
             csvContent.push([]);
-            csvContent.push(monthlyHeaders);
-            monthlyReportData.forEach((item, index) => {
+            csvContent.push(dayClassHeaders);
+            dayClassReportData.users.forEach((item, index) => {
                 csvContent.push([
-                    toPersianDigits(index + 1),
-                    item.shamsiMonthName,
-                    toPersianDigits(item.daysCount),
-                    toPersianDigits(item.totalDownload),
-                    toPersianDigits(item.totalUpload),
-                    toPersianDigits(item.totalUsage),
-                    item.highestConsumer,
-                    formatBytesToReadable(item.highestConsumerUsage)
+                    formatDigits(index + 1),
+                    item.userId,
+                    item.name,
+                    ...DAY_CLASSES.map(dayClass => formatCsvUsage(item.usage[dayClass.key])),
+                    formatCsvUsage(item.totalUsage),
+                    formatDigits(item.closedShare),
+                    formatDigits(item.closedDays)
                 ]);
             });
             csvContent.push([
-                "", // Empty cell for row number
-                "", // Empty cell for month
-                "جمع کل", // "مجموع کل"
-                formatBytesToReadable(totalMonthlyUsage.totalDownload),
-                formatBytesToReadable(totalMonthlyUsage.totalUpload),
-                formatBytesToReadable(totalMonthlyUsage.totalUsage),
-                "", // Empty cell for highest consumer name
-                ""  // Empty cell for highest consumer usage
+                "",
+                "",
+                "جمع کل",
+                ...DAY_CLASSES.map(dayClass => formatCsvUsage(dayClassReportData.totals[dayClass.key])),
+                formatCsvUsage(dayClassReportData.users.reduce((total, item) => total + item.totalUsage, 0)),
+                "",
+                ""
             ]);
 
-        } else if (selectedView === 'گزارش فصلی') {
-            const quarterlyHeaders = ["ردیف", "سال", "فصل", "تعداد روز", "آپلود (MB)", "دانلود (MB)", "مجموع مصرف (MB)"];
-            columnCount = quarterlyHeaders.length;
-            filename += "-فصلی.csv";
+        } else if (selectedView === 'مصرف غیرعادی') {
+            const anomalyHeaders = ["ردیف", "نام کامپیوتر", "نام کاربر", "تاریخ", "مصرف (MB)", "مبنای مصرف (MB)", "چند برابر مبنا"];
+            columnCount = anomalyHeaders.length;
+            filename += "-مصرف-غیرعادی.csv";
             csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
             csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
             csvContent.push([]);
-            csvContent.push(quarterlyHeaders);
-            quarterlyReportData.forEach((item, index) => {
+            csvContent.push(anomalyHeaders);
+            anomalyReportData.forEach((item, index) => {
                 csvContent.push([
-                    toPersianDigits(index + 1),
-                    toPersianDigits(item.shamsiYear),
-                    item.quarterName,
-                    toPersianDigits(item.daysCount),
-                    toPersianDigits(item.totalDownload),
-                    toPersianDigits(item.totalUpload),
-                    toPersianDigits(item.totalUsage)
+                    formatDigits(index + 1),
+                    item.userId,
+                    item.name,
+                    formatDigits(formatShamsiDate(item.day)),
+                    formatCsvUsage(item.totalUsage),
+                    formatCsvUsage(item.baseline),
+                    item.ratio === null ? '-' : formatDigits(item.ratio)
                 ]);
             });
-            csvContent.push([
-                "", // Empty cell for row number
-                "", // Empty cell for year
-                "", // Empty cell for season
-                "جمع کل", // "جمع کل" now spans the correct number of cells to align
-                formatBytesToReadable(totalQuarterlyUsage.totalDownload),
-                formatBytesToReadable(totalQuarterlyUsage.totalUpload),
-                formatBytesToReadable(totalQuarterlyUsage.totalUsage)
-            ]);
+
+        } else if (selectedView === 'الگوی ساعتی مصرف') {
+            const heatmapHeaders = ["روز هفته"].concat(Array.from({ length: 24 }, (_, hour) => `ساعت ${formatDigits(hour)}`), ["جمع کل (MB)"]);
+            columnCount = heatmapHeaders.length;
+            filename += reportSubsetLabel ? `-الگوی-ساعتی-${reportSubsetLabel}.csv` : "-الگوی-ساعتی.csv";
+            csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([`میانگین مصرف روزانه هر ساعت (MB) - ${reportSubsetLabel || 'همه کاربران'}`].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([]);
+            csvContent.push(heatmapHeaders);
+            hourlyHeatmapData.averages.forEach((hours, weekday) => {
+                csvContent.push([SHAMSI_WEEKDAY_FULL_NAMES[weekday]].concat(hours.map(formatCsvUsage), [formatCsvUsage(hourlyHeatmapData.weekdayTotals[weekday])]));
+            });
+
+        } else if (selectedView === 'مقایسه کاربران') {
+            if (userComparisonData.users.length === 0) {
+                setMessage({ text: 'برای خروجی CSV ابتدا کاربران مورد مقایسه را انتخاب کنید.', type: 'warning' });
+                return;
+            }
+            const comparedUsers = userComparisonData.users;
+            const comparisonHeaders = ["شاخص", ...comparedUsers.map(item => item.name)];
+            columnCount = comparisonHeaders.length;
+            filename += "-مقایسه-کاربران.csv";
+            csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
+            csvContent.push([]);
+            csvContent.push(comparisonHeaders);
+            csvContent.push(["نام کامپیوتر", ...comparedUsers.map(item => item.userId)]);
+            getUsageMetricHeaders().forEach((header, i) => {
+                csvContent.push([header, ...comparedUsers.map(item => formatCsvUsage(item.summary[USAGE_METRICS[i].summaryKey]))]);
+            });
+            csvContent.push(["روزهای دارای مصرف", ...comparedUsers.map(item => formatDigits(item.activeDays))]);
+            csvContent.push(["میانگین مصرف روزهای فعال (MB)", ...comparedUsers.map(item => formatCsvUsage(item.averagePerActiveDay))]);
+            csvContent.push(["روز اوج مصرف", ...comparedUsers.map(item => item.peakDay ? formatDigits(formatShamsiDate(item.peakDay.day)) : '-')]);
+            csvContent.push(["مصرف روز اوج (MB)", ...comparedUsers.map(item => item.peakDay ? formatCsvUsage(item.peakDay.usage) : '-')]);
+            // Daily series of the chart, one column per user
+            csvContent.push([]);
+            csvContent.push(["تاریخ", ...comparedUsers.map(item => `${item.name} (MB)`)]);
+            userComparisonData.days.forEach((day, i) => {
+                csvContent.push([formatDigits(formatShamsiDate(day)), ...comparedUsers.map(item => formatCsvUsage(item.dailyUsage[i]))]);
+            });
 
         } else { // Individual user view
-            const userHeaders = ["ردیف", "تاریخ", "آپلود (MB)", "دانلود (MB)", "مجموع مصرف (MB)"];
-            columnCount = userHeaders.length;
             if (!currentUser) {
-                setMessage({ text: 'داده‌ای برای کاربر انتخاب شده جهت خروجی اکسل یافت نشد.', type: 'warning' });
+                setMessage({ text: 'داده‌ای برای کاربر انتخاب شده جهت خروجی CSV یافت نشد.', type: 'warning' });
                 return;
             }
+            const userTable = buildUserExportTable(sortedCurrentUserDailyData, currentUser.summary, CSV_EXPORT_CELLS, {
+                dayLabelOf: day => getDayClassInfo(getDayClass(day, rawData.holidays)).label
+            });
+            columnCount = userTable.headers.length;
             filename += `-${currentUser.name}.csv`;
             csvContent.push([mainTitle].concat(Array(columnCount - 1).fill('')));
             csvContent.push([dateRangeText].concat(Array(columnCount - 1).fill('')));
             csvContent.push([`جزئیات مصرف کاربر: ${currentUser.name} (نام کامپیوتر: ${currentUser.userId})`].concat(Array(columnCount - 1).fill('')));
+            if (currentUserQuotaStatus) {
+                csvContent.push(QUOTA_EXPORT_HEADERS);
+                csvContent.push(getQuotaExportCells(currentUserQuotaStatus, CSV_EXPORT_CELLS));
+            }
             csvContent.push([]);
-            csvContent.push(userHeaders);
-            currentUser.dailyData.forEach((row, index) => {
-                csvContent.push([
-                    toPersianDigits(index + 1),
-                    toPersianDigits(formatShamsiDate(row.day)),
-                    toPersianDigits(row.download),
-                    toPersianDigits(row.upload),
-                    toPersianDigits(row.totalUsage)
-                ]);
-            });
-            csvContent.push([
-                "",
-                "جمع کل",
-                formatBytesToReadable(currentUser.summary.totalUpload),
-                formatBytesToReadable(currentUser.summary.totalDownload),
-                formatBytesToReadable(currentUser.summary.totalUsage)
-            ]);
+            csvContent.push(userTable.headers, ...userTable.rows, userTable.totalRow);
         }
 
         const finalCsvString = "\uFEFF" + csvContent.map(row => 
@@ -814,28 +1918,78 @@ function App({ setMessage, message }) {
             }).join(';')
         ).join('\r\n');
 
-        const encoder = new TextEncoder('utf-8');
-        const encoded = new TextEncoder('utf-8').encode(finalCsvString);
-
-        const blob = new Blob([encoded], { type: 'text/csv;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        downloadFile(new TextEncoder().encode(finalCsvString), filename, 'text/csv;charset=utf-8');
     };
 
-    const openDatePicker = (inputRef) => {
-        if (inputRef.current) {
-            if (typeof inputRef.current.showPicker === 'function') {
-                inputRef.current.showPicker();
-            } else {
-                inputRef.current.click(); 
-            }
+    // Exports an .xlsx workbook with a sheet for the summary, monthly and quarterly reports and one sheet
+    // per user with the daily data of the applied range. Numbers are written as numeric cells in MB.
+    const handleExportToExcel = () => {
+        if (!filteredReportData || filteredReportData.users.length === 0) {
+            setMessage({ text: 'داده‌ای در بازه زمانی انتخاب شده جهت خروجی اکسل یافت نشد.', type: 'warning' });
+            return;
         }
+
+        const formatRange = (startDate, endDate) => `${formatDigits(formatShamsiDate(startDate))} تا ${formatDigits(formatShamsiDate(endDate))}`;
+        const dateRangeText = `بازه زمانی: ${formatRange(filteredReportData.dateRange.startDate, filteredReportData.dateRange.endDate)}`;
+        const subsetText = `محدوده گزارش: ${reportSubsetLabel || 'همه کاربران'}`;
+        const summaryTable = buildUsersExportTable(sortedUsers, totalSummaryUsage, XLSX_EXPORT_CELLS, { ...getSummaryExportOptions(), groupOf: getUserGroupName });
+        const summaryInfo = [dateRangeText];
+        if (compareUserSummaries) summaryInfo.push(`دوره مقایسه: ${formatRange(compareRange.startDate, compareRange.endDate)}`);
+
+        const monthlyTable = buildMonthlyExportTable(monthlyReportData, totalMonthlyUsage, XLSX_EXPORT_CELLS, {
+            forecast: monthlyForecast || calculateMonthlyForecast(),
+            quotaOf: getMonthlyQuotaStatus
+        });
+        const quarterlyTable = buildQuarterlyExportTable(quarterlyReportData, totalQuarterlyUsage, XLSX_EXPORT_CELLS);
+
+        const userSheets = filteredReportData.users.map(user => {
+            const userTable = buildUserExportTable(user.dailyData, user.summary, XLSX_EXPORT_CELLS);
+            return createReportSheet(
+                user.name,
+                [dateRangeText, `کاربر: ${user.name} (نام کامپیوتر: ${user.userId}) - گروه: ${getUserGroupName(user)}`],
+                userTable.headers, userTable.rows, userTable.totalRow
+            );
+        });
+
+        const workbook = createXlsxWorkbook([
+            createReportSheet('خلاصه', summaryInfo, summaryTable.headers, summaryTable.rows, summaryTable.totalRow),
+            createReportSheet('گزارش ماهانه', [dateRangeText, subsetText], monthlyTable.headers, monthlyTable.rows, monthlyTable.totalRow),
+            createReportSheet('گزارش فصلی', [dateRangeText, subsetText], quarterlyTable.headers, quarterlyTable.rows, quarterlyTable.totalRow),
+            ...userSheets
+        ]);
+        downloadFile(workbook, 'گزارش-مصرف-اینترنت.xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    };
+
+    // Table cells for the comparison columns; increases are shown in red and decreases in green
+    const renderComparisonCells = (comparison, unit) => {
+        const changeClass = comparison.delta > 0 ? 'text-red-700' : comparison.delta < 0 ? 'text-green-700' : '';
+        return [
+            React.createElement('td', { key: 'compare-previous' }, formatUsage(comparison.previousUsage, unit)),
+            React.createElement('td', { key: 'compare-delta', className: changeClass }, formatUsage(comparison.delta, unit)),
+            React.createElement('td', { key: 'compare-percent', className: changeClass }, comparison.percentChange === null ? '-' : formatNumber(comparison.percentChange, null) + '٪')
+        ];
+    };
+
+    // Table cells for the quota columns: allowance, percent, remaining and status badge
+    const renderQuotaCells = (quotaStatus, unit) => [
+        React.createElement('td', { key: 'quota' }, quotaStatus ? formatUsage(quotaStatus.allowance, unit) : '-'),
+        React.createElement('td', { key: 'quota-percent' }, quotaStatus ? formatNumber(quotaStatus.percent, null) + '٪' : '-'),
+        React.createElement('td', { key: 'quota-remaining', className: quotaStatus && quotaStatus.remaining < 0 ? 'text-red-700' : '' }, quotaStatus ? formatUsage(quotaStatus.remaining, unit) : '-'),
+        React.createElement('td', { key: 'quota-status' }, React.createElement(QuotaStatusBadge, { quotaStatus }))
+    ];
+
+    // Heatmap cells are small: whole numbers in MB, two decimals in larger units
+    const formatHeatmapUsage = (mbValue) => formatNumber(mbValue / usageUnits.hourly.factor, usageUnits.hourly === USAGE_UNITS.MB ? 0 : 2);
+
+    const handleCompareModeChange = (e) => {
+        const mode = e.target.value;
+        if (mode === 'custom' && (!compareCustomStartDate || !compareCustomEndDate) && appliedStartDate && appliedEndDate) {
+            // Start the custom range from the previous period so the user only has to adjust it
+            const end = shiftGregorianDate(appliedStartDate, -1);
+            setCompareCustomStartDate(shiftGregorianDate(end, -(countDaysInRange(appliedStartDate, appliedEndDate) - 1)));
+            setCompareCustomEndDate(end);
+        }
+        setCompareMode(mode);
     };
 
     if (!rawData) {
@@ -843,7 +1997,9 @@ function App({ setMessage, message }) {
         return React.createElement('div', { className: 'text-center text-lg p-4' }, 'در حال بارگذاری اطلاعات...');
     }
     
-    const showMainControls = selectedView === 'کلی' || rawData.users.some(u => u.name === selectedView);
+    const showMainControls = REPORT_VIEW_NAMES.includes(selectedView) || rawData.users.some(u => u.userId === selectedView);
+    const subsetGroupNames = [...new Set(rawData.users.map(getUserGroupName))].sort((a, b) => a.localeCompare(b, 'fa'));
+    const reportGenerationText = getReportGenerationText(rawData);
 
     return React.createElement('div', { className: 'max-w-7xl mx-auto report-container py-8 px-6 bg-white rounded-lg shadow-lg mt-8' },
         // Navigation Bar (always visible)
@@ -865,7 +2021,13 @@ function App({ setMessage, message }) {
                     ), 
                     React.createElement('div', { className: 'nav-dropdown' },
                         React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); setSelectedView('گزارش ماهانه'); setShowMonthlyHighestChart(false); } }, 'گزارش ماهانه'),
-                        React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); setSelectedView('گزارش فصلی'); setShowMonthlyHighestChart(false); } }, 'گزارش فصلی')
+                        React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); setSelectedView('گزارش فصلی'); setShowMonthlyHighestChart(false); } }, 'گزارش فصلی'),
+                        React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); setSelectedView('گزارش گروه‌ها'); setSelectedGroup(null); setShowMonthlyHighestChart(false); } }, 'گزارش گروه‌ها'),
+                        React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); setSelectedView('رتبه‌بندی مصرف'); setShowMonthlyHighestChart(false); } }, 'رتبه‌بندی مصرف'),
+                        React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); setSelectedView('مصرف غیرعادی'); setShowMonthlyHighestChart(false); } }, 'مصرف غیرعادی'),
+                        React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); setSelectedView('الگوی ساعتی مصرف'); setShowMonthlyHighestChart(false); } }, 'الگوی ساعتی مصرف'),
+                        React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); setSelectedView('روزهای کاری و تعطیل'); setShowMonthlyHighestChart(false); } }, 'روزهای کاری و تعطیل'),
+                        React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); setSelectedView('مقایسه کاربران'); setShowMonthlyHighestChart(false); } }, 'مقایسه کاربران')
                     )
                 ),
 
@@ -877,6 +2039,7 @@ function App({ setMessage, message }) {
                     ), 
                     React.createElement('div', { className: 'nav-dropdown' },
                         React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); handleExportToExcel(); } }, 'ذخیره اکسل'),
+                        React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); handleExportToCsv(); } }, 'ذخیره CSV (نمای فعلی)'),
                         React.createElement('a', { className: 'dropdown-item', href: '#', onClick: (e) => { e.preventDefault(); window.print(); } }, 'چاپ / ذخیره PDF')
                     )
                 )
@@ -886,9 +2049,10 @@ function App({ setMessage, message }) {
         React.createElement('div', { className: 'print-section' },
             React.createElement('h1', { className: 'text-3xl font-bold mb-4 text-center text-gray-800' }, 'گزارش مصرف اینترنت'),
             React.createElement('p', { className: 'text-center mb-6 text-gray-600' }, 
-                'بازه زمانی: ' + toPersianDigits(formatShamsiDate(data ? data.dateRange.startDate : '')) + 
-                ' تا ' + toPersianDigits(formatShamsiDate(data ? data.dateRange.endDate : ''))
-            )
+                'بازه زمانی: ' + formatDigits(formatShamsiDate(data ? data.dateRange.startDate : '')) + 
+                ' تا ' + formatDigits(formatShamsiDate(data ? data.dateRange.endDate : ''))
+            ),
+            reportGenerationText && React.createElement('p', { className: 'text-center -mt-4 mb-6 text-sm text-gray-500' }, reportGenerationText)
         ),
         // Render controls container only if showMainControls is true
         showMainControls && React.createElement('div', { className: 'controls-container no-print' },
@@ -896,7 +2060,15 @@ function App({ setMessage, message }) {
                 React.createElement('label', { htmlFor: 'user-select' }, 'انتخاب گزارش:'),
                 React.createElement('select', { id: 'user-select', value: selectedView, onChange: e => setSelectedView(e.target.value) },
                     React.createElement('option', { value: 'کلی' }, 'گزارش کلی'),
-                    ...(data && data.users && data.users.length > 0 ? data.users.map(user => React.createElement('option', { key: user.name, value: user.name }, user.name)) : [])
+                    React.createElement('option', { value: 'گزارش ماهانه' }, 'گزارش ماهانه'),
+                    React.createElement('option', { value: 'گزارش فصلی' }, 'گزارش فصلی'),
+                    React.createElement('option', { value: 'گزارش گروه‌ها' }, 'گزارش گروه‌ها'),
+                    React.createElement('option', { value: 'رتبه‌بندی مصرف' }, 'رتبه‌بندی مصرف'),
+                    React.createElement('option', { value: 'مصرف غیرعادی' }, 'مصرف غیرعادی'),
+                    React.createElement('option', { value: 'الگوی ساعتی مصرف' }, 'الگوی ساعتی مصرف'),
+                    React.createElement('option', { value: 'روزهای کاری و تعطیل' }, 'روزهای کاری و تعطیل'),
+                    React.createElement('option', { value: 'مقایسه کاربران' }, 'مقایسه کاربران'),
+                    ...(data && data.users && data.users.length > 0 ? data.users.map(user => React.createElement('option', { key: user.userId, value: user.userId }, getUserOptionLabel(user, data.users))) : [])
                 )
             ),
             React.createElement('div', { className: 'control-group' },
@@ -910,235 +2082,557 @@ function App({ setMessage, message }) {
             ),
             React.createElement('div', { className: 'control-group' },
                 React.createElement('label', { htmlFor: 'start-date-display' }, 'از تاریخ:'), 
-                React.createElement('button', {
-                    className: 'date-picker-button',
-                    onClick: () => openDatePicker(startDateInputRef)
-                },
-                    React.createElement('svg', { xmlns: 'http://www.w3.org/2000/svg', viewBox: '0 0 24 24' },
-                        React.createElement('path', { d: 'M17 12h-5v5h5v-5zM16 1v2H8V1H6v2H5c-1.11 0-1.99.9-1.99 2L3 19c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2h-1V1h-2zm3 18H5V8h14v11z' })
-                    ),
-                    React.createElement('span', { id: 'start-date-display' }, toPersianDigits(formatShamsiDate(displayStartDate)))
-                ),
-                React.createElement('input', { 
-                    type: 'date', 
-                    id: 'start-date', 
-                    value: displayStartDate, 
-                    onChange: e => setDisplayStartDate(e.target.value),
-                    min: rawData ? rawData.dateRange.startDate : '', // Use rawData if available
-                    max: rawData ? rawData.dateRange.endDate : '', // Use rawData if available
-                    ref: startDateInputRef, 
-                    className: 'hidden-date-input' 
+                React.createElement(ShamsiDatePicker, {
+                    id: 'start-date',
+                    value: displayStartDate,
+                    onChange: setDisplayStartDate,
+                    min: rawData.dateRange.startDate,
+                    max: rawData.dateRange.endDate
                 })
             ),
             React.createElement('div', { className: 'control-group' },
                 React.createElement('label', { htmlFor: 'end-date-display' }, 'تا تاریخ:'), 
-                React.createElement('button', {
-                    className: 'date-picker-button',
-                    onClick: () => openDatePicker(endDateInputRef)
-                },
-                    React.createElement('svg', { xmlns: 'http://www.w3.org/2000/svg', viewBox: '0 0 24 24' },
-                        React.createElement('path', { d: 'M17 12h-5v5h5v-5zM16 1v2H8V1H6v2H5c-1.11 0-1.99.9-1.99 2L3 19c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2h-1V1h-2zm3 18H5V8h14v11z' })
-                    ),
-                    React.createElement('span', { id: 'end-date-display' }, toPersianDigits(formatShamsiDate(displayEndDate)))
-                ),
-                React.createElement('input', { 
-                    type: 'date', 
-                    id: 'end-date', 
-                    value: displayEndDate, 
-                    onChange: e => setDisplayEndDate(e.target.value),
-                    min: rawData ? rawData.dateRange.startDate : '', // Use rawData if available
-                    max: rawData ? rawData.dateRange.endDate : '', // Use rawData if available
-                    ref: endDateInputRef, 
-                    className: 'hidden-date-input' 
+                React.createElement(ShamsiDatePicker, {
+                    id: 'end-date',
+                    value: displayEndDate,
+                    onChange: setDisplayEndDate,
+                    min: rawData.dateRange.startDate,
+                    max: rawData.dateRange.endDate
                 })
             ),
             React.createElement('button', {
                 onClick: handleApplyFilter,
                 className: 'bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-md shadow-md transition-all duration-300 ease-in-out'
-            }, 'اعمال فیلتر')
+            }, 'اعمال فیلتر'),
+            // User/group subset (monthly, quarterly and hourly reports only)
+            (selectedView === 'گزارش ماهانه' || selectedView === 'گزارش فصلی' || selectedView === 'الگوی ساعتی مصرف') && React.createElement('div', { className: 'control-group' },
+                React.createElement('label', { htmlFor: 'report-subset-select' }, 'محدوده گزارش:'),
+                React.createElement('select', { id: 'report-subset-select', value: reportSubset, onChange: e => setReportSubset(e.target.value) },
+                    React.createElement('option', { value: 'all' }, 'همه کاربران'),
+                    React.createElement('optgroup', { label: 'گروه‌ها' },
+                        subsetGroupNames.map(groupName => React.createElement('option', { key: groupName, value: 'group:' + groupName }, groupName))
+                    ),
+                    React.createElement('optgroup', { label: 'کاربران' },
+                        rawData.users.map(user => React.createElement('option', { key: user.userId, value: 'user:' + user.userId }, getUserOptionLabel(user, rawData.users)))
+                    )
+                )
+            ),
+            // Chart type of the user view
+            isUserView && React.createElement('div', { className: 'control-group' },
+                React.createElement('label', { htmlFor: 'chart-type-select' }, 'نوع نمودار:'),
+                React.createElement('select', { id: 'chart-type-select', value: chartType, onChange: e => setChartType(e.target.value) },
+                    React.createElement('option', { value: 'bar' }, 'میله‌ای'),
+                    React.createElement('option', { value: 'line' }, 'خطی'),
+                    React.createElement('option', { value: 'calendar' }, 'تقویم (نقشه حرارتی)')
+                )
+            ),
+            // Leaderboard options
+            selectedView === 'رتبه‌بندی مصرف' && React.createElement('div', { className: 'control-group' },
+                React.createElement('label', { htmlFor: 'leaderboard-size-select' }, 'تعداد:'),
+                React.createElement('select', { id: 'leaderboard-size-select', value: leaderboardSize, onChange: e => setLeaderboardSize(Number(e.target.value)) },
+                    LEADERBOARD_SIZES.map(size => React.createElement('option', { key: size, value: size }, size > 0 ? formatDigits(size) + ' کاربر اول' : 'همه کاربران'))
+                ),
+                React.createElement('label', { htmlFor: 'leaderboard-metric-select' }, 'معیار:'),
+                React.createElement('select', { id: 'leaderboard-metric-select', value: leaderboardMetric, onChange: e => setLeaderboardMetric(e.target.value) },
+                    LEADERBOARD_METRICS.map(metric => React.createElement('option', { key: metric, value: metric }, getUsageMetric(metric).label))
+                )
+            ),
+            // Comparison options (summary view only)
+            selectedView === 'کلی' && React.createElement('div', { className: 'control-group' },
+                React.createElement('label', { htmlFor: 'compare-mode-select' }, 'مقایسه با:'),
+                React.createElement('select', { id: 'compare-mode-select', value: compareMode, onChange: handleCompareModeChange },
+                    React.createElement('option', { value: 'none' }, 'بدون مقایسه'),
+                    React.createElement('option', { value: 'previous' }, 'دوره قبل (هم‌طول)'),
+                    React.createElement('option', { value: 'lastYear' }, 'همان ماه شمسی در سال گذشته'),
+                    React.createElement('option', { value: 'custom' }, 'بازه دلخواه')
+                )
+            ),
+            selectedView === 'کلی' && compareMode === 'custom' && React.createElement('div', { className: 'control-group' },
+                React.createElement('label', { htmlFor: 'compare-start-date-display' }, 'از:'),
+                React.createElement(ShamsiDatePicker, {
+                    id: 'compare-start-date',
+                    value: compareCustomStartDate,
+                    onChange: setCompareCustomStartDate,
+                    min: rawData.dateRange.startDate,
+                    max: rawData.dateRange.endDate
+                }),
+                React.createElement('label', { htmlFor: 'compare-end-date-display' }, 'تا:'),
+                React.createElement(ShamsiDatePicker, {
+                    id: 'compare-end-date',
+                    value: compareCustomEndDate,
+                    onChange: setCompareCustomEndDate,
+                    min: rawData.dateRange.startDate,
+                    max: rawData.dateRange.endDate
+                })
+            ),
+            // Display settings, saved in the browser for the next reports
+            React.createElement('div', { className: 'control-group' },
+                React.createElement('label', { htmlFor: 'usage-unit-select' }, 'واحد:'),
+                React.createElement('select', { id: 'usage-unit-select', value: formatSettings.unit, onChange: e => handleFormatSettingsChange({ unit: e.target.value }) },
+                    React.createElement('option', { value: 'auto' }, 'خودکار'),
+                    Object.keys(USAGE_UNITS).map(unit => React.createElement('option', { key: unit, value: unit }, unit))
+                ),
+                React.createElement('label', { htmlFor: 'digits-select' }, 'ارقام:'),
+                React.createElement('select', { id: 'digits-select', value: formatSettings.digits, onChange: e => handleFormatSettingsChange({ digits: e.target.value }) },
+                    React.createElement('option', { value: 'persian' }, 'فارسی (۱۲۳)'),
+                    React.createElement('option', { value: 'latin' }, 'لاتین (123)')
+                )
+            )
         ),
         // Conditional rendering based on selectedView
         selectedView === 'کلی' ? React.createElement('div', { key: 'summary-view' },
             React.createElement('div', { className: 'print-section' },
                 React.createElement('h2', { className: 'text-xl font-semibold mb-4 text-gray-700' }, 'خلاصه کل مصرف'),
-                React.createElement('table', { className: 'w-full' },
-                    React.createElement('thead', null, React.createElement('tr', null, 
-                        React.createElement('th', null, 'ردیف'),
-                        React.createElement('th', null, 'نام کامپیوتر'),
-                        React.createElement('th', null, 'نام کاربر'),
-                        React.createElement('th', null, 'آپلود (MB)'),
-                        React.createElement('th', null, 'دانلود (MB)'),
-                        React.createElement('th', { 
-                            onClick: () => handleSort('totalUsage'), 
-                            className: 'cursor-pointer hover:bg-gray-300 transition-colors duration-200' 
-                        },
-                            React.createElement('div', { className: 'flex items-center justify-center' },
-                                'مجموع مصرف (MB)',
-                                React.createElement('div', { className: 'flex flex-col ml-1 -space-y-1.5 justify-center' },
-                                    React.createElement('svg', { 
-                                        className: `w-4 h-4 ${sortOrder.column === 'totalUsage' && sortOrder.direction === 'asc' ? 'text-black' : 'text-gray-400'}`, 
-                                        viewBox: '0 0 24 24', 
-                                        fill: 'currentColor' 
-                                    },
-                                        React.createElement('path', { d: 'M7 14l5-5 5 5z' })
-                                    ),
-                                    React.createElement('svg', { 
-                                        className: `w-4 h-4 ${sortOrder.column === 'totalUsage' && sortOrder.direction === 'desc' ? 'text-black' : 'text-gray-400'}`, 
-                                        viewBox: '0 0 24 24', 
-                                        fill: 'currentColor' 
-                                    },
-                                        React.createElement('path', { d: 'M7 10l5 5 5-5z' })
-                                    )
-                                )
-                            )
-                        )
-                    )),
-                    React.createElement('tbody', null, 
-                        sortedUsers && sortedUsers.length > 0 ? 
-                            sortedUsers.map((user, index) => React.createElement('tr', { 
-                                key: user.userId, 
-                                className: user.summary.totalUsage === maxTotalUsageSummary ? 'bg-red-100' : '' 
-                            },
-                                React.createElement('td', null, toPersianDigits(index + 1)),
-                                React.createElement('td', null, user.userId),
-                                React.createElement('td', null, user.name),
-                                React.createElement('td', null, toPersianDigits(user.summary.totalDownload)), // Keep as MB
-                                React.createElement('td', null, toPersianDigits(user.summary.totalUpload)),   // Keep as MB
-                                React.createElement('td', null, toPersianDigits(user.summary.totalUsage))    // Keep as MB
-                            )) 
-                        : null,
-                        // Total row for summary table
-                        React.createElement('tr', { className: 'font-bold bg-gray-200' }, 
-                            React.createElement('td', { colSpan: 3 }, 'جمع کل'),
-                            React.createElement('td', null, formatBytesToReadable(totalSummaryUsage.totalDownload)),
-                            React.createElement('td', null, formatBytesToReadable(totalSummaryUsage.totalUpload)),
-                            React.createElement('td', null, formatBytesToReadable(totalSummaryUsage.totalUsage))
-                        )
+                React.createElement(DataQualityPanel, { dataQuality: rawData.dataQuality }),
+                compareRange && React.createElement('p', { className: 'mb-4 text-gray-600' },
+                    'دوره مقایسه: ' + formatDigits(formatShamsiDate(compareRange.startDate)) + ' تا ' + formatDigits(formatShamsiDate(compareRange.endDate))
+                ),
+                React.createElement(SortableTable, {
+                    table: 'summary',
+                    sortKeys: tableSorts.summary,
+                    onSortChange: (sortKeys) => handleTableSortChange('summary', sortKeys),
+                    columns: [
+                        { key: 'index', header: 'ردیف' },
+                        { key: 'userId', header: 'نام کامپیوتر' },
+                        { key: 'name', header: 'نام کاربر' },
+                        ...getUsageMetricColumns(usageUnits.summary),
+                        ...(compareUserSummaries ? [
+                            { key: 'compare-previous', header: `مصرف دوره مقایسه (${usageUnits.summary.name})` },
+                            { key: 'compare-delta', header: `تغییر (${usageUnits.summary.name})` },
+                            { key: 'compare-percent', header: 'درصد تغییر' }
+                        ] : []),
+                        ...(hasQuotas ? [
+                            { key: 'quota', header: `سهمیه (${usageUnits.summary.name})` },
+                            { key: 'quota-percent', header: 'درصد سهمیه' },
+                            { key: 'quota-remaining', header: `باقیمانده (${usageUnits.summary.name})` },
+                            { key: 'quota-status', header: 'وضعیت' }
+                        ] : [])
+                    ],
+                    rows: sortedUsers,
+                    renderRow: (user, index) => React.createElement('tr', { 
+                        key: user.userId, 
+                        className: user.summary.totalUsage === maxTotalUsageSummary ? 'bg-red-100' : '' 
+                    },
+                        React.createElement('td', null, formatDigits(index + 1)),
+                        React.createElement('td', null, user.userId),
+                        React.createElement('td', null, user.name),
+                        ...renderUsageMetricCells(user.summary, { unit: usageUnits.summary }),
+                        ...(compareUserSummaries ? renderComparisonCells(getUserComparison(user), usageUnits.summary) : []),
+                        ...(hasQuotas ? renderQuotaCells(getUserQuotaStatus(user), usageUnits.summary) : [])
+                    ),
+                    // Total row for summary table
+                    footerRow: React.createElement('tr', { key: 'total', className: 'font-bold bg-gray-200' }, 
+                        React.createElement('td', { colSpan: 3 }, 'جمع کل'),
+                        ...renderUsageMetricCells(totalSummaryUsage, { unit: usageUnits.summary }),
+                        ...(totalSummaryComparison ? renderComparisonCells(totalSummaryComparison, usageUnits.summary) : []),
+                        ...(hasQuotas ? renderQuotaCells(totalSummaryQuotaStatus, usageUnits.summary) : [])
                     )
-                )
+                })
             ),
             React.createElement('canvas', { id: 'summaryChart', className: 'print-section mt-8' })
         ) : selectedView === 'گزارش ماهانه' ? React.createElement('div', { key: 'monthly-view' },
             React.createElement('div', { className: 'monthly-report-header' }, // Flex container for title and button
-                React.createElement('h2', { className: 'text-xl font-semibold text-gray-700' }, 'گزارش کلی ماهیانه'),
+                React.createElement('h2', { className: 'text-xl font-semibold text-gray-700' }, reportSubsetLabel ? 'گزارش ماهیانه: ' + reportSubsetLabel : 'گزارش کلی ماهیانه'),
                 React.createElement('button', {
                     onClick: () => setShowMonthlyHighestChart(prev => !prev),
                     className: 'monthly-chart-toggle-button' // Custom class for styling
                 }, showMonthlyHighestChart ? 'نمایش چارت مجموع مصرف ماهیانه' : 'نمایش چارت کاربران پرمصرف')
             ),
+            React.createElement(ForecastSummary, { forecast: monthlyForecast, asOfDate: forecastAsOfDate }),
             React.createElement('div', { className: 'print-section' },
-                React.createElement('table', { className: 'w-full' },
+                React.createElement(SortableTable, {
+                    table: 'monthly',
+                    sortKeys: tableSorts.monthly,
+                    onSortChange: (sortKeys) => handleTableSortChange('monthly', sortKeys),
+                    columns: [
+                        { key: 'index', header: 'ردیف' },
+                        { key: 'month', header: 'ماه' },
+                        { key: 'daysCount', header: 'تعداد روز' },
+                        // The total usage column has a gray-200 left border
+                        ...getUsageMetricColumns(usageUnits.monthly, { totalUsage: 'border-l-4 border-l-gray-200' }),
+                        { key: 'highestConsumer', header: 'کاربر پرمصرف' },
+                        { key: 'highestConsumerUsage', header: `میزان مصرف (${usageUnits.monthly.name})` },
+                        monthlyForecast && { key: 'forecast', header: `پیش‌بینی پایان ماه (${usageUnits.monthly.name})` },
+                        ...(monthlyNetworkQuota != null ? [
+                            { key: 'quota', header: `سهمیه (${usageUnits.monthly.name})` },
+                            { key: 'quota-percent', header: 'درصد سهمیه' },
+                            { key: 'quota-remaining', header: `باقیمانده (${usageUnits.monthly.name})` },
+                            { key: 'quota-status', header: 'وضعیت' }
+                        ] : [])
+                    ],
+                    rows: sortedMonthlyReportData,
+                    renderRow: (item, index) => React.createElement('tr', { key: item.monthKey },
+                        React.createElement('td', null, formatDigits(index + 1)),
+                        React.createElement('td', null, item.shamsiMonthLabel),
+                        React.createElement('td', null, formatDigits(item.daysCount)),
+                        ...renderUsageMetricCells(item, { unit: usageUnits.monthly }, { totalUsage: 'border-l-4 border-l-gray-200' }),
+                        React.createElement('td', null, item.highestConsumer), 
+                        React.createElement('td', null, formatUsage(item.highestConsumerUsage, usageUnits.monthly)),
+                        monthlyForecast && React.createElement('td', { className: 'text-blue-800' }, item.monthKey === monthlyForecast.monthKey ? formatUsage(monthlyForecast.month.total, usageUnits.monthly) : '-'),
+                        ...(monthlyNetworkQuota != null ? renderQuotaCells(getQuotaStatus(item.totalUsage, monthlyNetworkQuota), usageUnits.monthly) : [])
+                    ),
+                    emptyText: 'داده‌ای برای گزارش ماهانه پیدا نشد.',
+                    // Total row for monthly report
+                    footerRow: React.createElement('tr', { key: 'total', className: 'font-bold bg-gray-200' }, 
+                        React.createElement('td', { colSpan: 3 }, 'جمع کل'), 
+                        // Apply bg-gray-200 here to preserve background, and apply border-l-4 border-l-gray-200 for the border
+                        ...renderUsageMetricCells(totalMonthlyUsage, { unit: usageUnits.monthly }, { totalUsage: 'bg-gray-200 border-l-4 border-l-gray-200' }),
+                        
+                        // Apply summary-transparent-cell for last two columns
+                        React.createElement('td', { className: 'summary-transparent-cell' }, ''), 
+                        React.createElement('td', { className: 'summary-transparent-cell' }, ''),
+                        monthlyForecast && React.createElement('td', { className: 'summary-transparent-cell' }, ''),
+                        ...(monthlyNetworkQuota != null ? [0, 1, 2, 3].map(i => React.createElement('td', { key: 'quota-' + i, className: 'summary-transparent-cell' }, '')) : [])
+                    )
+                })
+            ),
+            React.createElement('canvas', { id: 'monthlyChart', className: 'print-section mt-8' })
+        ) : selectedView === 'گزارش فصلی' ? React.createElement('div', { key: 'quarterly-view' },
+            React.createElement('div', { className: 'print-section' },
+                React.createElement('h2', { className: 'text-xl font-semibold mb-4 text-gray-700' }, reportSubsetLabel ? 'گزارش فصلی: ' + reportSubsetLabel : 'گزارش کلی فصلی'),
+                React.createElement(SortableTable, {
+                    table: 'quarterly',
+                    sortKeys: tableSorts.quarterly,
+                    onSortChange: (sortKeys) => handleTableSortChange('quarterly', sortKeys),
+                    columns: [
+                        { key: 'index', header: 'ردیف' },
+                        { key: 'shamsiYear', header: 'سال شمسی' },
+                        { key: 'quarter', header: 'فصل' },
+                        { key: 'daysCount', header: 'تعداد روز' },
+                        ...getUsageMetricColumns(usageUnits.quarterly)
+                    ],
+                    rows: sortedQuarterlyReportData,
+                    renderRow: (item, index) => React.createElement('tr', { key: item.quarterKey },
+                        React.createElement('td', null, formatDigits(index + 1)),
+                        React.createElement('td', null, formatDigits(item.shamsiYear)),
+                        React.createElement('td', null, item.quarterName),
+                        React.createElement('td', null, formatDigits(item.daysCount)),
+                        ...renderUsageMetricCells(item, { unit: usageUnits.quarterly })
+                    ),
+                    emptyText: 'داده‌ای برای گزارش فصلی پیدا نشد.',
+                    // Total row for quarterly report
+                    footerRow: React.createElement('tr', { key: 'total', className: 'font-bold bg-gray-200' }, 
+                        React.createElement('td', { colSpan: 4 }, 'جمع کل'),
+                        ...renderUsageMetricCells(totalQuarterlyUsage, { unit: usageUnits.quarterly })
+                    )
+                })
+            ),
+            React.createElement('canvas', { id: 'quarterlyChart', className: 'print-section mt-8' })
+        ) : selectedView === 'گزارش گروه‌ها' ? React.createElement('div', { key: 'group-view' },
+            React.createElement('div', { className: 'monthly-report-header' },
+                React.createElement('h2', { className: 'text-xl font-semibold text-gray-700' }, currentGroup ? 'کاربران گروه: ' + currentGroup.groupName : 'گزارش مصرف گروه‌ها'),
+                currentGroup && React.createElement('button', {
+                    onClick: () => setSelectedGroup(null),
+                    className: 'monthly-chart-toggle-button no-print'
+                }, 'بازگشت به فهرست گروه‌ها')
+            ),
+            React.createElement('div', { className: 'print-section' },
+                currentGroup ? React.createElement('table', { className: 'w-full' },
                     React.createElement('thead', null, React.createElement('tr', null,
                         React.createElement('th', null, 'ردیف'),
-                        React.createElement('th', null, 'ماه'),
-                        React.createElement('th', null, 'تعداد روز'),
-                        React.createElement('th', null, 'آپلود (MB)'),
-                        React.createElement('th', null, 'دانلود (MB)'),
-                        // Corrected: Moved border-l class to "مجموع مصرف (MB)" th, and set color to gray-200
-                        React.createElement('th', { className: 'border-l-4 border-l-gray-200', colSpan: 1 }, 'مجموع مصرف (MB)'), 
-                        React.createElement('th', null, 'کاربر پرمصرف'), 
-                        React.createElement('th', null, 'میزان مصرف (MB/GB)')
+                        React.createElement('th', null, 'نام کامپیوتر'),
+                        React.createElement('th', null, 'نام کاربر'),
+                        ...renderUsageMetricHeaders(usageUnits.group)
                     )),
                     React.createElement('tbody', null,
-                        monthlyReportData && monthlyReportData.length > 0 ?
-                            monthlyReportData.map((item, index) => React.createElement('tr', { key: item.monthKey },
-                                React.createElement('td', null, toPersianDigits(index + 1)),
-                                React.createElement('td', null, item.shamsiMonthName),
-                                React.createElement('td', null, toPersianDigits(item.daysCount)),
-                                React.createElement('td', null, toPersianDigits(item.totalDownload)), // Keep as MB
-                                React.createElement('td', null, toPersianDigits(item.totalUpload)),   // Keep as MB
-                                // Corrected: Moved border-l class to "مجموع مصرف (MB)" td
-                                React.createElement('td', { className: 'border-l-4 border-l-gray-200', colSpan: 1 }, toPersianDigits(item.totalUsage)),    // Keep as MB
-                                React.createElement('td', null, item.highestConsumer), 
-                                React.createElement('td', null, formatBytesToReadable(item.highestConsumerUsage))
-                            ))
-                            : React.createElement('tr', null, React.createElement('td', { colSpan: 8 }, 'داده‌ای برای گزارش ماهانه پیدا نشد.')), // Colspan adjusted
-                        // Total row for monthly report
-                        React.createElement('tr', { className: 'font-bold bg-gray-200' }, 
-                            React.createElement('td', { colSpan: 3 }, 'جمع کل'), 
-                            React.createElement('td', null, formatBytesToReadable(totalMonthlyUsage.totalDownload)), 
-                            React.createElement('td', null, formatBytesToReadable(totalMonthlyUsage.totalUpload)), 
-                            
-                            // Apply bg-gray-200 here to preserve background, and apply border-l-4 border-l-gray-200 for the border
-                            React.createElement('td', { className: 'bg-gray-200 border-l-4 border-l-gray-200', colSpan: 1 }, formatBytesToReadable(totalMonthlyUsage.totalUsage)),
-                            
-                            // Apply summary-transparent-cell for last two columns
-                            React.createElement('td', { className: 'summary-transparent-cell' }, ''), 
-                            React.createElement('td', { className: 'summary-transparent-cell' }, '')  
+                        ...currentGroup.users.map((user, index) => React.createElement('tr', {
+                            key: user.userId,
+                            className: 'cursor-pointer hover:bg-gray-100',
+                            title: 'نمایش جزئیات مصرف کاربر',
+                            onClick: () => setSelectedView(user.userId)
+                        },
+                            React.createElement('td', null, formatDigits(index + 1)),
+                            React.createElement('td', null, user.userId),
+                            React.createElement('td', null, user.name),
+                            ...renderUsageMetricCells(user.summary, { unit: usageUnits.group })
+                        )),
+                        React.createElement('tr', { className: 'font-bold bg-gray-200' },
+                            React.createElement('td', { colSpan: 3 }, 'جمع کل'),
+                            ...renderUsageMetricCells(totalGroupUsage, { unit: usageUnits.group })
                         )
                     )
-                )
-            ),
-            React.createElement('canvas', { id: 'monthlyChart', className: 'print-section mt-8' })
-        ) : selectedView === 'گزارش فصلی' ? React.createElement('div', { key: 'quarterly-view' },
-            React.createElement('div', { className: 'print-section' },
-                React.createElement('h2', { className: 'text-xl font-semibold mb-4 text-gray-700' }, 'گزارش کلی فصلی'),
-                React.createElement('table', { className: 'w-full' },
+                ) : React.createElement('table', { className: 'w-full' },
                     React.createElement('thead', null, React.createElement('tr', null,
                         React.createElement('th', null, 'ردیف'),
-                        React.createElement('th', null, 'سال شمسی'),
-                        React.createElement('th', null, 'فصل'),
-                        React.createElement('th', null, 'تعداد روز'),
-                        React.createElement('th', null, 'آپلود (MB)'),
-                        React.createElement('th', null, 'دانلود (MB)'),
-                        React.createElement('th', null, 'مجموع مصرف (MB)')
+                        React.createElement('th', null, 'گروه'),
+                        React.createElement('th', null, 'تعداد کاربر'),
+                        ...renderUsageMetricHeaders(usageUnits.group)
                     )),
                     React.createElement('tbody', null,
-                        quarterlyReportData && quarterlyReportData.length > 0 ?
-                            quarterlyReportData.map((item, index) => React.createElement('tr', { key: item.quarterKey },
-                                React.createElement('td', null, toPersianDigits(index + 1)),
-                                React.createElement('td', null, toPersianDigits(item.shamsiYear)),
-                                React.createElement('td', null, item.quarterName),
-                                React.createElement('td', null, toPersianDigits(item.daysCount)),
-                                React.createElement('td', null, toPersianDigits(item.totalDownload)),
-                                React.createElement('td', null, toPersianDigits(item.totalUpload)),
-                                React.createElement('td', null, toPersianDigits(item.totalUsage))
+                        groupReportData.length > 0 ?
+                            groupReportData.map((item, index) => React.createElement('tr', {
+                                key: item.groupName,
+                                className: 'cursor-pointer hover:bg-gray-100',
+                                title: 'نمایش کاربران این گروه',
+                                onClick: () => setSelectedGroup(item.groupName)
+                            },
+                                React.createElement('td', null, formatDigits(index + 1)),
+                                React.createElement('td', null, item.groupName),
+                                React.createElement('td', null, formatDigits(item.usersCount)),
+                                ...renderUsageMetricCells(item, { unit: usageUnits.group })
                             ))
-                            : React.createElement('tr', null, React.createElement('td', { colSpan: 7 }, 'داده‌ای برای گزارش فصلی پیدا نشد.')),
-                        // Total row for quarterly report
-                        React.createElement('tr', { className: 'font-bold bg-gray-200' }, 
-                            React.createElement('td', { colSpan: 4 }, 'جمع کل'),
-                            React.createElement('td', null, formatBytesToReadable(totalQuarterlyUsage.totalDownload)),
-                            React.createElement('td', null, formatBytesToReadable(totalQuarterlyUsage.totalUpload)),
-                            React.createElement('td', null, formatBytesToReadable(totalQuarterlyUsage.totalUsage))
+                            : React.createElement('tr', null, React.createElement('td', { colSpan: 6 }, 'داده‌ای برای گزارش گروه‌ها پیدا نشد.')),
+                        React.createElement('tr', { className: 'font-bold bg-gray-200' },
+                            React.createElement('td', { colSpan: 3 }, 'جمع کل'),
+                            ...renderUsageMetricCells(totalGroupUsage, { unit: usageUnits.group })
                         )
                     )
                 )
             ),
-            React.createElement('canvas', { id: 'quarterlyChart', className: 'print-section mt-8' })
-        ) : (currentUser && currentUser.dailyData.length > 0 ? React.createElement('div', { key: 'user-view' }, 
+            React.createElement('canvas', { id: 'groupChart', className: 'print-section mt-8' })
+        ) : selectedView === 'رتبه‌بندی مصرف' ? React.createElement('div', { key: 'leaderboard-view', className: 'print-section' },
+            React.createElement('h2', { className: 'text-xl font-semibold mb-2 text-gray-700' }, 'رتبه‌بندی مصرف: ' + getUsageMetric(leaderboardMetric).label),
+            React.createElement('p', { className: 'mb-4 text-gray-600' },
+                'تغییر رتبه نسبت به دوره قبل (هم‌طول): ' + formatDigits(formatShamsiDate(leaderboardPreviousRange.startDate)) + ' تا ' + formatDigits(formatShamsiDate(leaderboardPreviousRange.endDate))
+            ),
+            React.createElement('table', { className: 'w-full' },
+                React.createElement('thead', null, React.createElement('tr', null,
+                    React.createElement('th', null, 'رتبه'),
+                    React.createElement('th', null, 'تغییر رتبه'),
+                    React.createElement('th', null, 'نام کاربر'),
+                    React.createElement('th', null, 'نام کامپیوتر'),
+                    React.createElement('th', null, getUsageMetricHeader(getUsageMetric(leaderboardMetric), usageUnits.leaderboard)),
+                    React.createElement('th', null, 'سهم از کل'),
+                    React.createElement('th', null, 'روند روزانه')
+                )),
+                React.createElement('tbody', null,
+                    leaderboardData.map(item => React.createElement('tr', { key: item.userId },
+                        React.createElement('td', { className: 'font-bold' }, formatDigits(item.rank)),
+                        React.createElement('td', {
+                            className: item.rankChange > 0 ? 'text-green-700 font-semibold' : item.rankChange < 0 ? 'text-red-700 font-semibold' : 'text-gray-500',
+                            title: item.previousRank ? 'رتبه در دوره قبل: ' + formatDigits(item.previousRank) : 'بدون مصرف در دوره قبل'
+                        }, item.rankChange === null ? 'جدید' : item.rankChange > 0 ? '▲ ' + formatDigits(item.rankChange) : item.rankChange < 0 ? '▼ ' + formatDigits(-item.rankChange) : '-'),
+                        React.createElement('td', {
+                            className: 'cursor-pointer text-blue-700 hover:underline',
+                            title: 'نمایش جزئیات مصرف کاربر',
+                            onClick: () => setSelectedView(item.userId)
+                        }, item.name),
+                        React.createElement('td', null, item.userId),
+                        React.createElement('td', null, getUsageMetric(leaderboardMetric).format(item.value, usageUnits.leaderboard)),
+                        React.createElement('td', null, formatNumber(item.share, null) + '٪'),
+                        React.createElement('td', null, React.createElement(UsageSparkline, { values: item.dailyValues }))
+                    ))
+                )
+            )
+        ) : selectedView === 'مصرف غیرعادی' ? React.createElement('div', { key: 'anomaly-view', className: 'print-section' },
+            React.createElement('h2', { className: 'text-xl font-semibold mb-2 text-gray-700' }, 'روزهای مصرف غیرعادی'),
+            React.createElement('p', { className: 'mb-4 text-gray-600' }, 'روزهایی که مصرف کاربر به طور ناگهانی چند برابر میانه مصرف ' + formatDigits(ANOMALY_DEFAULTS.windowSize) + ' روز فعال قبلی خودش بوده است.'),
+            React.createElement('table', { className: 'w-full' },
+                React.createElement('thead', null, React.createElement('tr', null,
+                    React.createElement('th', null, 'ردیف'),
+                    React.createElement('th', null, 'نام کامپیوتر'),
+                    React.createElement('th', null, 'نام کاربر'),
+                    React.createElement('th', null, 'تاریخ'),
+                    React.createElement('th', null, `مصرف (${usageUnits.anomaly.name})`),
+                    React.createElement('th', null, `مبنای مصرف (${usageUnits.anomaly.name})`),
+                    React.createElement('th', null, 'چند برابر مبنا')
+                )),
+                React.createElement('tbody', null,
+                    anomalyReportData.length > 0 ?
+                        anomalyReportData.map((item, index) => React.createElement('tr', {
+                            key: item.userId + '-' + item.day,
+                            className: 'cursor-pointer hover:bg-gray-100',
+                            title: 'نمایش جزئیات مصرف کاربر',
+                            onClick: () => setSelectedView(item.userId)
+                        },
+                            React.createElement('td', null, formatDigits(index + 1)),
+                            React.createElement('td', null, item.userId),
+                            React.createElement('td', null, item.name),
+                            React.createElement('td', null, formatDigits(formatShamsiDate(item.day))),
+                            React.createElement('td', null, formatUsage(item.totalUsage, usageUnits.anomaly)),
+                            React.createElement('td', null, formatUsage(item.baseline, usageUnits.anomaly)),
+                            React.createElement('td', { className: 'font-bold text-red-700' }, item.ratio === null ? '-' : formatNumber(item.ratio, null) + '×')
+                        ))
+                        : React.createElement('tr', null, React.createElement('td', { colSpan: 7 }, 'مصرف غیرعادی در این بازه زمانی پیدا نشد.'))
+                )
+            )
+        ) : selectedView === 'الگوی ساعتی مصرف' ? React.createElement('div', { key: 'hourly-view', className: 'print-section' },
+            React.createElement('h2', { className: 'text-xl font-semibold mb-2 text-gray-700' }, 'الگوی ساعتی مصرف' + (reportSubsetLabel ? ': ' + reportSubsetLabel : ' (همه کاربران)')),
+            hasHourlyData ? React.createElement('div', null,
+                React.createElement('p', { className: 'mb-4 text-gray-600' }, 'میانگین مصرف روزانه هر ساعت (' + usageUnits.hourly.name + ') به تفکیک روز هفته؛ رنگ پررنگ‌تر یعنی مصرف بیشتر.'),
+                React.createElement('div', { className: 'overflow-x-auto' },
+                    React.createElement('table', { className: 'w-full text-xs' },
+                        React.createElement('thead', null, React.createElement('tr', null,
+                            React.createElement('th', null, 'روز / ساعت'),
+                            ...Array.from({ length: 24 }, (_, hour) => React.createElement('th', { key: hour, className: 'px-1' }, formatDigits(hour))),
+                            React.createElement('th', null, 'جمع کل')
+                        )),
+                        React.createElement('tbody', null,
+                            ...hourlyHeatmapData.averages.map((hours, weekday) => React.createElement('tr', { key: weekday },
+                                React.createElement('th', null, SHAMSI_WEEKDAY_FULL_NAMES[weekday]),
+                                ...hours.map((value, hour) => {
+                                    const intensity = hourlyHeatmapData.maxAverage > 0 ? value / hourlyHeatmapData.maxAverage : 0;
+                                    return React.createElement('td', {
+                                        key: hour,
+                                        className: 'px-1',
+                                        style: { backgroundColor: getHeatmapColor(intensity), color: intensity > 0.6 ? 'white' : undefined },
+                                        title: `${SHAMSI_WEEKDAY_FULL_NAMES[weekday]}، ساعت ${formatDigits(hour)}: ${formatBytesToReadable(value)}`
+                                    }, value > 0 ? formatHeatmapUsage(value) : '');
+                                }),
+                                React.createElement('td', { className: 'font-bold' }, formatBytesToReadable(hourlyHeatmapData.weekdayTotals[weekday]))
+                            )),
+                            React.createElement('tr', { className: 'font-bold bg-gray-200' },
+                                React.createElement('td', null, 'جمع کل'),
+                                ...hourlyHeatmapData.hourTotals.map((total, hour) => React.createElement('td', { key: hour, className: 'px-1' }, formatHeatmapUsage(total))),
+                                React.createElement('td', null, formatBytesToReadable(hourlyHeatmapData.weekdayTotals.reduce((a, b) => a + b, 0)))
+                            )
+                        )
+                    )
+                )
+            ) : React.createElement('p', { className: 'text-gray-600' }, 'داده ساعتی در پایگاه داده این گزارش وجود ندارد.')
+        ) : selectedView === 'روزهای کاری و تعطیل' ? React.createElement('div', { key: 'day-class-view' },
             React.createElement('div', { className: 'print-section' },
-                React.createElement('h2', { className: 'text-xl font-semibold mb-4 text-gray-700' }, 'جزئیات مصرف کاربر: ' + selectedView),
+                React.createElement('h2', { className: 'text-xl font-semibold mb-2 text-gray-700' }, 'مصرف روزهای کاری، پنجشنبه‌ها، جمعه‌ها و تعطیلات رسمی'),
+                React.createElement('p', { className: 'mb-2 text-gray-600' }, 'دفتر جمعه‌ها و روزهای تعطیل رسمی بسته است؛ مصرف این روزها با رنگ قرمز مشخص شده است. ' +
+                    DAY_CLASSES.map(dayClass => `${dayClass.label}: ${formatDigits(dayClassReportData.dayCounts[dayClass.key])} روز`).join('، ')),
+                rawData.holidays
+                    ? dayClassReportData.holidays.length > 0 && React.createElement('p', { className: 'mb-4 text-gray-600' }, 'تعطیلات رسمی این بازه: ' +
+                        dayClassReportData.holidays.map(holiday => `${formatDigits(formatShamsiDate(holiday.day))} (${holiday.name})`).join('، '))
+                    : React.createElement('p', { className: 'mb-4 text-amber-700' }, 'فهرست تعطیلات رسمی در این گزارش نیست؛ فقط جمعه‌ها تعطیل حساب شده‌اند.'),
                 React.createElement('table', { className: 'w-full' },
-                    React.createElement('thead', null, React.createElement('tr', null, 
+                    React.createElement('thead', null, React.createElement('tr', null,
                         React.createElement('th', null, 'ردیف'),
-                        React.createElement('th', null, 'تاریخ'),
-                        React.createElement('th', null, 'آپلود (MB)'),
-                        React.createElement('th', null, 'دانلود (MB)'),
-                        React.createElement('th', null, 'مجموع مصرف (MB)')
+                        React.createElement('th', null, 'نام کامپیوتر'),
+                        React.createElement('th', null, 'نام کاربر'),
+                        ...DAY_CLASSES.map(dayClass => React.createElement('th', { key: dayClass.key }, `${dayClass.label} (${usageUnits.dayClass.name})`)),
+                        React.createElement('th', null, `مجموع مصرف (${usageUnits.dayClass.name})`),
+                        React.createElement('th', null, 'سهم روزهای تعطیل'),
+                        React.createElement('th', null, 'روزهای تعطیل با مصرف')
                     )),
                     React.createElement('tbody', null,
-                        ...currentUser.dailyData.map((row, i) => React.createElement('tr', { 
-                            key: i, 
-                            className: row.totalUsage === maxTotalDailyUsage ? 'bg-red-100' : '' 
+                        ...dayClassReportData.users.map((item, index) => React.createElement('tr', {
+                            key: item.userId,
+                            className: 'cursor-pointer hover:bg-gray-100' + (item.closedUsage > 0 ? ' bg-red-50' : ''),
+                            title: 'نمایش جزئیات مصرف کاربر',
+                            onClick: () => setSelectedView(item.userId)
                         },
-                            React.createElement('td', null, toPersianDigits(i + 1)),
-                            React.createElement('td', null, toPersianDigits(formatShamsiDate(row.day))),
-                            React.createElement('td', null, toPersianDigits(row.download)),
-                            React.createElement('td', null, toPersianDigits(row.upload)),
-                            React.createElement('td', null, toPersianDigits(row.totalUsage))
+                            React.createElement('td', null, formatDigits(index + 1)),
+                            React.createElement('td', null, item.userId),
+                            React.createElement('td', null, item.name),
+                            ...DAY_CLASSES.map(dayClass => React.createElement('td', {
+                                key: dayClass.key,
+                                className: dayClass.closed && item.usage[dayClass.key] > 0 ? 'font-bold text-red-700' : undefined
+                            }, formatUsage(item.usage[dayClass.key], usageUnits.dayClass))),
+                            React.createElement('td', null, formatUsage(item.totalUsage, usageUnits.dayClass)),
+                            React.createElement('td', { className: item.closedShare > 0 ? 'font-bold text-red-700' : undefined }, formatNumber(item.closedShare, null) + '٪'),
+                            React.createElement('td', null, formatDigits(item.closedDays))
                         )),
                         React.createElement('tr', { className: 'font-bold bg-gray-200' },
+                            React.createElement('td', null, ''),
                             React.createElement('td', null, ''),
                             React.createElement('td', null, 'جمع کل'),
-                            React.createElement('td', null, formatBytesToReadable(currentUser.summary.totalUpload)),
-                            React.createElement('td', null, formatBytesToReadable(currentUser.summary.totalDownload)),
-                            React.createElement('td', null, formatBytesToReadable(currentUser.summary.totalUsage))
+                            ...DAY_CLASSES.map(dayClass => React.createElement('td', { key: dayClass.key }, formatUsage(dayClassReportData.totals[dayClass.key], usageUnits.dayClass))),
+                            React.createElement('td', null, formatUsage(dayClassReportData.users.reduce((total, item) => total + item.totalUsage, 0), usageUnits.dayClass)),
+                            React.createElement('td', null, ''),
+                            React.createElement('td', null, '')
                         )
                     )
                 )
             ),
-            React.createElement('canvas', { id: 'userChart', className: 'print-section mt-8' })
+            React.createElement('canvas', { id: 'dayClassChart', className: 'print-section mt-8' })
+        ) : selectedView === 'مقایسه کاربران' ? React.createElement('div', { key: 'user-comparison-view' },
+            React.createElement('h2', { className: 'text-xl font-semibold mb-2 text-gray-700 print-section' }, 'مقایسه مصرف کاربران'),
+            // User picker; the color next to a picked user is its line on the chart
+            React.createElement('div', { className: 'no-print mb-6' },
+                React.createElement('p', { className: 'mb-2 text-gray-600' }, `حداکثر ${formatDigits(COMPARISON_COLORS.length)} کاربر را برای مقایسه انتخاب کنید.`),
+                React.createElement('div', { id: 'compare-users', className: 'flex flex-wrap gap-x-6 gap-y-2 p-3 rounded-md bg-gray-50 border' },
+                    ...rawData.users.map(user => {
+                        const pickedIndex = comparedUserIds.indexOf(user.userId);
+                        const disabled = pickedIndex < 0 && comparedUserIds.length >= COMPARISON_COLORS.length;
+                        return React.createElement('label', { key: user.userId, className: 'flex items-center gap-2 ' + (disabled ? 'text-gray-400' : 'cursor-pointer') },
+                            React.createElement('input', { type: 'checkbox', value: user.userId, checked: pickedIndex >= 0, disabled, onChange: () => toggleComparedUser(user.userId) }),
+                            pickedIndex >= 0 && React.createElement('span', { className: 'inline-block w-3 h-3 rounded-full', style: { backgroundColor: COMPARISON_COLORS[pickedIndex] } }),
+                            getUserOptionLabel(user, rawData.users)
+                        );
+                    })
+                )
+            ),
+            userComparisonData.users.length > 0 ? React.createElement('div', null,
+                React.createElement('canvas', { id: 'userComparisonChart', className: 'print-section mb-8' }),
+                React.createElement('div', { className: 'print-section' },
+                    React.createElement('table', { className: 'w-full' },
+                        React.createElement('thead', null, React.createElement('tr', null,
+                            React.createElement('th', null, 'شاخص'),
+                            ...userComparisonData.users.map(item => React.createElement('th', { key: item.userId, style: { borderBottom: `4px solid ${item.color}` } }, item.name))
+                        )),
+                        React.createElement('tbody', null,
+                            React.createElement('tr', null,
+                                React.createElement('td', null, 'نام کامپیوتر'),
+                                ...userComparisonData.users.map(item => React.createElement('td', { key: item.userId }, item.userId))
+                            ),
+                            ...USAGE_METRICS.map(metric => React.createElement('tr', { key: metric.key },
+                                React.createElement('td', null, getUsageMetricHeader(metric, usageUnits.comparison)),
+                                ...userComparisonData.users.map(item => React.createElement('td', { key: item.userId }, formatUsage(item.summary[metric.summaryKey], usageUnits.comparison)))
+                            )),
+                            React.createElement('tr', null,
+                                React.createElement('td', null, 'روزهای دارای مصرف'),
+                                ...userComparisonData.users.map(item => React.createElement('td', { key: item.userId }, formatDigits(item.activeDays) + ' از ' + formatDigits(userComparisonData.days.length)))
+                            ),
+                            React.createElement('tr', null,
+                                React.createElement('td', null, `میانگین مصرف روزهای فعال (${usageUnits.comparisonDaily.name})`),
+                                ...userComparisonData.users.map(item => React.createElement('td', { key: item.userId }, formatUsage(item.averagePerActiveDay, usageUnits.comparisonDaily)))
+                            ),
+                            React.createElement('tr', null,
+                                React.createElement('td', null, `روز اوج مصرف (${usageUnits.comparisonDaily.name})`),
+                                ...userComparisonData.users.map(item => React.createElement('td', { key: item.userId }, item.peakDay
+                                    ? `${formatDigits(formatShamsiDate(item.peakDay.day))}: ${formatUsage(item.peakDay.usage, usageUnits.comparisonDaily)}`
+                                    : 'بدون مصرف'))
+                            )
+                        )
+                    )
+                )
+            ) : React.createElement('p', { className: 'text-gray-600' }, 'هنوز کاربری برای مقایسه انتخاب نشده است.')
+        ) : (currentUser && currentUser.dailyData.length > 0 ? React.createElement('div', { key: 'user-view' }, 
+            React.createElement('div', { className: 'print-section' },
+                React.createElement('h2', { className: 'text-xl font-semibold mb-4 text-gray-700' }, 'جزئیات مصرف کاربر: ' + currentUser.name),
+                currentUser.computerIds && currentUser.computerIds.length > 1 && React.createElement('p', { className: 'mb-4 text-gray-600' },
+                    'مصرف این کامپیوترها با هم جمع شده است: ' + currentUser.computerIds.join('، ')
+                ),
+                currentUserQuotaStatus && React.createElement('div', { className: 'flex flex-wrap items-center gap-6 mb-4 p-3 rounded-md bg-gray-50 border' },
+                    React.createElement('span', null, 'سهمیه بازه: ' + formatBytesToReadable(currentUserQuotaStatus.allowance)),
+                    React.createElement('span', null, 'درصد مصرف سهمیه: ' + formatNumber(currentUserQuotaStatus.percent, null) + '٪'),
+                    React.createElement('span', null, currentUserQuotaStatus.remaining >= 0
+                        ? 'باقیمانده: ' + formatBytesToReadable(currentUserQuotaStatus.remaining)
+                        : 'مازاد مصرف: ' + formatBytesToReadable(-currentUserQuotaStatus.remaining)),
+                    React.createElement(QuotaStatusBadge, { quotaStatus: currentUserQuotaStatus })
+                ),
+                React.createElement(ForecastSummary, { forecast: currentUserForecast, asOfDate: forecastAsOfDate }),
+                React.createElement(SortableTable, {
+                    table: 'user',
+                    sortKeys: tableSorts.user,
+                    onSortChange: (sortKeys) => handleTableSortChange('user', sortKeys),
+                    columns: [
+                        { key: 'index', header: 'ردیف' },
+                        { key: 'day', header: 'تاریخ' },
+                        { key: 'dayClass', header: 'نوع روز' },
+                        ...getUsageMetricColumns(usageUnits.user)
+                    ],
+                    rows: sortedCurrentUserDailyData,
+                    renderRow: (row, i) => React.createElement('tr', { 
+                        key: i, 
+                        'data-day': row.day,
+                        className: (row.totalUsage === maxTotalDailyUsage ? 'bg-red-100' : currentUserAnomalyDays.has(row.day) ? 'bg-amber-100' : '') + (row.day === highlightedDay ? ' outline outline-2 outline-blue-500' : ''),
+                        title: currentUserAnomalyDays.has(row.day) ? 'مصرف غیرعادی' : undefined
+                    },
+                        React.createElement('td', null, formatDigits(i + 1)),
+                        React.createElement('td', null, formatDigits(formatShamsiDate(row.day))),
+                        React.createElement(DayClassCell, { day: row.day, usage: row.totalUsage, holidays: rawData.holidays }),
+                        ...renderUsageMetricCells(row, { isDaily: true, unit: usageUnits.user })
+                    ),
+                    footerRow: React.createElement('tr', { key: 'total', className: 'font-bold bg-gray-200' },
+                        React.createElement('td', null, ''),
+                        React.createElement('td', null, 'جمع کل'),
+                        React.createElement('td', null, ''),
+                        ...renderUsageMetricCells(currentUser.summary, { unit: usageUnits.user })
+                    )
+                })
+            ),
+            chartType === 'calendar'
+                ? React.createElement('div', { className: 'print-section mt-8' },
+                    React.createElement('h2', { className: 'text-xl font-semibold mb-4 text-gray-700' }, 'تقویم مصرف روزانه ' + currentUser.name),
+                    React.createElement(UsageCalendarHeatmap, { dailyData: currentUser.dailyData, startDate: appliedStartDate, endDate: appliedEndDate, onDayClick: handleCalendarDayClick })
+                )
+                : React.createElement('canvas', { id: 'userChart', className: 'print-section mt-8' })
         ) : null) 
     );
 }
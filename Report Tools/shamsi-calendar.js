@@ -0,0 +1,222 @@
+﻿// shamsi-calendar.js
+// A Shamsi (Jalali) date picker component for the report controls.
+// Dates go in and out as Gregorian strings (yyyy-MM-dd), so the picker can replace a native date input,
+// while the popup shows a Saturday-first Shamsi month grid with Persian digits.
+// Depends on shamsi-converter.js (toShamsi, fromShamsi, parseShamsiDate, toPersianDigits) and React.
+
+const SHAMSI_MONTH_NAMES = ['فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'مرداد', 'شهریور', 'مهر', 'آبان', 'آذر', 'دی', 'بهمن', 'اسفند'];
+const SHAMSI_WEEKDAY_NAMES = ['ش', 'ی', 'د', 'س', 'چ', 'پ', 'ج']; // Saturday first
+const SHAMSI_WEEKDAY_FULL_NAMES = ['شنبه', 'یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه', 'جمعه'];
+
+/**
+ * Converts a Shamsi date to a Gregorian date string (yyyy-MM-dd).
+ * @param {number} jy - Shamsi year.
+ * @param {number} jm - Shamsi month (1-12).
+ * @param {number} jd - Shamsi day (1-31).
+ * @returns {string} The Gregorian date string.
+ */
+function shamsiToGregorianString(jy, jm, jd) {
+  const [gy, gm, gd] = fromShamsi(jy, jm, jd);
+  return new Date(Date.UTC(gy, gm - 1, gd)).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the number of days in a Shamsi month, taking leap years into account for Esfand.
+ * @param {number} jy - Shamsi year.
+ * @param {number} jm - Shamsi month (1-12).
+ * @returns {number} 29, 30 or 31.
+ */
+function getShamsiMonthLength(jy, jm) {
+  if (jm <= 6) return 31;
+  if (jm <= 11) return 30;
+  // 30 Esfand exists only in leap years; otherwise it converts to 1 Farvardin of the next year
+  return parseShamsiDate(shamsiToGregorianString(jy, 12, 30))[1] === 12 ? 30 : 29;
+}
+
+/**
+ * Returns the column of a Gregorian date in a Saturday-first week (0 = Saturday, 6 = Friday).
+ * @param {string} gregorianDateString - The Gregorian date string in 'yyyy-MM-dd' format.
+ * @returns {number} The weekday column.
+ */
+function getShamsiWeekdayIndex(gregorianDateString) {
+  return (new Date(gregorianDateString + 'T00:00:00Z').getUTCDay() + 1) % 7;
+}
+
+/**
+ * Moves a Gregorian date string by a number of days (UTC based).
+ * @param {string} gregorianDateString - The Gregorian date string in 'yyyy-MM-dd' format.
+ * @param {number} days - Days to add (negative to go back).
+ * @returns {string} The moved Gregorian date string.
+ */
+function shiftGregorianDate(gregorianDateString, days) {
+  const date = new Date(gregorianDateString + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Moves a Gregorian date string by whole Shamsi months, clamping the day to the target month length.
+ * @param {string} gregorianDateString - The Gregorian date string in 'yyyy-MM-dd' format.
+ * @param {number} months - Shamsi months to add (negative to go back).
+ * @returns {string} The moved Gregorian date string.
+ */
+function shiftShamsiMonths(gregorianDateString, months) {
+  const [jy, jm, jd] = parseShamsiDate(gregorianDateString);
+  const monthIndex = jy * 12 + (jm - 1) + months;
+  const targetYear = Math.floor(monthIndex / 12);
+  const targetMonth = monthIndex % 12 + 1;
+  return shamsiToGregorianString(targetYear, targetMonth, Math.min(jd, getShamsiMonthLength(targetYear, targetMonth)));
+}
+
+/**
+ * Shamsi date picker: a button showing the selected Shamsi date that opens a month grid.
+ * Keyboard: arrows move by day/week (RTL aware), PageUp/PageDown by month, Shift+PageUp/PageDown by year,
+ * Home/End to the start/end of the week, Enter or Space selects, Escape closes.
+ * @param {Object} props
+ * @param {string} props.id - Id prefix; the button gets `${id}-display` so labels can point at it.
+ * @param {string} props.value - The selected Gregorian date string (yyyy-MM-dd).
+ * @param {Function} props.onChange - Called with the new Gregorian date string.
+ * @param {string} [props.min] - Earliest selectable Gregorian date string.
+ * @param {string} [props.max] - Latest selectable Gregorian date string.
+ */
+function ShamsiDatePicker({ id, value, onChange, min, max }) {
+  const [isOpen, setIsOpen] = React.useState(false);
+  const [focusedDate, setFocusedDate] = React.useState(value);
+  const containerRef = React.useRef(null);
+  const gridRef = React.useRef(null);
+
+  const todayString = new Date().toISOString().slice(0, 10);
+  const isDisabled = (dateString) => (min && dateString < min) || (max && dateString > max);
+  const clampDate = (dateString) => (min && dateString < min ? min : max && dateString > max ? max : dateString);
+
+  // Close the popup when clicking anywhere outside the picker
+  React.useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleOutsideClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleOutsideClick);
+    return () => document.removeEventListener('mousedown', handleOutsideClick);
+  }, [isOpen]);
+
+  // Move keyboard focus into the grid as soon as the popup opens
+  React.useEffect(() => {
+    if (isOpen && gridRef.current) gridRef.current.focus();
+  }, [isOpen]);
+
+  const openPicker = () => {
+    setFocusedDate(clampDate(value || todayString));
+    setIsOpen(open => !open);
+  };
+
+  const selectDate = (dateString) => {
+    if (isDisabled(dateString)) return;
+    onChange(dateString);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    let nextDate = null;
+    switch (e.key) {
+      case 'ArrowLeft': nextDate = shiftGregorianDate(focusedDate, 1); break;  // RTL: left is the next day
+      case 'ArrowRight': nextDate = shiftGregorianDate(focusedDate, -1); break;
+      case 'ArrowDown': nextDate = shiftGregorianDate(focusedDate, 7); break;
+      case 'ArrowUp': nextDate = shiftGregorianDate(focusedDate, -7); break;
+      case 'PageDown': nextDate = shiftShamsiMonths(focusedDate, e.shiftKey ? 12 : 1); break;
+      case 'PageUp': nextDate = shiftShamsiMonths(focusedDate, e.shiftKey ? -12 : -1); break;
+      case 'Home': nextDate = shiftGregorianDate(focusedDate, -getShamsiWeekdayIndex(focusedDate)); break;
+      case 'End': nextDate = shiftGregorianDate(focusedDate, 6 - getShamsiWeekdayIndex(focusedDate)); break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        selectDate(focusedDate);
+        return;
+      case 'Escape':
+        e.preventDefault();
+        setIsOpen(false);
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+    setFocusedDate(clampDate(nextDate));
+  };
+
+  const [viewYear, viewMonth] = parseShamsiDate(focusedDate || todayString);
+  const monthLength = getShamsiMonthLength(viewYear, viewMonth);
+  const firstDayOfMonth = shamsiToGregorianString(viewYear, viewMonth, 1);
+  const leadingBlanks = getShamsiWeekdayIndex(firstDayOfMonth);
+
+  const dayCells = [];
+  for (let i = 0; i < leadingBlanks; i++) {
+    dayCells.push(React.createElement('span', { key: 'blank-' + i }));
+  }
+  for (let jd = 1; jd <= monthLength; jd++) {
+    const dateString = shiftGregorianDate(firstDayOfMonth, jd - 1);
+    const classNames = ['shamsi-calendar-day'];
+    if (dateString === value) classNames.push('selected');
+    if (dateString === focusedDate) classNames.push('focused');
+    if (dateString === todayString) classNames.push('today');
+    dayCells.push(React.createElement('button', {
+      key: dateString,
+      type: 'button',
+      tabIndex: -1,
+      role: 'gridcell',
+      className: classNames.join(' '),
+      disabled: !!isDisabled(dateString),
+      'aria-selected': dateString === value,
+      onClick: () => selectDate(dateString)
+    }, toPersianDigits(jd)));
+  }
+
+  const canGoBack = !min || shiftGregorianDate(firstDayOfMonth, -1) >= min;
+  const canGoForward = !max || shiftGregorianDate(firstDayOfMonth, monthLength) <= max;
+
+  return React.createElement('div', { className: 'shamsi-datepicker', ref: containerRef },
+    React.createElement('button', {
+      id: id + '-display',
+      type: 'button',
+      className: 'date-picker-button',
+      'aria-haspopup': 'dialog',
+      'aria-expanded': isOpen,
+      onClick: openPicker
+    },
+      React.createElement('svg', { xmlns: 'http://www.w3.org/2000/svg', viewBox: '0 0 24 24' },
+        React.createElement('path', { d: 'M17 12h-5v5h5v-5zM16 1v2H8V1H6v2H5c-1.11 0-1.99.9-1.99 2L3 19c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2h-1V1h-2zm3 18H5V8h14v11z' })
+      ),
+      React.createElement('span', null, toPersianDigits(formatShamsiDate(value)))
+    ),
+    isOpen && React.createElement('div', { className: 'shamsi-calendar-popup no-print', role: 'dialog' },
+      React.createElement('div', { className: 'shamsi-calendar-header' },
+        React.createElement('button', {
+          type: 'button',
+          disabled: !canGoBack,
+          title: 'ماه قبل',
+          onClick: () => setFocusedDate(clampDate(shiftShamsiMonths(focusedDate, -1)))
+        }, '›'),
+        React.createElement('span', null, SHAMSI_MONTH_NAMES[viewMonth - 1] + ' ' + toPersianDigits(viewYear)),
+        React.createElement('button', {
+          type: 'button',
+          disabled: !canGoForward,
+          title: 'ماه بعد',
+          onClick: () => setFocusedDate(clampDate(shiftShamsiMonths(focusedDate, 1)))
+        }, '‹')
+      ),
+      React.createElement('div', {
+        className: 'shamsi-calendar-grid',
+        role: 'grid',
+        tabIndex: 0,
+        ref: gridRef,
+        onKeyDown: handleKeyDown
+      },
+        ...SHAMSI_WEEKDAY_NAMES.map(name => React.createElement('span', { key: 'weekday-' + name, className: 'shamsi-calendar-weekday' }, name)),
+        ...dayCells
+      ),
+      !isDisabled(todayString) && React.createElement('button', {
+        type: 'button',
+        className: 'shamsi-calendar-today-button',
+        onClick: () => selectDate(todayString)
+      }, 'امروز')
+    )
+  );
+}
@@ -124,6 +124,17 @@ function formatShamsiDate(gregorianDateString) {
   return `${jy}/${jm < 10 ? '0' + jm : jm}/${jd < 10 ? '0' + jd : jd}`;
 }
 
+/**
+ * Converts a Gregorian date string (yyyy-MM-dd) into its Shamsi date parts.
+ * The string is split directly, so the result does not depend on the local timezone.
+ * @param {string} gregorianDateString - The Gregorian date string in 'yyyy-MM-dd' format.
+ * @returns {Array<number>} An array containing [Jalali year, Jalali month, Jalali day].
+ */
+function parseShamsiDate(gregorianDateString) {
+  const [gy, gm, gd] = gregorianDateString.split('-').map(Number);
+  return toShamsi(gy, gm, gd);
+}
+
 /**
  * Converts a number to its Persian equivalent digits.
  * @param {number|string} value - The number to convert.
@@ -0,0 +1,65 @@
+﻿// usage-anomalies.js
+// Statistical detection of sudden spikes in a user's daily usage.
+// Each day is compared with a rolling baseline of the user's own previous days using the
+// median and the median absolute deviation (MAD), which are not thrown off by earlier spikes.
+
+// Default settings for the anomaly pass
+const ANOMALY_DEFAULTS = {
+  windowSize: 28,      // Number of previous active days that form the baseline
+  minBaselineDays: 7,  // Days with fewer previous active days are never flagged
+  zThreshold: 3.5,     // Robust z-score above which a day is a spike
+  minRatio: 2,         // A spike must also be at least this many times the baseline median
+  minUsage: 100        // Days below this usage (MB) are ignored as noise
+};
+
+/**
+ * Returns the median of an array of numbers.
+ * @param {Array<number>} values - The values (not modified).
+ * @returns {number} The median, or 0 for an empty array.
+ */
+function calculateMedian(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Finds the spike days in a user's daily usage.
+ * @param {Array<Object>} dailyData - The user's daily rows ({ day, totalUsage, ... }) in any order.
+ * @param {Object} [options] - Overrides for ANOMALY_DEFAULTS.
+ * @returns {Array<Object>} One entry per spike day: { day, totalUsage, baseline, ratio, zScore }, oldest first.
+ */
+function detectUsageAnomalies(dailyData, options) {
+  const settings = { ...ANOMALY_DEFAULTS, ...options };
+  const days = [...(dailyData || [])].sort((a, b) => a.day.localeCompare(b.day));
+  const anomalies = [];
+  // Usage of the previous active days; days without usage are left out of the baseline
+  const activeUsage = [];
+
+  for (let i = 0; i < days.length; i++) {
+    if (i > 0 && days[i - 1].totalUsage > 0) activeUsage.push(days[i - 1].totalUsage);
+    const usage = days[i].totalUsage;
+    if (usage < settings.minUsage || activeUsage.length < settings.minBaselineDays) continue;
+
+    const window = activeUsage.slice(-settings.windowSize);
+    const baseline = calculateMedian(window);
+    const mad = calculateMedian(window.map(value => Math.abs(value - baseline)));
+
+    // 0.6745 scales the MAD to the standard deviation of a normal distribution.
+    // When the baseline has no spread at all, only the ratio test is used.
+    const zScore = mad > 0 ? 0.6745 * (usage - baseline) / mad : (usage > baseline ? Infinity : 0);
+    const ratio = baseline > 0 ? usage / baseline : Infinity;
+
+    if (zScore > settings.zThreshold && ratio >= settings.minRatio) {
+      anomalies.push({
+        day: days[i].day,
+        totalUsage: usage,
+        baseline: parseFloat(baseline.toFixed(2)),
+        ratio: ratio === Infinity ? null : parseFloat(ratio.toFixed(1)),
+        zScore: zScore === Infinity ? null : parseFloat(zScore.toFixed(1))
+      });
+    }
+  }
+  return anomalies;
+}
@@ -0,0 +1,179 @@
+﻿// usage-export.js
+// Tables of the CSV and Excel exports: the headers, data rows and total row of the summary, monthly,
+// quarterly, group and user tables. Both exports build their tables here and differ only in how a
+// cell is written (CSV_EXPORT_CELLS or XLSX_EXPORT_CELLS), so their columns cannot drift apart.
+// Usage values are always in MB. Depends on shamsi-converter.js (formatShamsiDate), usage-format.js
+// and usage-metrics.js.
+
+// Headers of the comparison and quota columns
+const COMPARISON_EXPORT_HEADERS = ['مصرف دوره مقایسه (MB)', 'تغییر (MB)', 'درصد تغییر'];
+const QUOTA_EXPORT_HEADERS = ['سهمیه (MB)', 'درصد سهمیه', 'باقیمانده (MB)', 'وضعیت سهمیه'];
+
+// Cells of the CSV export: text in the digits of the display settings, usage values not grouped
+const CSV_EXPORT_CELLS = {
+  empty: '',
+  number: value => formatDigits(value),
+  year: value => formatDigits(value),
+  date: day => formatDigits(formatShamsiDate(day)),
+  usage: mbValue => formatUsage(mbValue, USAGE_UNITS.MB, false),
+  usageMetrics: (item, isDaily) => formatUsageMetricValues(item, { isDaily, unit: USAGE_UNITS.MB, useGrouping: false }),
+  percent: value => formatDigits(value) + '٪',
+  noQuotaStatus: ''
+};
+
+// Cells of the Excel export: numeric cells (see xlsx-writer.js); percentages are fractions in Excel's percent format
+const XLSX_EXPORT_CELLS = {
+  empty: null,
+  number: value => value,
+  year: value => ({ value, style: 'normal' }),
+  date: day => formatDigits(formatShamsiDate(day)),
+  usage: mbValue => mbValue,
+  usageMetrics: (item, isDaily) => getUsageMetricValues(item, isDaily),
+  percent: value => ({ value: value / 100, style: 'percent' }),
+  noQuotaStatus: '-'
+};
+
+/**
+ * Returns the comparison cells of a row: previous usage, change and percent change.
+ * @param {Object} comparison - The comparison ({ previousUsage, delta, percentChange }).
+ * @param {Object} cells - CSV_EXPORT_CELLS or XLSX_EXPORT_CELLS.
+ * @returns {Array} The cells.
+ */
+function getComparisonExportCells(comparison, cells) {
+  return [
+    cells.usage(comparison.previousUsage),
+    cells.usage(comparison.delta),
+    comparison.percentChange === null ? '-' : cells.percent(comparison.percentChange)
+  ];
+}
+
+/**
+ * Returns the quota cells of a row: allowance, percent used, remaining and status.
+ * @param {Object|null} quotaStatus - The quota status ({ allowance, percent, remaining, label }); null without a quota.
+ * @param {Object} cells - CSV_EXPORT_CELLS or XLSX_EXPORT_CELLS.
+ * @returns {Array} The cells.
+ */
+function getQuotaExportCells(quotaStatus, cells) {
+  return quotaStatus
+    ? [cells.usage(quotaStatus.allowance), cells.percent(quotaStatus.percent), cells.usage(quotaStatus.remaining), quotaStatus.label]
+    : [cells.empty, cells.empty, cells.empty, cells.noQuotaStatus];
+}
+
+/**
+ * Builds the table of users with their usage over the range (the summary table and the users of a group).
+ * @param {Array<Object>} users - The users, in table order ({ userId, name, summary }).
+ * @param {Object} total - The usage totals of the users (summary fields).
+ * @param {Object} cells - CSV_EXPORT_CELLS or XLSX_EXPORT_CELLS.
+ * @param {Object} [options] - Optional columns: groupOf (user => group name), comparisonOf (user => comparison)
+ *   with totalComparison, and quotaOf (user => quota status) with totalQuotaStatus.
+ * @returns {{headers: Array<string>, rows: Array<Array>, totalRow: Array}} The table.
+ */
+function buildUsersExportTable(users, total, cells, { groupOf, comparisonOf, totalComparison, quotaOf, totalQuotaStatus } = {}) {
+  const headers = ['ردیف', 'نام کامپیوتر', 'نام کاربر', ...(groupOf ? ['گروه'] : []), ...getUsageMetricHeaders()];
+  if (comparisonOf) headers.push(...COMPARISON_EXPORT_HEADERS);
+  if (quotaOf) headers.push(...QUOTA_EXPORT_HEADERS);
+
+  const rows = users.map((user, index) => {
+    const row = [cells.number(index + 1), user.userId, user.name, ...(groupOf ? [groupOf(user)] : []), ...cells.usageMetrics(user.summary)];
+    if (comparisonOf) row.push(...getComparisonExportCells(comparisonOf(user), cells));
+    if (quotaOf) row.push(...getQuotaExportCells(quotaOf(user), cells));
+    return row;
+  });
+
+  const totalRow = [cells.empty, cells.empty, 'جمع کل', ...(groupOf ? [cells.empty] : []), ...cells.usageMetrics(total)];
+  if (comparisonOf) totalRow.push(...getComparisonExportCells(totalComparison, cells));
+  if (quotaOf) totalRow.push(...getQuotaExportCells(totalQuotaStatus, cells));
+  return { headers, rows, totalRow };
+}
+
+/**
+ * Builds the monthly table.
+ * @param {Array<Object>} months - The months, in table order ({ monthKey, shamsiMonthLabel, daysCount, usage
+ *   totals, highestConsumer, highestConsumerUsage }).
+ * @param {Object} total - The usage totals of the months (summary fields).
+ * @param {Object} cells - CSV_EXPORT_CELLS or XLSX_EXPORT_CELLS.
+ * @param {Object} [options] - Optional columns: forecast (the monthly forecast, { monthKey, month: { total } })
+ *   and quotaOf (month => quota status of the network quota).
+ * @returns {{headers: Array<string>, rows: Array<Array>, totalRow: Array}} The table.
+ */
+function buildMonthlyExportTable(months, total, cells, { forecast, quotaOf } = {}) {
+  const headers = ['ردیف', 'ماه', 'تعداد روز', ...getUsageMetricHeaders(), 'کاربر پرمصرف', 'مصرف کاربر پرمصرف (MB)'];
+  if (forecast) headers.push('پیش‌بینی پایان ماه (MB)');
+  if (quotaOf) headers.push(...QUOTA_EXPORT_HEADERS);
+
+  const rows = months.map((item, index) => {
+    const row = [
+      cells.number(index + 1),
+      item.shamsiMonthLabel,
+      cells.number(item.daysCount),
+      ...cells.usageMetrics(item),
+      item.highestConsumer || '-',
+      cells.usage(item.highestConsumerUsage)
+    ];
+    if (forecast) row.push(item.monthKey === forecast.monthKey ? cells.usage(forecast.month.total) : '-');
+    if (quotaOf) row.push(...getQuotaExportCells(quotaOf(item), cells));
+    return row;
+  });
+
+  // The total row has no highest consumer, forecast or quota
+  const totalRow = [cells.empty, cells.empty, 'جمع کل', ...cells.usageMetrics(total)];
+  while (totalRow.length < headers.length) totalRow.push(cells.empty);
+  return { headers, rows, totalRow };
+}
+
+/**
+ * Builds the quarterly (Shamsi season) table.
+ * @param {Array<Object>} quarters - The seasons, in table order ({ shamsiYear, quarterName, daysCount, usage totals }).
+ * @param {Object} total - The usage totals of the seasons (summary fields).
+ * @param {Object} cells - CSV_EXPORT_CELLS or XLSX_EXPORT_CELLS.
+ * @returns {{headers: Array<string>, rows: Array<Array>, totalRow: Array}} The table.
+ */
+function buildQuarterlyExportTable(quarters, total, cells) {
+  return {
+    headers: ['ردیف', 'سال', 'فصل', 'تعداد روز', ...getUsageMetricHeaders()],
+    rows: quarters.map((item, index) => [
+      cells.number(index + 1),
+      cells.year(item.shamsiYear),
+      item.quarterName,
+      cells.number(item.daysCount),
+      ...cells.usageMetrics(item)
+    ]),
+    totalRow: [cells.empty, cells.empty, cells.empty, 'جمع کل', ...cells.usageMetrics(total)]
+  };
+}
+
+/**
+ * Builds the table of groups.
+ * @param {Array<Object>} groups - The groups, in table order ({ groupName, usersCount, usage totals }).
+ * @param {Object} total - The usage totals of the groups (summary fields).
+ * @param {Object} cells - CSV_EXPORT_CELLS or XLSX_EXPORT_CELLS.
+ * @returns {{headers: Array<string>, rows: Array<Array>, totalRow: Array}} The table.
+ */
+function buildGroupsExportTable(groups, total, cells) {
+  return {
+    headers: ['ردیف', 'گروه', 'تعداد کاربر', ...getUsageMetricHeaders()],
+    rows: groups.map((item, index) => [cells.number(index + 1), item.groupName, cells.number(item.usersCount), ...cells.usageMetrics(item)]),
+    totalRow: [cells.empty, cells.empty, 'جمع کل', ...cells.usageMetrics(total)]
+  };
+}
+
+/**
+ * Builds the table of a user's daily usage.
+ * @param {Array<Object>} dailyRows - The user's daily rows, in table order ({ day, download, upload, totalUsage }).
+ * @param {Object} summary - The user's usage totals (summary fields).
+ * @param {Object} cells - CSV_EXPORT_CELLS or XLSX_EXPORT_CELLS.
+ * @param {Object} [options] - Optional column: dayLabelOf (day => label of the day class, e.g. 'روز کاری').
+ * @returns {{headers: Array<string>, rows: Array<Array>, totalRow: Array}} The table.
+ */
+function buildUserExportTable(dailyRows, summary, cells, { dayLabelOf } = {}) {
+  return {
+    headers: ['ردیف', 'تاریخ', ...(dayLabelOf ? ['نوع روز'] : []), ...getUsageMetricHeaders()],
+    rows: dailyRows.map((row, index) => [
+      cells.number(index + 1),
+      cells.date(row.day),
+      ...(dayLabelOf ? [dayLabelOf(row.day)] : []),
+      ...cells.usageMetrics(row, true)
+    ]),
+    totalRow: [cells.empty, 'جمع کل', ...(dayLabelOf ? [cells.empty] : []), ...cells.usageMetrics(summary)]
+  };
+}
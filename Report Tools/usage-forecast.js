@@ -0,0 +1,134 @@
+﻿// usage-forecast.js
+// Projection of usage to the end of the current Shamsi month and season.
+// The recent daily usage is fitted with a least-squares linear trend, and each weekday of the
+// Saturday-first week keeps its own average distance from that trend, so quiet Fridays and busy
+// Saturdays carry over into the projected days.
+// Depends on shamsi-converter.js (parseShamsiDate) and shamsi-calendar.js (shamsiToGregorianString,
+// getShamsiMonthLength, getShamsiWeekdayIndex, shiftGregorianDate).
+
+// Default settings for the forecast model
+const FORECAST_DEFAULTS = {
+  historyDays: 56,    // Number of days up to the forecast date that the model is fitted on
+  minHistoryDays: 14  // No forecast is made from a shorter history
+};
+
+/**
+ * Returns the Shamsi month or season that contains a date.
+ * @param {string} gregorianDateString - The Gregorian date string in 'yyyy-MM-dd' format.
+ * @param {number} months - 1 for the Shamsi month, 3 for the season.
+ * @returns {{startDate: string, endDate: string}} The first and last day of the period (Gregorian).
+ */
+function getShamsiPeriodRange(gregorianDateString, months) {
+  const [jy, jm] = parseShamsiDate(gregorianDateString);
+  const firstMonth = Math.floor((jm - 1) / months) * months + 1;
+  const lastMonth = firstMonth + months - 1;
+  return {
+    startDate: shamsiToGregorianString(jy, firstMonth, 1),
+    endDate: shamsiToGregorianString(jy, lastMonth, getShamsiMonthLength(jy, lastMonth))
+  };
+}
+
+/**
+ * Returns the number of days from one Gregorian date to another (negative if the second is earlier).
+ * @param {string} fromDate - The Gregorian date string in 'yyyy-MM-dd' format.
+ * @param {string} toDate - The Gregorian date string in 'yyyy-MM-dd' format.
+ * @returns {number} The difference in days.
+ */
+function getDaysBetween(fromDate, toDate) {
+  return Math.round((new Date(toDate + 'T00:00:00Z') - new Date(fromDate + 'T00:00:00Z')) / 86400000);
+}
+
+/**
+ * Fits the forecast model on the days up to a date.
+ * @param {Array<Object>} dailyData - Daily rows ({ day, totalUsage, ... }) of one or more users, in any order.
+ *   Days without a row count as days without usage.
+ * @param {string} asOfDate - The last day with known usage (Gregorian).
+ * @param {Object} [options] - Overrides for FORECAST_DEFAULTS.
+ * @returns {Object|null} The model ({ firstDay, intercept, slope, weekdayOffsets }), or null when the history is too short.
+ */
+function fitUsageForecast(dailyData, asOfDate, options) {
+  const settings = { ...FORECAST_DEFAULTS, ...options };
+  const usageByDay = {};
+  let firstDataDay = null;
+  (dailyData || []).forEach(d => {
+    if (d.day > asOfDate) return;
+    usageByDay[d.day] = (usageByDay[d.day] || 0) + d.totalUsage;
+    if (firstDataDay === null || d.day < firstDataDay) firstDataDay = d.day;
+  });
+  if (firstDataDay === null) return null;
+
+  const historyStart = shiftGregorianDate(asOfDate, -(settings.historyDays - 1));
+  const firstDay = firstDataDay > historyStart ? firstDataDay : historyStart;
+  const values = [];
+  for (let day = firstDay; day <= asOfDate; day = shiftGregorianDate(day, 1)) values.push(usageByDay[day] || 0);
+  if (values.length < settings.minHistoryDays) return null;
+
+  // Least-squares line through (day index, usage)
+  const meanX = (values.length - 1) / 2;
+  const meanY = values.reduce((a, b) => a + b, 0) / values.length;
+  let covariance = 0;
+  let variance = 0;
+  values.forEach((value, x) => {
+    covariance += (x - meanX) * (value - meanY);
+    variance += (x - meanX) * (x - meanX);
+  });
+  const slope = variance > 0 ? covariance / variance : 0;
+  const intercept = meanY - slope * meanX;
+
+  // Average distance of each weekday from the trend, centred so that a whole week follows the trend
+  const firstWeekday = getShamsiWeekdayIndex(firstDay);
+  const sums = Array(7).fill(0);
+  const counts = Array(7).fill(0);
+  values.forEach((value, x) => {
+    const weekday = (firstWeekday + x) % 7;
+    sums[weekday] += value - (intercept + slope * x);
+    counts[weekday]++;
+  });
+  const offsets = sums.map((sum, weekday) => counts[weekday] > 0 ? sum / counts[weekday] : 0);
+  const meanOffset = offsets.reduce((a, b) => a + b, 0) / 7;
+
+  return { firstDay, intercept, slope, weekdayOffsets: offsets.map(offset => offset - meanOffset) };
+}
+
+/**
+ * Projects the daily usage of a date range with a fitted model.
+ * @param {Object} model - The model returned by fitUsageForecast.
+ * @param {string} startDate - First projected day (Gregorian).
+ * @param {string} endDate - Last projected day (Gregorian).
+ * @returns {Array<Object>} One { day, totalUsage } entry per day, oldest first; usage never goes below zero.
+ */
+function projectDailyUsage(model, startDate, endDate) {
+  const projection = [];
+  for (let day = startDate, x = getDaysBetween(model.firstDay, startDate); day <= endDate; day = shiftGregorianDate(day, 1), x++) {
+    const usage = model.intercept + model.slope * x + model.weekdayOffsets[getShamsiWeekdayIndex(day)];
+    projection.push({ day, totalUsage: parseFloat(Math.max(0, usage).toFixed(2)) });
+  }
+  return projection;
+}
+
+/**
+ * Forecasts the total usage of the Shamsi month or season that contains a date.
+ * @param {Array<Object>} dailyData - Daily rows ({ day, totalUsage, ... }) of one or more users, in any order.
+ * @param {string} asOfDate - The last day with known usage (Gregorian).
+ * @param {number} months - 1 for the Shamsi month, 3 for the season.
+ * @param {Object} [options] - Overrides for FORECAST_DEFAULTS.
+ * @returns {Object|null} { startDate, endDate, actual, projected, total, days }: the usage of the period up to asOfDate,
+ *   the projected usage of its remaining days (listed in days) and their sum, or null when no forecast can be made.
+ */
+function forecastPeriodUsage(dailyData, asOfDate, months, options) {
+  const model = fitUsageForecast(dailyData, asOfDate, options);
+  if (!model) return null;
+  const period = getShamsiPeriodRange(asOfDate, months);
+  const actual = dailyData
+    .filter(d => d.day >= period.startDate && d.day <= asOfDate)
+    .reduce((total, d) => total + d.totalUsage, 0);
+  const days = asOfDate < period.endDate ? projectDailyUsage(model, shiftGregorianDate(asOfDate, 1), period.endDate) : [];
+  const projected = days.reduce((total, d) => total + d.totalUsage, 0);
+  return {
+    ...period,
+    actual: parseFloat(actual.toFixed(2)),
+    projected: parseFloat(projected.toFixed(2)),
+    total: parseFloat((actual + projected).toFixed(2)),
+    days
+  };
+}
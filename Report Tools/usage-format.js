@@ -0,0 +1,151 @@
+﻿// usage-format.js
+// Number and usage formatting for the report: MB/GB/TB scaling, thousands grouping and Persian or Latin digits.
+// Usage values in the report data are in MB. A table or chart picks one unit for all of its values
+// (chooseUsageUnit) and shows it in its headers or axis title, so the cells only hold numbers.
+
+// Display units; factor is the number of MB in one unit
+const USAGE_UNITS = {
+  MB: { name: 'MB', factor: 1 },
+  GB: { name: 'GB', factor: 1024 },
+  TB: { name: 'TB', factor: 1024 * 1024 }
+};
+
+// Default display settings: unit is 'auto' or a key of USAGE_UNITS, digits is 'persian' or 'latin'
+const USAGE_FORMAT_DEFAULTS = { unit: 'auto', digits: 'persian' };
+
+// localStorage key of the display settings
+const USAGE_FORMAT_STORAGE_KEY = 'spbm-report-format';
+
+// A larger unit is only picked when the largest value is at least this many of it,
+// so the small values of the same table keep some precision
+const USAGE_UNIT_THRESHOLD = 10;
+
+/**
+ * Reads the saved display settings.
+ * @returns {Object} The settings ({ unit, digits }); defaults for missing or invalid values.
+ */
+function loadUsageFormatSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(window.localStorage.getItem(USAGE_FORMAT_STORAGE_KEY)) || {};
+  } catch (e) {
+    // No localStorage (e.g. blocked for file:// pages) or an invalid value: use the defaults
+  }
+  return {
+    unit: saved.unit === 'auto' || USAGE_UNITS[saved.unit] ? saved.unit : USAGE_FORMAT_DEFAULTS.unit,
+    digits: saved.digits === 'latin' || saved.digits === 'persian' ? saved.digits : USAGE_FORMAT_DEFAULTS.digits
+  };
+}
+
+// Current display settings, used by all formatting functions below
+let usageFormatSettings = loadUsageFormatSettings();
+
+/**
+ * Returns the current display settings.
+ * @returns {Object} The settings ({ unit, digits }).
+ */
+function getUsageFormatSettings() {
+  return usageFormatSettings;
+}
+
+/**
+ * Changes and saves the display settings.
+ * @param {Object} changes - The settings to change ({ unit } and/or { digits }).
+ * @returns {Object} The new settings.
+ */
+function saveUsageFormatSettings(changes) {
+  usageFormatSettings = { ...usageFormatSettings, ...changes };
+  try {
+    window.localStorage.setItem(USAGE_FORMAT_STORAGE_KEY, JSON.stringify(usageFormatSettings));
+  } catch (e) {
+    // The settings still apply until the page is closed
+  }
+  return usageFormatSettings;
+}
+
+/**
+ * Writes the digits of a value in the digits of the display settings.
+ * @param {*} value - The value (number or string, e.g. a Shamsi date).
+ * @returns {string} The value with Persian or Latin digits; '' for null or undefined.
+ */
+function formatDigits(value) {
+  if (value == null) return '';
+  return usageFormatSettings.digits === 'latin' ? value.toString().replace(/[۰-۹]/g, (x) => '۰۱۲۳۴۵۶۷۸۹'.indexOf(x)) : toPersianDigits(value);
+}
+
+/**
+ * Formats a number with grouped thousands. With Persian digits the Persian thousands (٬) and
+ * decimal (٫) separators are used.
+ * @param {number} value - The number.
+ * @param {number|null} [fractionDigits=2] - Fixed number of decimals; null for up to two decimals, as needed.
+ * @param {boolean} [useGrouping=true] - Whether to group thousands.
+ * @returns {string} The formatted number; '' for null, undefined or NaN.
+ */
+function formatNumber(value, fractionDigits = 2, useGrouping = true) {
+  if (value == null || isNaN(value)) return '';
+  const text = Number(value).toLocaleString('en-US', {
+    minimumFractionDigits: fractionDigits === null ? 0 : fractionDigits,
+    maximumFractionDigits: fractionDigits === null ? 2 : fractionDigits,
+    useGrouping
+  });
+  if (usageFormatSettings.digits === 'latin') return text;
+  return toPersianDigits(text.replace(/[,.]/g, (x) => (x === ',' ? '٬' : '٫')));
+}
+
+/**
+ * Picks the display unit for a set of usage values, or the fixed unit of the display settings.
+ * @param {Array<number>} mbValues - The values in MB (e.g. all cells of a table).
+ * @returns {Object} The unit (an entry of USAGE_UNITS).
+ */
+function chooseUsageUnit(mbValues) {
+  if (usageFormatSettings.unit !== 'auto') return USAGE_UNITS[usageFormatSettings.unit];
+  const largest = (mbValues || []).reduce((max, value) => Math.max(max, Math.abs(value || 0)), 0);
+  if (largest >= USAGE_UNIT_THRESHOLD * USAGE_UNITS.TB.factor) return USAGE_UNITS.TB;
+  if (largest >= USAGE_UNIT_THRESHOLD * USAGE_UNITS.GB.factor) return USAGE_UNITS.GB;
+  return USAGE_UNITS.MB;
+}
+
+/**
+ * Converts a usage value from MB to a display unit.
+ * @param {number} mbValue - The value in MB.
+ * @param {Object} unit - The unit (an entry of USAGE_UNITS).
+ * @returns {number} The value in the unit, rounded to two decimals.
+ */
+function convertUsage(mbValue, unit) {
+  return parseFloat((mbValue / unit.factor).toFixed(2));
+}
+
+/**
+ * Formats a usage value in a display unit, without the unit name.
+ * @param {number} mbValue - The value in MB.
+ * @param {Object} [unit=USAGE_UNITS.MB] - The unit (an entry of USAGE_UNITS).
+ * @param {boolean} [useGrouping=true] - Whether to group thousands.
+ * @returns {string} The formatted value.
+ */
+function formatUsage(mbValue, unit = USAGE_UNITS.MB, useGrouping = true) {
+  return formatNumber(mbValue / unit.factor, 2, useGrouping);
+}
+
+/**
+ * Formats a single usage value with its own unit name, e.g. '۱٬۲۳۴٫۵۶ GB'.
+ * @param {number} mbValue - The value in MB.
+ * @returns {string} The formatted value and unit.
+ */
+function formatBytesToReadable(mbValue) {
+  const unit = chooseUsageUnit([mbValue]);
+  return formatUsage(mbValue, unit) + ' ' + unit.name;
+}
+
+/**
+ * Creates the Chart.js options of a usage value axis in a display unit.
+ * @param {Object} unit - The unit (an entry of USAGE_UNITS).
+ * @param {string} [title='مصرف'] - The axis title, followed by the unit name.
+ * @returns {Object} The axis options.
+ */
+function createUsageAxis(unit, title = 'مصرف') {
+  return {
+    beginAtZero: true,
+    title: { display: true, text: `${title} (${unit.name})` },
+    ticks: { callback: (value) => formatNumber(value, null) }
+  };
+}
@@ -0,0 +1,165 @@
+﻿// usage-index.js
+// Date index of the daily usage rows, built once when the report data is loaded.
+// Each user's rows are kept sorted by day with running totals of the usage metrics, so the rows
+// and totals of any date range are found with two binary searches instead of a scan of every row.
+// Depends on nothing; the days are Gregorian 'yyyy-MM-dd' strings, which sort like dates.
+
+// Metrics that running totals are kept for
+const USAGE_INDEX_METRICS = ['download', 'upload', 'totalUsage'];
+
+/**
+ * Returns the first position in a list of days sorted from newest to oldest whose day is earlier
+ * than a date (or on or before it, when inclusive is set).
+ * @param {Array<string>} days - The days, newest first.
+ * @param {string} date - The Gregorian date string in 'yyyy-MM-dd' format.
+ * @param {boolean} inclusive - Whether a day equal to the date counts as earlier.
+ * @returns {number} The position, from 0 to days.length.
+ */
+function findUsageIndexPosition(days, date, inclusive) {
+  let low = 0;
+  let high = days.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (days[middle] < date || (inclusive && days[middle] === date)) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Builds the date index of the users' daily rows.
+ * @param {Array<Object>} users - The users of the report data ({ userId, dailyData, ... }).
+ * @returns {Object} The index ({ users, firstDay, lastDay }). Each entry of users holds the user,
+ *   its rows and days newest first, and running totals of each metric (totals[metric][i] is the sum
+ *   of the first i rows).
+ */
+function createUsageIndex(users) {
+  let firstDay = null;
+  let lastDay = null;
+
+  const entries = (users || []).map(user => {
+    // The generators write one row per day, newest first; other data is sorted the same way
+    const source = user.dailyData || [];
+    const isSorted = source.every((row, position) => position === 0 || row.day < source[position - 1].day);
+    const rows = isSorted ? source : [...source].sort((a, b) => b.day.localeCompare(a.day));
+    const days = rows.map(row => row.day);
+
+    const totals = {};
+    USAGE_INDEX_METRICS.forEach(metric => {
+      const sums = new Float64Array(rows.length + 1);
+      for (let i = 0; i < rows.length; i++) {
+        sums[i + 1] = sums[i] + (rows[i][metric] || 0);
+      }
+      totals[metric] = sums;
+    });
+
+    if (days.length > 0) {
+      if (lastDay === null || days[0] > lastDay) lastDay = days[0];
+      if (firstDay === null || days[days.length - 1] < firstDay) firstDay = days[days.length - 1];
+    }
+
+    return { user, rows, days, totals };
+  });
+
+  return { users: entries, firstDay, lastDay };
+}
+
+/**
+ * Returns the positions of a user's rows that fall in a date range.
+ * @param {Object} entry - An entry of the index's users.
+ * @param {string} startDate - The first day of the range (Gregorian).
+ * @param {string} endDate - The last day of the range (Gregorian).
+ * @returns {{from: number, to: number}} The rows from position from up to (not including) position to.
+ */
+function getUsageIndexRange(entry, startDate, endDate) {
+  const from = findUsageIndexPosition(entry.days, endDate, true);
+  const to = Math.max(from, findUsageIndexPosition(entry.days, startDate, false));
+  return { from, to };
+}
+
+/**
+ * Returns the sum of each metric over a run of a user's rows.
+ * @param {Object} entry - An entry of the index's users.
+ * @param {number} from - The position of the first row.
+ * @param {number} to - The position after the last row.
+ * @returns {{totalDownload: number, totalUpload: number, totalUsage: number}} The sums, rounded to two decimals.
+ */
+function sumUsageIndexRows(entry, from, to) {
+  const sum = metric => parseFloat((entry.totals[metric][to] - entry.totals[metric][from]).toFixed(2));
+  return {
+    totalDownload: sum('download'),
+    totalUpload: sum('upload'),
+    totalUsage: sum('totalUsage')
+  };
+}
+
+/**
+ * Returns a user's usage totals over a date range.
+ * @param {Object} entry - An entry of the index's users.
+ * @param {string} startDate - The first day of the range (Gregorian).
+ * @param {string} endDate - The last day of the range (Gregorian).
+ * @returns {{totalDownload: number, totalUpload: number, totalUsage: number, rowCount: number}} The totals, rounded to two decimals.
+ */
+function getUsageIndexTotals(entry, startDate, endDate) {
+  const { from, to } = getUsageIndexRange(entry, startDate, endDate);
+  return { ...sumUsageIndexRows(entry, from, to), rowCount: to - from };
+}
+
+/**
+ * Returns the usage totals of every user over a date range, for views that only need the sums
+ * (no rows are copied).
+ * @param {Object} index - The index built by createUsageIndex.
+ * @param {string} startDate - The first day of the range (Gregorian).
+ * @param {string} endDate - The last day of the range (Gregorian).
+ * @returns {Array<{userId: string, summary: Object}>} The users with rows in the range and their totals, as in
+ *   the summaries of filterUsageIndex.
+ */
+function summarizeUsageIndex(index, startDate, endDate) {
+  const users = [];
+  if (!index || !startDate || !endDate) return users;
+  index.users.forEach(entry => {
+    const { rowCount, ...summary } = getUsageIndexTotals(entry, startDate, endDate);
+    if (rowCount > 0) users.push({ userId: entry.user.userId, summary });
+  });
+  return users;
+}
+
+/**
+ * Returns the report data limited to a date range.
+ * @param {Object} index - The index built by createUsageIndex.
+ * @param {string} startDate - The first day of the range (Gregorian).
+ * @param {string} endDate - The last day of the range (Gregorian).
+ * @returns {Object} The data ({ users, dateRange }). Only users with rows in the range are kept, each with
+ *   its rows in the range (newest first) and its summary over the range. The date range is narrowed to the
+ *   first and last day that has a row, or left as given when no row falls in it.
+ */
+function filterUsageIndex(index, startDate, endDate) {
+  if (!index || !startDate || !endDate) {
+    return { users: [], dateRange: { startDate, endDate } };
+  }
+
+  let firstDay = null;
+  let lastDay = null;
+  const users = [];
+  index.users.forEach(entry => {
+    const { from, to } = getUsageIndexRange(entry, startDate, endDate);
+    if (from === to) return;
+
+    users.push({
+      ...entry.user,
+      dailyData: entry.rows.slice(from, to),
+      summary: sumUsageIndexRows(entry, from, to)
+    });
+
+    if (lastDay === null || entry.days[from] > lastDay) lastDay = entry.days[from];
+    if (firstDay === null || entry.days[to - 1] < firstDay) firstDay = entry.days[to - 1];
+  });
+
+  return {
+    users,
+    dateRange: users.length > 0 ? { startDate: firstDay, endDate: lastDay } : { startDate, endDate }
+  };
+}
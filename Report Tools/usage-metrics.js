@@ -0,0 +1,108 @@
+﻿// usage-metrics.js
+// Usage metrics of the report: the download, upload and total columns in column order, with the label,
+// unit, color, value fields and formatter of each. Every table, chart dataset and export takes its
+// download/upload/total columns from here, so a header can no longer sit above the wrong values.
+// Depends on usage-format.js (USAGE_UNITS, formatUsage, convertUsage); the table helpers use React when called.
+
+// summaryKey is the field in user summaries and in the monthly, quarterly and group totals; dailyKey is the
+// field in daily rows. unit is the unit of the data; tables and charts show the values in a display unit.
+const USAGE_METRICS = [
+  { key: 'download', summaryKey: 'totalDownload', dailyKey: 'download', label: 'دانلود', unit: 'MB', color: '#2196F3', format: formatUsage },
+  { key: 'upload', summaryKey: 'totalUpload', dailyKey: 'upload', label: 'آپلود', unit: 'MB', color: '#4CAF50', format: formatUsage },
+  { key: 'totalUsage', summaryKey: 'totalUsage', dailyKey: 'totalUsage', label: 'مجموع مصرف', unit: 'MB', color: '#FF9800', format: formatUsage }
+];
+
+/**
+ * Returns a usage metric by its summary field.
+ * @param {string} summaryKey - The summary field (e.g. 'totalUpload').
+ * @returns {Object|undefined} The metric (an entry of USAGE_METRICS).
+ */
+function getUsageMetric(summaryKey) {
+  return USAGE_METRICS.find(metric => metric.summaryKey === summaryKey);
+}
+
+/**
+ * Returns the column header of a usage metric in a display unit, e.g. 'دانلود (GB)'.
+ * @param {Object} metric - The metric (an entry of USAGE_METRICS).
+ * @param {Object} [unit] - The display unit (an entry of USAGE_UNITS); default: the unit of the data.
+ * @returns {string} The header.
+ */
+function getUsageMetricHeader(metric, unit = USAGE_UNITS[metric.unit]) {
+  return `${metric.label} (${unit.name})`;
+}
+
+/**
+ * Returns the column headers of all usage metrics, in column order.
+ * @param {Object} [unit] - The display unit (an entry of USAGE_UNITS); default: the unit of the data.
+ * @returns {Array<string>} The headers.
+ */
+function getUsageMetricHeaders(unit) {
+  return USAGE_METRICS.map(metric => getUsageMetricHeader(metric, unit));
+}
+
+/**
+ * Reads the usage metric values of an item, in column order.
+ * @param {Object} item - A summary or total (summary fields) or a daily row (daily fields).
+ * @param {boolean} [isDaily=false] - Whether the item is a daily row.
+ * @returns {Array<number>} The values in MB.
+ */
+function getUsageMetricValues(item, isDaily) {
+  return USAGE_METRICS.map(metric => item[isDaily ? metric.dailyKey : metric.summaryKey]);
+}
+
+/**
+ * Formats the usage metric values of an item for a table or CSV row, in column order.
+ * @param {Object} item - A summary or total (summary fields) or a daily row (daily fields).
+ * @param {Object} [options] - { isDaily, unit (display unit, default MB), useGrouping (default true) }.
+ * @returns {Array<string>} The formatted values.
+ */
+function formatUsageMetricValues(item, { isDaily = false, unit = USAGE_UNITS.MB, useGrouping = true } = {}) {
+  const values = getUsageMetricValues(item, isDaily);
+  return USAGE_METRICS.map((metric, i) => metric.format(values[i], unit, useGrouping));
+}
+
+/**
+ * Creates the Chart.js datasets of the usage metrics for a list of items, one dataset per metric.
+ * @param {Array<Object>} items - The items, with summary fields.
+ * @param {Object} unit - The display unit (an entry of USAGE_UNITS).
+ * @returns {Array<Object>} The datasets ({ label, data, backgroundColor }).
+ */
+function createUsageMetricDatasets(items, unit) {
+  return USAGE_METRICS.map(metric => ({
+    label: getUsageMetricHeader(metric, unit),
+    data: items.map(item => convertUsage(item[metric.summaryKey], unit)),
+    backgroundColor: metric.color
+  }));
+}
+
+/**
+ * Returns the columns of the usage metrics for a SortableTable (report_app.js).
+ * @param {Object} unit - The display unit (an entry of USAGE_UNITS).
+ * @param {Object} [classNames] - Optional class names of the columns, per metric key.
+ * @returns {Array<Object>} The columns ({ key, header, className }).
+ */
+function getUsageMetricColumns(unit, classNames = {}) {
+  return USAGE_METRICS.map(metric => ({ key: metric.key, header: getUsageMetricHeader(metric, unit), className: classNames[metric.key] }));
+}
+
+/**
+ * Renders the header cells of the usage metric columns.
+ * @param {Object} unit - The display unit (an entry of USAGE_UNITS).
+ * @param {Object} [classNames] - Optional class names of the cells, per metric key.
+ * @returns {Array<Object>} The th elements.
+ */
+function renderUsageMetricHeaders(unit, classNames = {}) {
+  return USAGE_METRICS.map(metric => React.createElement('th', { key: metric.key, className: classNames[metric.key] }, getUsageMetricHeader(metric, unit)));
+}
+
+/**
+ * Renders the usage metric cells of a table row.
+ * @param {Object} item - A summary or total (summary fields) or a daily row (daily fields).
+ * @param {Object} [options] - As in formatUsageMetricValues.
+ * @param {Object} [classNames] - Optional class names of the cells, per metric key.
+ * @returns {Array<Object>} The td elements.
+ */
+function renderUsageMetricCells(item, options, classNames = {}) {
+  const values = formatUsageMetricValues(item, options);
+  return USAGE_METRICS.map((metric, i) => React.createElement('td', { key: metric.key, className: classNames[metric.key] }, values[i]));
+}
@@ -0,0 +1,190 @@
+﻿// usage-metrics.test.js
+// Checks that the usage metric columns put each header above the values of its own field: the table
+// helpers of usage-metrics.js and the CSV/Excel export tables of usage-export.js, run on a small report.
+// Run with: node --test "Report Tools"
+// The browser scripts are loaded into one sandbox in page order; React is a stub that returns the
+// element description, and report_app.js is not loaded, as it needs ReactDOM and Chart.js.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const React = { createElement: (type, props, ...children) => ({ type, props, children }) };
+const sandbox = vm.createContext({ window: {}, React });
+['shamsi-converter.js', 'usage-format.js', 'usage-metrics.js', 'usage-export.js'].forEach(fileName => {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, fileName), 'utf8'), sandbox, { filename: fileName });
+});
+const {
+  USAGE_UNITS, formatUsage, convertUsage,
+  USAGE_METRICS, getUsageMetric, getUsageMetricHeaders, createUsageMetricDatasets,
+  getUsageMetricColumns, renderUsageMetricHeaders, renderUsageMetricCells,
+  CSV_EXPORT_CELLS, XLSX_EXPORT_CELLS, buildUsersExportTable, buildMonthlyExportTable,
+  buildQuarterlyExportTable, buildGroupsExportTable, buildUserExportTable
+} = vm.runInContext(`({
+  USAGE_UNITS, formatUsage, convertUsage,
+  USAGE_METRICS, getUsageMetric, getUsageMetricHeaders, createUsageMetricDatasets,
+  getUsageMetricColumns, renderUsageMetricHeaders, renderUsageMetricCells,
+  CSV_EXPORT_CELLS, XLSX_EXPORT_CELLS, buildUsersExportTable, buildMonthlyExportTable,
+  buildQuarterlyExportTable, buildGroupsExportTable, buildUserExportTable
+})`, sandbox);
+
+// Field of the values under each header label, written out here rather than read from USAGE_METRICS
+const summaryFieldByLabel = { 'دانلود': 'totalDownload', 'آپلود': 'totalUpload', 'مجموع مصرف': 'totalUsage' };
+const dailyFieldByLabel = { 'دانلود': 'download', 'آپلود': 'upload', 'مجموع مصرف': 'totalUsage' };
+
+// Adds up the usage of items (daily rows or summaries) into summary fields
+function sumUsage(items, isDaily) {
+  return {
+    totalDownload: items.reduce((total, item) => total + item[isDaily ? 'download' : 'totalDownload'], 0),
+    totalUpload: items.reduce((total, item) => total + item[isDaily ? 'upload' : 'totalUpload'], 0),
+    totalUsage: items.reduce((total, item) => total + item.totalUsage, 0)
+  };
+}
+
+// A small report in the shape of window.reportData; download and upload always differ, so a swapped
+// pair of columns shows up as a wrong value
+function createUser(userId, name, group, days) {
+  const dailyData = days.map(([day, download, upload]) => ({ day, download, upload, totalUsage: download + upload }));
+  return { userId, name, group, dailyData, summary: sumUsage(dailyData, true) };
+}
+const reportData = {
+  dateRange: { startDate: '2026-09-21', endDate: '2026-09-24' },
+  users: [
+    createUser('EGEP1-01', 'کاربر یک', 'طبقه اول', [['2026-09-21', 2273.79, 222.21], ['2026-09-22', 1024.5, 96.25], ['2026-09-23', 310.4, 5120.6]]),
+    createUser('EGEP1-02', 'کاربر دو', 'طبقه اول', [['2026-09-22', 8.5, 640.75], ['2026-09-24', 4096, 12.3]]),
+    createUser('EGEP2-01', 'کاربر سه', 'طبقه دوم', [['2026-09-23', 700.2, 15.8]])
+  ]
+};
+
+// Monthly, quarterly and group items as report_app.js builds them from the report (1405/06/30 is the
+// last day of Shahrivar)
+const users = reportData.users;
+const total = sumUsage(users.map(user => user.summary));
+const dailyRowsOf = predicate => users.flatMap(user => user.dailyData.filter(row => predicate(row.day)));
+const months = [
+  { monthKey: '1405-06', shamsiMonthLabel: 'شهریور ۱۴۰۵', daysCount: 1, ...sumUsage(dailyRowsOf(day => day < '2026-09-22'), true), highestConsumer: 'کاربر یک', highestConsumerUsage: 2496 },
+  { monthKey: '1405-07', shamsiMonthLabel: 'مهر ۱۴۰۵', daysCount: 3, ...sumUsage(dailyRowsOf(day => day >= '2026-09-22'), true), highestConsumer: 'کاربر یک', highestConsumerUsage: 6552.75 }
+];
+const quarters = [
+  { shamsiYear: 1405, quarterName: 'تابستان', daysCount: 1, ...months[0] },
+  { shamsiYear: 1405, quarterName: 'پاییز', daysCount: 3, ...months[1] }
+];
+const groups = ['طبقه اول', 'طبقه دوم'].map(groupName => {
+  const groupUsers = users.filter(user => user.group === groupName);
+  return { groupName, usersCount: groupUsers.length, ...sumUsage(groupUsers.map(user => user.summary)) };
+});
+const comparisonOf = user => ({ previousUsage: user.summary.totalUsage / 2, delta: user.summary.totalUsage / 2, percentChange: 100 });
+const quotaOf = user => ({ allowance: 10240, percent: 12.5, remaining: 8960, status: 'green', label: 'عادی' });
+
+// Every export table, with the item of each data row and of the total row; optional columns are on
+const exportTables = [
+  {
+    name: 'summary',
+    build: cells => buildUsersExportTable(users, total, cells, { groupOf: user => user.group, comparisonOf, totalComparison: comparisonOf({ summary: total }), quotaOf, totalQuotaStatus: quotaOf() }),
+    rowItems: users.map(user => user.summary)
+  },
+  {
+    name: 'group users',
+    build: cells => buildUsersExportTable(users.slice(0, 2), groups[0], cells),
+    rowItems: users.slice(0, 2).map(user => user.summary),
+    total: groups[0]
+  },
+  { name: 'monthly', build: cells => buildMonthlyExportTable(months, total, cells, { forecast: { monthKey: '1405-07', month: { total: 20000 } }, quotaOf }), rowItems: months },
+  { name: 'quarterly', build: cells => buildQuarterlyExportTable(quarters, total, cells), rowItems: quarters },
+  { name: 'groups', build: cells => buildGroupsExportTable(groups, total, cells), rowItems: groups },
+  {
+    name: 'user',
+    build: cells => buildUserExportTable(users[0].dailyData, users[0].summary, cells, { dayLabelOf: () => 'روز کاری' }),
+    rowItems: users[0].dailyData,
+    isDaily: true,
+    total: users[0].summary
+  }
+];
+
+// Splits a header such as 'دانلود (GB)' into its label and unit name; null for headers of other columns
+function parseHeader(header) {
+  const match = /^(.*) \((\w+)\)$/.exec(header);
+  return match && summaryFieldByLabel[match[1]] ? { label: match[1], unitName: match[2] } : null;
+}
+
+test('every table has one download, one upload and one total column', () => {
+  const labels = getUsageMetricHeaders().map(header => parseHeader(header).label);
+  assert.deepStrictEqual([...labels].sort(), Object.keys(summaryFieldByLabel).sort());
+});
+
+for (const table of exportTables) {
+  for (const [format, cells] of [['CSV', CSV_EXPORT_CELLS], ['Excel', XLSX_EXPORT_CELLS]]) {
+    test(`${format} ${table.name} table: each usage header is above the value of its own field`, () => {
+      const { headers, rows, totalRow } = table.build(cells);
+      const metricColumns = headers.map((header, index) => ({ index, parsed: parseHeader(header) })).filter(column => column.parsed);
+      assert.strictEqual(metricColumns.length, USAGE_METRICS.length);
+
+      const check = (row, item, isDaily, rowName) => {
+        assert.strictEqual(row.length, headers.length, `${rowName} does not have the width of the headers`);
+        metricColumns.forEach(({ index, parsed }) => {
+          const field = (isDaily ? dailyFieldByLabel : summaryFieldByLabel)[parsed.label];
+          assert.strictEqual(parsed.unitName, 'MB');
+          assert.deepStrictEqual(row[index], cells.usage(item[field]), `${rowName}: '${headers[index]}' shows the wrong value`);
+        });
+      };
+      rows.forEach((row, i) => check(row, table.rowItems[i], table.isDaily, `row ${i + 1}`));
+      check(totalRow, table.total || total, false, 'total row');
+    });
+  }
+}
+
+// The user table and its total row listed download under the upload header
+test('user table puts download under the download header and upload under the upload header', () => {
+  const { headers, rows, totalRow } = buildUserExportTable(users[0].dailyData, users[0].summary, XLSX_EXPORT_CELLS);
+  const row = users[0].dailyData[0];
+  assert.strictEqual(rows[0][headers.indexOf('دانلود (MB)')], row.download);
+  assert.strictEqual(rows[0][headers.indexOf('آپلود (MB)')], row.upload);
+  assert.strictEqual(totalRow[headers.indexOf('دانلود (MB)')], users[0].summary.totalDownload);
+  assert.strictEqual(totalRow[headers.indexOf('آپلود (MB)')], users[0].summary.totalUpload);
+});
+
+for (const unit of [USAGE_UNITS.MB, USAGE_UNITS.GB]) {
+  test(`table helpers in ${unit.name}: header i is above cell i of its own field`, () => {
+    const headerCells = renderUsageMetricHeaders(unit);
+    const columns = getUsageMetricColumns(unit);
+    const check = (item, isDaily) => {
+      const cells = renderUsageMetricCells(item, { isDaily, unit });
+      assert.strictEqual(cells.length, headerCells.length);
+      headerCells.forEach((headerCell, i) => {
+        const header = headerCell.children[0];
+        const { label, unitName } = parseHeader(header);
+        const field = (isDaily ? dailyFieldByLabel : summaryFieldByLabel)[label];
+        assert.strictEqual(headerCell.type, 'th');
+        assert.strictEqual(unitName, unit.name);
+        assert.strictEqual(columns[i].header, header);
+        assert.strictEqual(cells[i].type, 'td');
+        assert.strictEqual(cells[i].props.key, columns[i].key);
+        assert.strictEqual(cells[i].children[0], formatUsage(item[field], unit), `'${header}' shows the wrong value`);
+      });
+    };
+    users.forEach(user => {
+      check(user.summary, false);
+      user.dailyData.forEach(row => check(row, true));
+    });
+    [...months, ...quarters, ...groups, total].forEach(item => check(item, false));
+  });
+}
+
+// The summary chart labelled totalDownload as upload
+test('summary chart datasets are labelled with the field they plot', () => {
+  const items = users.map(user => user.summary);
+  createUsageMetricDatasets(items, USAGE_UNITS.MB).forEach(dataset => {
+    const field = summaryFieldByLabel[parseHeader(dataset.label).label];
+    assert.deepStrictEqual(Array.from(dataset.data), items.map(item => convertUsage(item[field], USAGE_UNITS.MB)));
+  });
+});
+
+test('metrics are found by their summary field', () => {
+  USAGE_METRICS.forEach(metric => assert.strictEqual(getUsageMetric(metric.summaryKey), metric));
+  assert.strictEqual(getUsageMetric('totalDownload').dailyKey, 'download');
+  assert.strictEqual(getUsageMetric('totalUpload').dailyKey, 'upload');
+});
@@ -0,0 +1,249 @@
+﻿// xlsx-writer.js
+// A small, dependency-free writer for Excel .xlsx workbooks, so the report can export real
+// spreadsheets from a file:// page without any network access.
+// A workbook is a ZIP archive of SpreadsheetML parts; the parts are stored uncompressed, which every
+// spreadsheet application accepts.
+
+// Cell styles available to callers; the index is the position of the style in styles.xml <cellXfs>
+const XLSX_STYLES = { normal: 0, header: 1, number: 2, total: 3, title: 4, totalNumber: 5, percent: 6, integer: 7 };
+
+const XLSX_CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Calculates the CRC-32 checksum used by the ZIP format.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} The unsigned CRC-32 value.
+ */
+function xlsxCrc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = XLSX_CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Builds an uncompressed ZIP archive.
+ * @param {Array<{name: string, content: string}>} files - File paths inside the archive and their text content.
+ * @returns {Uint8Array} The ZIP archive bytes.
+ */
+function createZipArchive(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const nameBytes = encoder.encode(file.name);
+    const dataBytes = encoder.encode(file.content);
+    const crc = xlsxCrc32(dataBytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);  // Local file header signature
+    local.setUint16(4, 20, true);          // Version needed to extract
+    local.setUint16(6, 0x0800, true);      // Flags: UTF-8 file names
+    local.setUint16(8, 0, true);           // Method: stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, dataBytes.length, true);
+    local.setUint32(22, dataBytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);          // Extra field length
+    localParts.push(new Uint8Array(local.buffer), nameBytes, dataBytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Central directory header signature
+    central.setUint16(4, 20, true);         // Version made by
+    central.setUint16(6, 20, true);         // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, dataBytes.length, true);
+    central.setUint32(24, dataBytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);    // Offset of the local header
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + dataBytes.length;
+  });
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);       // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let position = 0;
+  parts.forEach(part => { archive.set(part, position); position += part.length; });
+  return archive;
+}
+
+/**
+ * Escapes text for use inside XML, dropping characters that XML does not allow.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a zero-based column index to its spreadsheet letters (0 -> A, 27 -> AB).
+ * @param {number} index - The column index.
+ * @returns {string} The column letters.
+ */
+function getXlsxColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Makes worksheet names valid and unique: at most 31 characters, none of : \ / ? * [ ].
+ * @param {Array<string>} names - The wanted names.
+ * @returns {Array<string>} The names to use, in the same order.
+ */
+function getUniqueXlsxSheetNames(names) {
+  const used = new Set();
+  return names.map(name => {
+    const base = (String(name).replace(/[:\\/?*[\]]/g, '-').trim() || 'Sheet').slice(0, 31);
+    let candidate = base;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+/**
+ * Builds the XML of one worksheet.
+ * Cells are numbers (kept numeric), strings, null (empty) or { value, style } objects using XLSX_STYLES names.
+ * Numbers without an explicit style use a thousands-separated format, with two decimals unless they are whole.
+ * @param {Object} sheet - { rows, columnWidths, merges, rightToLeft }.
+ * @returns {string} The worksheet XML.
+ */
+function createXlsxSheetXml(sheet) {
+  const rowsXml = sheet.rows.map((row, rowIndex) => {
+    const cellsXml = row.map((cell, columnIndex) => {
+      const cellValue = cell !== null && typeof cell === 'object' ? cell.value : cell;
+      if (cellValue === null || cellValue === undefined || cellValue === '') return '';
+      const reference = getXlsxColumnName(columnIndex) + (rowIndex + 1);
+      const isNumber = typeof cellValue === 'number' && isFinite(cellValue);
+      const defaultStyle = isNumber ? (Number.isInteger(cellValue) ? 'integer' : 'number') : 'normal';
+      const styleName = cell !== null && typeof cell === 'object' && cell.style ? cell.style : defaultStyle;
+      const styleAttribute = XLSX_STYLES[styleName] ? ` s="${XLSX_STYLES[styleName]}"` : '';
+      return isNumber
+        ? `<c r="${reference}"${styleAttribute}><v>${cellValue}</v></c>`
+        : `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(cellValue)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+  }).join('');
+
+  const colsXml = sheet.columnWidths && sheet.columnWidths.length > 0
+    ? '<cols>' + sheet.columnWidths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('') + '</cols>'
+    : '';
+  const mergesXml = sheet.merges && sheet.merges.length > 0
+    ? `<mergeCells count="${sheet.merges.length}">` + sheet.merges.map(range => `<mergeCell ref="${range}"/>`).join('') + '</mergeCells>'
+    : '';
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetViews><sheetView${sheet.rightToLeft === false ? '' : ' rightToLeft="1"'} workbookViewId="0"/></sheetViews>` +
+    colsXml +
+    `<sheetData>${rowsXml}</sheetData>` +
+    mergesXml +
+    '</worksheet>';
+}
+
+/**
+ * Builds an .xlsx workbook.
+ * @param {Array<Object>} sheets - Worksheets: { name, rows, columnWidths?, merges?, rightToLeft? }.
+ *   rows is an array of rows, each an array of cells (see createXlsxSheetXml); merges are ranges like 'A1:F1'.
+ * @returns {Uint8Array} The workbook file bytes.
+ */
+function createXlsxWorkbook(sheets) {
+  const sheetNames = getUniqueXlsxSheetNames(sheets.map(sheet => sheet.name));
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+    '</Types>';
+
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheets>' + sheetNames.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') + '</sheets>' +
+    '</workbook>';
+
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  // Fonts: 0 regular, 1 bold, 2 bold title. Fills: 2 is the light gray of table headers and total rows.
+  // Number formats 3, 4 and 10 are the built-in '#,##0', '#,##0.00' and '0.00%'.
+  const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="3"><font><sz val="11"/><name val="Vazir"/></font><font><b/><sz val="11"/><name val="Vazir"/></font><font><b/><sz val="14"/><name val="Vazir"/></font></fonts>' +
+    '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+    '<fill><patternFill patternType="solid"><fgColor rgb="FFF2F2F2"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+    '<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border>' +
+    '<border><left style="thin"><color rgb="FFDDDDDD"/></left><right style="thin"><color rgb="FFDDDDDD"/></right><top style="thin"><color rgb="FFDDDDDD"/></top><bottom style="thin"><color rgb="FFDDDDDD"/></bottom><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="8">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1" applyAlignment="1"><alignment horizontal="center" vertical="center" wrapText="1"/></xf>' +
+    '<xf numFmtId="4" fontId="0" fillId="0" borderId="1" xfId="0" applyNumberFormat="1" applyBorder="1"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1"/>' +
+    '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="4" fontId="1" fillId="2" borderId="1" xfId="0" applyNumberFormat="1" applyFont="1" applyFill="1" applyBorder="1"/>' +
+    '<xf numFmtId="10" fontId="0" fillId="0" borderId="1" xfId="0" applyNumberFormat="1" applyBorder="1"/>' +
+    '<xf numFmtId="3" fontId="0" fillId="0" borderId="1" xfId="0" applyNumberFormat="1" applyBorder="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+
+  return createZipArchive([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: styles },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: createXlsxSheetXml(sheet) }))
+  ]);
+}